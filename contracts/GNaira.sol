@@ -51,35 +51,158 @@ interface IERC20 {
     function transferFrom(address from, address to, uint256 amount) external returns (bool);
 }
 
+/**
+ * @dev EIP-2612 extension letting holders approve spenders with a signed message
+ */
+interface IERC20Permit {
+    /**
+     * @dev Sets `value` as the allowance of `spender` over `owner`'s tokens,
+     * given `owner`'s EIP-712 signature. Emits an {Approval} event.
+     */
+    function permit(
+        address owner,
+        address spender,
+        uint256 value,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external;
+
+    /**
+     * @dev Returns the current nonce for `owner`, which must be included in
+     * the next permit signature.
+     */
+    function nonces(address owner) external view returns (uint256);
+
+    /**
+     * @dev Returns the domain separator used in the encoding of permit signatures.
+     */
+    function DOMAIN_SEPARATOR() external view returns (bytes32);
+}
+
 /**
  * @title GNaira
  * @dev Central Bank Digital Currency (CBDC) for Nigeria
- * @notice This contract implements G-Naira with governance, minting, burning, and blacklisting features
+ * @notice This contract implements G-Naira with governance, minting, burning, and blacklisting features.
+ * Privileged actions are split across roles managed by ADMIN_ROLE; the governor holds every role.
  */
-contract GNaira is IERC20 {
+contract GNaira is IERC20, IERC20Permit {
     // Token metadata
     string public constant name = "G-Naira";
     string public constant symbol = "gNGN";
     uint8 public constant decimals = 18;
+
+    // Roles
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+    bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
+    bytes32 public constant BURNER_ROLE = keccak256("BURNER_ROLE");
+    bytes32 public constant COMPLIANCE_ROLE = keccak256("COMPLIANCE_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+
+    // KYC tier that accounts without an assigned tier fall into
+    uint8 public constant DEFAULT_TIER = 0;
+    // Hourly buckets in the daily spend window: spend stays counted until 24 full
+    // hours have passed, so no 24-hour period can exceed the daily limit
+    uint256 private constant SPEND_WINDOW_HOURS = 25;
+
+    // Fees
+    uint256 public constant MAX_FEE_BASIS_POINTS = 1000;
+
+    // EIP-712 / EIP-2612
+    bytes32 public constant DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    bytes32 public constant PERMIT_TYPEHASH =
+        keccak256("Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)");
     
     // State variables
     uint256 private _totalSupply;
     address public governor;
+    // Nominated governor that has not yet accepted the role
+    address public pendingGovernor;
     bool public paused;
+    // When enabled, only allowlisted accounts may hold or receive tokens
+    bool public allowlistEnabled;
+    // Receives balances seized from blacklisted accounts
+    address public recoveryAddress;
+    // Receives transfer levies and fees
+    address public treasury;
+    // Flat levy charged on transfers above levyThreshold
+    uint256 public levyAmount;
+    uint256 public levyThreshold;
+    // Percentage fee on every transfer, in basis points
+    uint256 public feeBasisPoints;
+    // Per-tier transfer limits; type(uint256).max means unlimited
+    struct TierLimits {
+        uint256 perTransaction;
+        uint256 daily;
+        bool configured;
+    }
+
+    // Rolling daily spend of an account; total is the sum of the hourly buckets
+    struct SpendWindow {
+        uint256 total;
+        uint256 lastHour;
+        uint256[SPEND_WINDOW_HOURS] hourly;
+    }
+
+    // Hard ceiling on total supply; defaults to unlimited
+    uint256 public maxSupply = type(uint256).max;
 
     // Mappings
     mapping(address => uint256) private _balances;
     mapping(address => mapping(address => uint256)) private _allowances;
     mapping(address => bool) public blacklisted;
+    mapping(address => bool) public allowlisted;
+    // Transfers from or to these accounts are not charged fees
+    mapping(address => bool) public feeExempt;
+    // Mapping from role => account => has role
+    mapping(bytes32 => mapping(address => bool)) private _roles;
+    // Remaining amount each minter may mint; type(uint256).max means unlimited
+    mapping(address => uint256) private _minterAllowances;
+    // Nonce of each owner's next permit
+    mapping(address => uint256) private _nonces;
+    // Total amount frozen per account, and its breakdown by compliance case
+    mapping(address => uint256) private _frozenBalances;
+    mapping(address => mapping(bytes32 => uint256)) private _frozenByCase;
+    // KYC registry: tier limits, each account's tier, and its spend over the last 24 hours
+    mapping(uint8 => TierLimits) private _tierLimits;
+    mapping(address => uint8) public kycTier;
+    mapping(address => SpendWindow) private _spendWindows;
 
     // Events
     event GovernorChanged(address indexed previousGovernor, address indexed newGovernor);
+    event GovernorTransferStarted(address indexed currentGovernor, address indexed pendingGovernor);
+    event GovernorTransferCancelled(address indexed currentGovernor, address indexed pendingGovernor);
     event Mint(address indexed to, uint256 amount);
     event Burn(address indexed from, uint256 amount);
     event Blacklisted(address indexed account);
     event UnBlacklisted(address indexed account);
     event Paused(address indexed account);
     event Unpaused(address indexed account);
+    event AllowlistModeChanged(bool enabled);
+    event AllowlistUpdated(address indexed account, bool allowed);
+    event TreasuryChanged(address indexed previousTreasury, address indexed newTreasury);
+    event FeeParametersChanged(uint256 levyAmount, uint256 levyThreshold, uint256 feeBasisPoints);
+    event FeeExemptionChanged(address indexed account, bool exempt);
+    event FeeCharged(address indexed from, address indexed to, uint256 fee);
+    event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender);
+    event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender);
+    event RecoveryAddressChanged(address indexed previousRecoveryAddress, address indexed newRecoveryAddress);
+    event FundsSeized(
+        address indexed account,
+        address indexed recoveryAddress,
+        uint256 amount,
+        bytes32 indexed reasonCode,
+        string caseReference
+    );
+    event FundsWiped(address indexed account, uint256 amount, bytes32 indexed reasonCode, string caseReference);
+    event AmountFrozen(address indexed account, bytes32 indexed caseId, uint256 amount);
+    event AmountUnfrozen(address indexed account, bytes32 indexed caseId, uint256 amount);
+    event TierLimitsChanged(uint8 indexed tier, uint256 perTransaction, uint256 daily);
+    event AccountTierChanged(address indexed account, uint8 indexed previousTier, uint8 indexed newTier);
+    event MaxSupplyChanged(uint256 previousMaxSupply, uint256 newMaxSupply);
+    event MinterAllowanceChanged(address indexed minter, uint256 previousAllowance, uint256 newAllowance);
 
     // Modifiers
     modifier onlyGovernor() {
@@ -87,6 +210,11 @@ contract GNaira is IERC20 {
         _;
     }
 
+    modifier onlyRole(bytes32 role) {
+        require(hasRole(role, msg.sender), "GNaira: caller is missing role");
+        _;
+    }
+
     modifier whenNotPaused() {
         require(!paused, "GNaira: token transfer while paused");
         _;
@@ -97,13 +225,21 @@ contract GNaira is IERC20 {
         _;
     }
 
+    modifier onlyAllowlisted(address account) {
+        require(!allowlistEnabled || allowlisted[account], "GNaira: account not allowlisted");
+        _;
+    }
+
     /**
-     * @dev Constructor that sets the initial governor
+     * @dev Constructor that sets the initial governor and grants it every role
      * @param _governor Address of the initial governor
      */
     constructor(address _governor) {
         require(_governor != address(0), "GNaira: governor is the zero address");
         governor = _governor;
+        _grantAllRoles(_governor);
+        _setMinterAllowance(_governor, type(uint256).max);
+        _setTierLimits(DEFAULT_TIER, type(uint256).max, type(uint256).max);
         emit GovernorChanged(address(0), _governor);
     }
 
@@ -129,6 +265,7 @@ contract GNaira is IERC20 {
      *  to cannot be the zero address
      *  the caller must have a balance of at least amount
      *  neither sender nor receiver can be blacklisted
+     *  in allowlist mode, both sender and receiver must be allowlisted
      *  contract must not be paused
      */
     function transfer(address to, uint256 amount) 
@@ -137,6 +274,8 @@ contract GNaira is IERC20 {
         whenNotPaused 
         notBlacklisted(msg.sender) 
         notBlacklisted(to) 
+        onlyAllowlisted(msg.sender) 
+        onlyAllowlisted(to) 
         returns (bool) 
     {
         address owner = msg.sender;
@@ -168,7 +307,8 @@ contract GNaira is IERC20 {
     }
 
     /**
-     * @dev Moves amount tokens from from to to using the allowance mechanism
+     * @dev Moves amount tokens from from to to using the allowance mechanism.
+     * In allowlist mode, from and to must be allowlisted; the spender need not be.
      */
     function transferFrom(address from, address to, uint256 amount) 
         public 
@@ -177,6 +317,8 @@ contract GNaira is IERC20 {
         notBlacklisted(msg.sender) 
         notBlacklisted(from) 
         notBlacklisted(to) 
+        onlyAllowlisted(from) 
+        onlyAllowlisted(to) 
         returns (bool) 
     {
         address spender = msg.sender;
@@ -185,6 +327,78 @@ contract GNaira is IERC20 {
         return true;
     }
 
+    /**
+     * @dev Moves amounts[i] tokens from the caller's account to to[i] for each i,
+     * with the same checks, limits and fees as one transfer per recipient
+     * @param to Recipients
+     * @param amounts Amount for each recipient
+     * Requirements:
+     * - to and amounts must be non-empty and the same length
+     * - the amounts cannot add up to more than the largest uint256
+     * - the caller must have a balance of at least the total
+     * - neither the caller nor any recipient can be blacklisted
+     * - in allowlist mode, the caller and every recipient must be allowlisted
+     * - contract must not be paused
+     */
+    function batchTransfer(address[] calldata to, uint256[] calldata amounts)
+        public
+        whenNotPaused
+        notBlacklisted(msg.sender)
+        onlyAllowlisted(msg.sender)
+        returns (bool)
+    {
+        uint256 total = _batchTotal(to, amounts);
+        require(total <= _balances[msg.sender], "GNaira: transfer amount exceeds balance");
+
+        for (uint256 i = 0; i < to.length; i++) {
+            _checkRecipient(to[i]);
+            _transfer(msg.sender, to[i], amounts[i]);
+        }
+        return true;
+    }
+
+    /**
+     * @dev Sets value as the allowance of spender over owner's tokens using
+     * owner's EIP-712 signature, so the spender can approve and pull in one transaction
+     * @param owner Address whose tokens are approved
+     * @param spender Address allowed to spend the tokens
+     * @param value Allowance to set
+     * @param deadline Timestamp after which the signature is no longer valid
+     * Requirements:
+     * - contract must not be paused
+     * - owner and spender cannot be blacklisted
+     * - deadline must not have passed
+     * - the signature must be owner's, over owner's current nonce
+     */
+    function permit(
+        address owner,
+        address spender,
+        uint256 value,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    )
+        public
+        override
+        whenNotPaused
+        notBlacklisted(owner)
+        notBlacklisted(spender)
+    {
+        require(block.timestamp <= deadline, "GNaira: permit expired");
+
+        bytes32 structHash = keccak256(
+            abi.encode(PERMIT_TYPEHASH, owner, spender, value, _nonces[owner], deadline)
+        );
+        bytes32 digest = keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR(), structHash));
+        require(_recoverSigner(digest, v, r, s) == owner, "GNaira: invalid signature");
+
+        unchecked {
+            _nonces[owner] += 1;
+        }
+        _approve(owner, spender, value);
+    }
+
     // Governor Functions
 
     /**
@@ -192,16 +406,21 @@ contract GNaira is IERC20 {
      * @param to Address to mint tokens to
      * @param amount Amount of tokens to mint
      * Requirements:
-     * - caller must be the governor
+     * - caller must have MINTER_ROLE
+     * - amount cannot exceed the caller's minter allowance
+     * - totalSupply after minting cannot exceed maxSupply
      * - to cannot be the zero address
      * - to cannot be blacklisted
+     * - in allowlist mode, to must be allowlisted
      */
     function mint(address to, uint256 amount) 
         public 
-        onlyGovernor 
+        onlyRole(MINTER_ROLE) 
         notBlacklisted(to) 
+        onlyAllowlisted(to) 
     {
         require(to != address(0), "GNaira: mint to the zero address");
+        _spendMintCapacity(amount);
         
         _totalSupply += amount;
         unchecked {
@@ -212,14 +431,54 @@ contract GNaira is IERC20 {
         emit Mint(to, amount);
     }
 
+    /**
+     * @dev Mints amounts[i] tokens to to[i] for each i, checking the supply cap
+     * and the caller's minter allowance once against the total
+     * @param to Recipients
+     * @param amounts Amount to mint for each recipient
+     * Requirements:
+     * - caller must have MINTER_ROLE
+     * - to and amounts must be non-empty and the same length
+     * - the amounts cannot add up to more than the largest uint256
+     * - the total cannot exceed the caller's minter allowance
+     * - totalSupply after minting cannot exceed maxSupply
+     * - no recipient can be the zero address or blacklisted
+     * - in allowlist mode, every recipient must be allowlisted
+     * - contract must not be paused
+     */
+    function batchMint(address[] calldata to, uint256[] calldata amounts)
+        public
+        onlyRole(MINTER_ROLE)
+        whenNotPaused
+    {
+        uint256 total = _batchTotal(to, amounts);
+        _spendMintCapacity(total);
+        _totalSupply += total;
+
+        for (uint256 i = 0; i < to.length; i++) {
+            address recipient = to[i];
+            uint256 amount = amounts[i];
+            require(recipient != address(0), "GNaira: mint to the zero address");
+            _checkRecipient(recipient);
+
+            // Each balance is at most the new totalSupply, which did not overflow
+            unchecked {
+                _balances[recipient] += amount;
+            }
+
+            emit Transfer(address(0), recipient, amount);
+            emit Mint(recipient, amount);
+        }
+    }
+
     /**
      * @dev Burns amount tokens from the caller's account
      * @param amount Amount of tokens to burn
      * Requirements:
-     * - caller must be the governor
-     * - governor must have at least amount tokens
+     * - caller must have BURNER_ROLE
+     * - caller must have at least amount tokens that are not frozen
      */
-    function burn(uint256 amount) public onlyGovernor {
+    function burn(uint256 amount) public onlyRole(BURNER_ROLE) {
         _burn(msg.sender, amount);
     }
 
@@ -228,11 +487,11 @@ contract GNaira is IERC20 {
      * @param account Account to burn tokens from
      * @param amount Amount of tokens to burn
      * Requirements:
-     * - caller must be the governor
+     * - caller must have BURNER_ROLE
      * - account cannot be the zero address
-     * - account must have at least amount tokens
+     * - account must have at least amount tokens that are not frozen
      */
-    function burnFrom(address account, uint256 amount) public onlyGovernor {
+    function burnFrom(address account, uint256 amount) public onlyRole(BURNER_ROLE) {
         require(account != address(0), "GNaira: burn from the zero address");
         _burn(account, amount);
     }
@@ -241,11 +500,11 @@ contract GNaira is IERC20 {
      * @dev Adds an address to the blacklist
      * @param account Address to blacklist
      * Requirements:
-     * - caller must be the governor
+     * - caller must have COMPLIANCE_ROLE
      * - account cannot be the zero address
      * - account must not already be blacklisted
      */
-    function blacklist(address account) public onlyGovernor {
+    function blacklist(address account) public onlyRole(COMPLIANCE_ROLE) {
         require(account != address(0), "GNaira: blacklist zero address");
         require(!blacklisted[account], "GNaira: account already blacklisted");
         
@@ -257,10 +516,10 @@ contract GNaira is IERC20 {
      * @dev Removes an address from the blacklist
      * @param account Address to remove from blacklist
      * Requirements:
-     * - caller must be the governor
+     * - caller must have COMPLIANCE_ROLE
      * - account must be currently blacklisted
      */
-    function unBlacklist(address account) public onlyGovernor {
+    function unBlacklist(address account) public onlyRole(COMPLIANCE_ROLE) {
         require(blacklisted[account], "GNaira: account not blacklisted");
         
         blacklisted[account] = false;
@@ -270,29 +529,32 @@ contract GNaira is IERC20 {
     /**
      * @dev Pauses all token transfers
      * Requirements:
-     * - caller must be the governor
+     * - caller must have PAUSER_ROLE
      * - contract must not already be paused
      */
-    function pause() public onlyGovernor {
+    function pause() public onlyRole(PAUSER_ROLE) {
         require(!paused, "GNaira: already paused");
         paused = true;
         emit Paused(msg.sender);
     }
 
     /**
-     * @dev Unpauses all token transfers
+     * @dev Unpauses all token transfers. Pausers can stop the token in an
+     * emergency, but resuming it is left to the admins.
      * Requirements:
-     * - caller must be the governor
+     * - caller must have ADMIN_ROLE
      * - contract must be currently paused
      */
-    function unpause() public onlyGovernor {
+    function unpause() public onlyRole(ADMIN_ROLE) {
         require(paused, "GNaira: not paused");
         paused = false;
         emit Unpaused(msg.sender);
     }
 
     /**
-     * @dev Transfers governor role to a new account
+     * @dev Starts transferring the governor role to a new account. The transfer
+     * only takes effect once newGovernor calls acceptGovernor, so a mistyped
+     * address cannot take control. Nominating again replaces the pending governor.
      * @param newGovernor Address of the new governor
      * Requirements:
      * - caller must be the current governor
@@ -306,14 +568,509 @@ contract GNaira is IERC20 {
     {
         require(newGovernor != address(0), "GNaira: new governor is the zero address");
         require(newGovernor != governor, "GNaira: new governor is the same as current governor");
-        
+
+        pendingGovernor = newGovernor;
+        emit GovernorTransferStarted(governor, newGovernor);
+    }
+
+    /**
+     * @dev Completes a governor transfer, moving every role and the minter
+     * allowance from the previous governor to the caller
+     * Requirements:
+     * - caller must be the pending governor
+     * - caller cannot be blacklisted
+     */
+    function acceptGovernor() public notBlacklisted(msg.sender) {
+        require(msg.sender == pendingGovernor, "GNaira: caller is not the pending governor");
+
         address previousGovernor = governor;
+        address newGovernor = msg.sender;
         governor = newGovernor;
+        pendingGovernor = address(0);
+        _revokeAllRoles(previousGovernor);
+        _grantAllRoles(newGovernor);
+        _setMinterAllowance(newGovernor, _minterAllowances[previousGovernor]);
+        _setMinterAllowance(previousGovernor, 0);
         emit GovernorChanged(previousGovernor, newGovernor);
     }
 
+    /**
+     * @dev Cancels a pending governor transfer
+     * Requirements:
+     * - caller must be the current governor
+     * - a transfer must be pending
+     */
+    function cancelGovernorTransfer() public onlyGovernor {
+        address nominee = pendingGovernor;
+        require(nominee != address(0), "GNaira: no pending governor");
+
+        pendingGovernor = address(0);
+        emit GovernorTransferCancelled(governor, nominee);
+    }
+
+    // Enforcement Actions
+
+    /**
+     * @dev Sets the address that receives seized balances
+     * @param newRecoveryAddress Address of the recovery account
+     * Requirements:
+     * - caller must have ADMIN_ROLE
+     * - newRecoveryAddress cannot be the zero address
+     * - newRecoveryAddress cannot be blacklisted
+     * - in allowlist mode, newRecoveryAddress must be allowlisted
+     */
+    function setRecoveryAddress(address newRecoveryAddress)
+        public
+        onlyRole(ADMIN_ROLE)
+        notBlacklisted(newRecoveryAddress)
+        onlyAllowlisted(newRecoveryAddress)
+    {
+        require(newRecoveryAddress != address(0), "GNaira: recovery address is the zero address");
+
+        address previousRecoveryAddress = recoveryAddress;
+        recoveryAddress = newRecoveryAddress;
+        emit RecoveryAddressChanged(previousRecoveryAddress, newRecoveryAddress);
+    }
+
+    /**
+     * @dev Freezes amount of account's tokens under a compliance case. Frozen
+     * tokens stay in the account but cannot be transferred until unfrozen.
+     * @param account Address whose tokens are frozen
+     * @param amount Amount of tokens to freeze
+     * @param caseId Compliance case the freeze belongs to
+     * Requirements:
+     * - caller must have COMPLIANCE_ROLE
+     * - amount must be greater than zero
+     * - account must hold enough tokens that are not already frozen
+     */
+    function freezeAmount(address account, uint256 amount, bytes32 caseId) public onlyRole(COMPLIANCE_ROLE) {
+        require(amount > 0, "GNaira: freeze amount is zero");
+        require(amount <= availableBalanceOf(account), "GNaira: freeze amount exceeds available balance");
+
+        _frozenBalances[account] += amount;
+        _frozenByCase[account][caseId] += amount;
+        emit AmountFrozen(account, caseId, amount);
+    }
+
+    /**
+     * @dev Releases amount of account's tokens frozen under a compliance case
+     * @param account Address whose tokens are released
+     * @param amount Amount of tokens to release
+     * @param caseId Compliance case the tokens were frozen under
+     * Requirements:
+     * - caller must have COMPLIANCE_ROLE
+     * - amount must be greater than zero
+     * - amount cannot exceed what is frozen under caseId
+     */
+    function unfreezeAmount(address account, uint256 amount, bytes32 caseId) public onlyRole(COMPLIANCE_ROLE) {
+        require(amount > 0, "GNaira: unfreeze amount is zero");
+        uint256 frozenForCase = _frozenByCase[account][caseId];
+        require(amount <= frozenForCase, "GNaira: unfreeze amount exceeds frozen amount");
+
+        unchecked {
+            _frozenByCase[account][caseId] = frozenForCase - amount;
+            _frozenBalances[account] -= amount;
+        }
+        emit AmountUnfrozen(account, caseId, amount);
+    }
+
+    /**
+     * @dev Moves amount tokens from a blacklisted account to the recovery address,
+     * e.g. to execute a court order. Works while the token is paused. Frozen
+     * tokens must be released with unfreezeAmount first, e.g. in the same
+     * MultiSig batch, so each case's freeze record stays accurate.
+     * @param account Blacklisted address to seize from
+     * @param amount Amount of tokens to seize
+     * @param reasonCode Code identifying the legal basis of the seizure
+     * @param caseReference Case or order reference recorded in the FundsSeized event
+     * Requirements:
+     * - caller must have COMPLIANCE_ROLE
+     * - account must be blacklisted
+     * - the recovery address must be set and not blacklisted
+     * - in allowlist mode, the recovery address must be allowlisted
+     * - account must have at least amount tokens that are not frozen
+     */
+    function seizeFunds(address account, uint256 amount, bytes32 reasonCode, string calldata caseReference)
+        public
+        onlyRole(COMPLIANCE_ROLE)
+    {
+        require(blacklisted[account], "GNaira: account not blacklisted");
+        address recovery = recoveryAddress;
+        require(recovery != address(0), "GNaira: recovery address not set");
+        _checkRecipient(recovery);
+        _checkUnfrozen(account, amount, "GNaira: seize amount exceeds available balance");
+
+        _move(account, recovery, amount);
+        emit FundsSeized(account, recovery, amount, reasonCode, caseReference);
+    }
+
+    /**
+     * @dev Destroys amount tokens held by a blacklisted account. Works while the
+     * token is paused. Frozen tokens must be released with unfreezeAmount first.
+     * @param account Blacklisted address to wipe
+     * @param amount Amount of tokens to destroy
+     * @param reasonCode Code identifying the legal basis of the wipe
+     * @param caseReference Case or order reference recorded in the FundsWiped event
+     * Requirements:
+     * - caller must have COMPLIANCE_ROLE
+     * - account must be blacklisted
+     * - account must have at least amount tokens that are not frozen
+     */
+    function wipeFunds(address account, uint256 amount, bytes32 reasonCode, string calldata caseReference)
+        public
+        onlyRole(COMPLIANCE_ROLE)
+    {
+        require(blacklisted[account], "GNaira: account not blacklisted");
+
+        _burn(account, amount);
+        emit FundsWiped(account, amount, reasonCode, caseReference);
+    }
+
+    // Fees
+
+    /**
+     * @dev Sets the address that receives transfer fees
+     * @param newTreasury Address of the treasury
+     * Requirements:
+     * - caller must have ADMIN_ROLE
+     * - newTreasury cannot be the zero address
+     * - newTreasury cannot be blacklisted
+     * - in allowlist mode, newTreasury must be allowlisted
+     */
+    function setTreasury(address newTreasury)
+        public
+        onlyRole(ADMIN_ROLE)
+        notBlacklisted(newTreasury)
+        onlyAllowlisted(newTreasury)
+    {
+        require(newTreasury != address(0), "GNaira: treasury is the zero address");
+
+        address previousTreasury = treasury;
+        treasury = newTreasury;
+        emit TreasuryChanged(previousTreasury, newTreasury);
+    }
+
+    /**
+     * @dev Sets the transfer fees. A transfer of amount is charged levy if
+     * amount is above threshold, plus basisPoints of amount; the fee is
+     * deducted from what the recipient receives.
+     * @param levy Flat levy
+     * @param threshold Largest transfer the levy does not apply to
+     * @param basisPoints Percentage fee in basis points
+     * Requirements:
+     * - caller must have ADMIN_ROLE
+     * - basisPoints cannot exceed MAX_FEE_BASIS_POINTS
+     * - the treasury must be set before any fee is enabled
+     */
+    function setFeeParameters(uint256 levy, uint256 threshold, uint256 basisPoints) public onlyRole(ADMIN_ROLE) {
+        require(basisPoints <= MAX_FEE_BASIS_POINTS, "GNaira: fee too high");
+        require(treasury != address(0) || (levy == 0 && basisPoints == 0), "GNaira: treasury not set");
+
+        levyAmount = levy;
+        levyThreshold = threshold;
+        feeBasisPoints = basisPoints;
+        emit FeeParametersChanged(levy, threshold, basisPoints);
+    }
+
+    /**
+     * @dev Exempts account from transfer fees, or removes the exemption
+     * @param account Address to update
+     * @param exempt Whether transfers from or to account are fee-free
+     * Requirements:
+     * - caller must have ADMIN_ROLE
+     */
+    function setFeeExempt(address account, bool exempt) public onlyRole(ADMIN_ROLE) {
+        feeExempt[account] = exempt;
+        emit FeeExemptionChanged(account, exempt);
+    }
+
+    // Allowlist
+
+    /**
+     * @dev Switches allowlist mode on or off. While on, only allowlisted
+     * accounts can receive mints or send and receive transfers.
+     * @param enabled Whether allowlist mode applies
+     * Requirements:
+     * - caller must have ADMIN_ROLE
+     * - enabled must differ from the current mode
+     */
+    function setAllowlistEnabled(bool enabled) public onlyRole(ADMIN_ROLE) {
+        require(allowlistEnabled != enabled, "GNaira: allowlist mode unchanged");
+
+        allowlistEnabled = enabled;
+        emit AllowlistModeChanged(enabled);
+    }
+
+    /**
+     * @dev Adds accounts to or removes them from the allowlist. The list can be
+     * managed whether or not allowlist mode is on.
+     * @param accounts Addresses to update
+     * @param allowed Whether the accounts are allowlisted
+     * Requirements:
+     * - caller must have COMPLIANCE_ROLE
+     * - accounts cannot contain the zero address
+     */
+    function updateAllowlist(address[] calldata accounts, bool allowed) public onlyRole(COMPLIANCE_ROLE) {
+        for (uint256 i = 0; i < accounts.length; i++) {
+            address account = accounts[i];
+            require(account != address(0), "GNaira: allowlist zero address");
+            if (allowlisted[account] != allowed) {
+                allowlisted[account] = allowed;
+                emit AllowlistUpdated(account, allowed);
+            }
+        }
+    }
+
+    // KYC Tiers
+
+    /**
+     * @dev Sets the transfer limits of a KYC tier. Accounts can only be
+     * assigned to tiers that have been configured.
+     * @param tier Tier to configure
+     * @param perTransaction Largest amount a single transfer may send
+     * @param daily Largest amount an account may send in any 24 hours
+     * Requirements:
+     * - caller must have COMPLIANCE_ROLE
+     * - perTransaction cannot exceed daily
+     */
+    function setTierLimits(uint8 tier, uint256 perTransaction, uint256 daily) public onlyRole(COMPLIANCE_ROLE) {
+        require(perTransaction <= daily, "GNaira: transaction limit exceeds daily limit");
+        _setTierLimits(tier, perTransaction, daily);
+    }
+
+    /**
+     * @dev Assigns account to a KYC tier
+     * @param account Address to assign
+     * @param tier Tier whose limits apply to transfers sent by account
+     * Requirements:
+     * - caller must have COMPLIANCE_ROLE
+     * - account cannot be the zero address
+     * - tier must have been configured with setTierLimits
+     * - account must not already be in tier
+     */
+    function setAccountTier(address account, uint8 tier) public onlyRole(COMPLIANCE_ROLE) {
+        require(account != address(0), "GNaira: tier for the zero address");
+        require(_tierLimits[tier].configured, "GNaira: tier not configured");
+        uint8 previousTier = kycTier[account];
+        require(previousTier != tier, "GNaira: account already in tier");
+
+        kycTier[account] = tier;
+        emit AccountTierChanged(account, previousTier, tier);
+    }
+
+    // Supply Controls
+
+    /**
+     * @dev Sets the hard ceiling on total supply
+     * @param newMaxSupply New maximum supply
+     * Requirements:
+     * - caller must have ADMIN_ROLE
+     * - newMaxSupply cannot be below the current total supply
+     */
+    function setMaxSupply(uint256 newMaxSupply) public onlyRole(ADMIN_ROLE) {
+        require(newMaxSupply >= _totalSupply, "GNaira: max supply below total supply");
+
+        uint256 previousMaxSupply = maxSupply;
+        maxSupply = newMaxSupply;
+        emit MaxSupplyChanged(previousMaxSupply, newMaxSupply);
+    }
+
+    /**
+     * @dev Sets the remaining amount minter may mint
+     * @param minter Address of the minter
+     * @param newAllowance New allowance; type(uint256).max means unlimited
+     * Requirements:
+     * - caller must have ADMIN_ROLE
+     * - minter cannot be the zero address
+     */
+    function setMinterAllowance(address minter, uint256 newAllowance) public onlyRole(ADMIN_ROLE) {
+        require(minter != address(0), "GNaira: minter is the zero address");
+        _setMinterAllowance(minter, newAllowance);
+    }
+
+    // Role Management
+
+    /**
+     * @dev Grants role to account
+     * @param role Role to grant
+     * @param account Address to grant the role to
+     * Requirements:
+     * - caller must have ADMIN_ROLE
+     * - role must be one of the roles defined by this contract
+     * - account cannot be the zero address or blacklisted
+     */
+    function grantRole(bytes32 role, address account) public onlyRole(ADMIN_ROLE) notBlacklisted(account) {
+        require(_isRole(role), "GNaira: unknown role");
+        require(account != address(0), "GNaira: grant role to the zero address");
+        _grantRole(role, account);
+    }
+
+    /**
+     * @dev Revokes role from account
+     * @param role Role to revoke
+     * @param account Address to revoke the role from
+     * Requirements:
+     * - caller must have ADMIN_ROLE
+     * - the governor cannot lose ADMIN_ROLE
+     */
+    function revokeRole(bytes32 role, address account) public onlyRole(ADMIN_ROLE) {
+        require(!(role == ADMIN_ROLE && account == governor), "GNaira: cannot revoke governor admin");
+        _revokeRole(role, account);
+    }
+
+    /**
+     * @dev Gives up a role held by the caller
+     * @param role Role to renounce
+     * Requirements:
+     * - the governor cannot renounce ADMIN_ROLE
+     */
+    function renounceRole(bytes32 role) public {
+        require(!(role == ADMIN_ROLE && msg.sender == governor), "GNaira: cannot revoke governor admin");
+        _revokeRole(role, msg.sender);
+    }
+
     // View Functions
 
+    /**
+     * @dev Returns the nonce owner's next permit must be signed over
+     * @param owner Address to check
+     * @return uint256 current permit nonce
+     */
+    function nonces(address owner) public view override returns (uint256) {
+        return _nonces[owner];
+    }
+
+    /**
+     * @dev Returns the EIP-712 domain separator for this token on the current chain
+     * @return bytes32 domain separator
+     */
+    function DOMAIN_SEPARATOR() public view override returns (bytes32) {
+        return keccak256(
+            abi.encode(
+                DOMAIN_TYPEHASH,
+                keccak256(bytes(name)),
+                keccak256(bytes("1")),
+                block.chainid,
+                address(this)
+            )
+        );
+    }
+
+    /**
+     * @dev Returns the transfer limits of a KYC tier
+     * @param tier Tier to check
+     * @return perTransaction largest amount per transfer
+     * @return daily largest amount in any 24 hours
+     */
+    function tierLimits(uint8 tier) public view returns (uint256 perTransaction, uint256 daily) {
+        TierLimits storage limits = _tierLimits[tier];
+        return (limits.perTransaction, limits.daily);
+    }
+
+    /**
+     * @dev Returns how much account has sent in the rolling daily window. Spend
+     * is only tracked while the account's tier has a daily limit.
+     * @param account Address to check
+     * @return uint256 amount sent in the current hour and the 24 before it
+     */
+    function dailySpent(address account) public view returns (uint256) {
+        SpendWindow storage window = _spendWindows[account];
+        uint256 hour = block.timestamp / 1 hours;
+        uint256 spent = window.total;
+        uint256 lastExpiring = _lastExpiringHour(window, hour);
+        for (uint256 h = window.lastHour + 1; spent > 0 && h <= lastExpiring; h++) {
+            spent -= window.hourly[h % SPEND_WINDOW_HOURS];
+        }
+        return spent;
+    }
+
+    /**
+     * @dev Returns how much account may still send now under its tier
+     * @param account Address to check
+     * @return uint256 remaining daily allowance; type(uint256).max means unlimited
+     */
+    function remainingDailyLimit(address account) public view returns (uint256) {
+        uint256 daily = _tierLimits[kycTier[account]].daily;
+        if (daily == type(uint256).max) {
+            return daily;
+        }
+        uint256 spent = dailySpent(account);
+        return daily > spent ? daily - spent : 0;
+    }
+
+    /**
+     * @dev Returns the fee charged on a transfer of amount from from to to
+     * @param from Sender
+     * @param to Recipient
+     * @param amount Amount sent
+     * @return uint256 fee deducted from what to receives
+     */
+    function calculateFee(address from, address to, uint256 amount) public view returns (uint256) {
+        if (feeExempt[from] || feeExempt[to]) {
+            return 0;
+        }
+        uint256 fee = amount * feeBasisPoints / 10000;
+        if (levyAmount != 0 && amount > levyThreshold) {
+            fee += levyAmount;
+        }
+        return fee;
+    }
+
+    /**
+     * @dev Returns the amount of account's tokens frozen across all cases
+     * @param account Address to check
+     * @return uint256 frozen amount
+     */
+    function frozenBalanceOf(address account) public view returns (uint256) {
+        return _frozenBalances[account];
+    }
+
+    /**
+     * @dev Returns the amount of account's tokens frozen under caseId
+     * @param account Address to check
+     * @param caseId Compliance case to check
+     * @return uint256 frozen amount for the case
+     */
+    function frozenBalanceOfCase(address account, bytes32 caseId) public view returns (uint256) {
+        return _frozenByCase[account][caseId];
+    }
+
+    /**
+     * @dev Returns the amount of account's tokens that can be transferred
+     * @param account Address to check
+     * @return uint256 balance minus frozen amount
+     */
+    function availableBalanceOf(address account) public view returns (uint256) {
+        return _balances[account] - _frozenBalances[account];
+    }
+
+    /**
+     * @dev Returns the remaining amount minter may mint
+     * @param minter Address of the minter
+     * @return uint256 remaining allowance; type(uint256).max means unlimited
+     */
+    function minterAllowance(address minter) public view returns (uint256) {
+        return _minterAllowances[minter];
+    }
+
+    /**
+     * @dev Returns how many tokens can still be minted before reaching maxSupply
+     * @return uint256 remaining supply headroom
+     */
+    function mintableSupply() public view returns (uint256) {
+        return maxSupply - _totalSupply;
+    }
+
+    /**
+     * @dev Returns whether account has been granted role
+     * @param role Role to check
+     * @param account Address to check
+     * @return bool indicating if account has role
+     */
+    function hasRole(bytes32 role, address account) public view returns (bool) {
+        return _roles[role][account];
+    }
+
     /**
      * @dev Returns whether an account is blacklisted
      * @param account Address to check
@@ -334,9 +1091,204 @@ contract GNaira is IERC20 {
     // Internal Functions
 
     /**
-     * @dev Moves amount of tokens from from to to
+     * @dev Recovers the signer of hash, rejecting malleable signatures
+     */
+    function _recoverSigner(bytes32 hash, uint8 v, bytes32 r, bytes32 s) internal pure returns (address) {
+        // Reject upper-range s values as EIP-2 does
+        require(
+            uint256(s) <= 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0,
+            "GNaira: invalid signature"
+        );
+        require(v == 27 || v == 28, "GNaira: invalid signature");
+
+        address signer = ecrecover(hash, v, r, s);
+        require(signer != address(0), "GNaira: invalid signature");
+        return signer;
+    }
+
+    /**
+     * @dev Returns whether role is one of the roles defined by this contract
+     */
+    function _isRole(bytes32 role) internal pure returns (bool) {
+        return role == ADMIN_ROLE
+            || role == MINTER_ROLE
+            || role == BURNER_ROLE
+            || role == COMPLIANCE_ROLE
+            || role == PAUSER_ROLE;
+    }
+
+    /**
+     * @dev Grants role to account, emitting RoleGranted if it was not already held
+     */
+    function _grantRole(bytes32 role, address account) internal {
+        if (!_roles[role][account]) {
+            _roles[role][account] = true;
+            emit RoleGranted(role, account, msg.sender);
+        }
+    }
+
+    /**
+     * @dev Revokes role from account, emitting RoleRevoked if it was held
+     */
+    function _revokeRole(bytes32 role, address account) internal {
+        if (_roles[role][account]) {
+            _roles[role][account] = false;
+            emit RoleRevoked(role, account, msg.sender);
+        }
+    }
+
+    /**
+     * @dev Sets the minter allowance, emitting MinterAllowanceChanged if it changed
+     */
+    function _setMinterAllowance(address minter, uint256 newAllowance) internal {
+        uint256 previousAllowance = _minterAllowances[minter];
+        if (previousAllowance != newAllowance) {
+            _minterAllowances[minter] = newAllowance;
+            emit MinterAllowanceChanged(minter, previousAllowance, newAllowance);
+        }
+    }
+
+    /**
+     * @dev Grants every role to account
+     */
+    function _grantAllRoles(address account) internal {
+        _grantRole(ADMIN_ROLE, account);
+        _grantRole(MINTER_ROLE, account);
+        _grantRole(BURNER_ROLE, account);
+        _grantRole(COMPLIANCE_ROLE, account);
+        _grantRole(PAUSER_ROLE, account);
+    }
+
+    /**
+     * @dev Revokes every role from account
+     */
+    function _revokeAllRoles(address account) internal {
+        _revokeRole(ADMIN_ROLE, account);
+        _revokeRole(MINTER_ROLE, account);
+        _revokeRole(BURNER_ROLE, account);
+        _revokeRole(COMPLIANCE_ROLE, account);
+        _revokeRole(PAUSER_ROLE, account);
+    }
+
+    /**
+     * @dev Moves amount of tokens from from to to, keeping frozen tokens in place.
+     * Any fee is deducted from what to receives and sent to the treasury, which
+     * must pass the same blacklist and allowlist checks as any recipient.
      */
     function _transfer(address from, address to, uint256 amount) internal {
+        _checkUnfrozen(from, amount, "GNaira: transfer amount exceeds available balance");
+        _spendTierLimit(from, amount);
+
+        uint256 fee = calculateFee(from, to, amount);
+        if (fee == 0) {
+            _move(from, to, amount);
+            return;
+        }
+        require(fee <= amount, "GNaira: fee exceeds transfer amount");
+        require(!blacklisted[treasury], "GNaira: treasury is blacklisted");
+        require(!allowlistEnabled || allowlisted[treasury], "GNaira: treasury not allowlisted");
+        _move(from, to, amount - fee);
+        _move(from, treasury, fee);
+        emit FeeCharged(from, to, fee);
+    }
+
+    /**
+     * @dev Checks that taking amount from account leaves its frozen tokens in
+     * place. Amounts above the whole balance are left to fail with the
+     * caller's balance error.
+     */
+    function _checkUnfrozen(address account, uint256 amount, string memory message) internal view {
+        uint256 balance = _balances[account];
+        require(balance < amount || balance - amount >= _frozenBalances[account], message);
+    }
+
+    /**
+     * @dev Checks a mint of amount against the supply cap and the caller's
+     * minter allowance, spending the allowance unless it is unlimited
+     */
+    function _spendMintCapacity(uint256 amount) internal {
+        require(amount <= maxSupply - _totalSupply, "GNaira: max supply exceeded");
+
+        uint256 mintAllowance = _minterAllowances[msg.sender];
+        require(amount <= mintAllowance, "GNaira: minter allowance exceeded");
+        if (mintAllowance != type(uint256).max) {
+            _setMinterAllowance(msg.sender, mintAllowance - amount);
+        }
+    }
+
+    /**
+     * @dev Checks that to and amounts pair up and returns the sum of amounts
+     */
+    function _batchTotal(address[] calldata to, uint256[] calldata amounts) internal pure returns (uint256 total) {
+        require(to.length == amounts.length, "GNaira: batch length mismatch");
+        require(to.length > 0, "GNaira: empty batch");
+
+        for (uint256 i = 0; i < amounts.length; i++) {
+            require(amounts[i] <= type(uint256).max - total, "GNaira: batch total overflow");
+            total += amounts[i];
+        }
+    }
+
+    /**
+     * @dev Applies the recipient checks of the notBlacklisted and
+     * onlyAllowlisted modifiers to one batch recipient
+     */
+    function _checkRecipient(address account) internal view {
+        require(!blacklisted[account], "GNaira: account is blacklisted");
+        require(!allowlistEnabled || allowlisted[account], "GNaira: account not allowlisted");
+    }
+
+    /**
+     * @dev Checks a transfer against the sender's KYC tier limits and records
+     * it in the sender's rolling daily spend. Only the buckets that left the
+     * window since the sender's last transfer are read.
+     */
+    function _spendTierLimit(address from, uint256 amount) internal {
+        TierLimits storage limits = _tierLimits[kycTier[from]];
+        require(amount <= limits.perTransaction, "GNaira: amount exceeds tier transaction limit");
+
+        uint256 daily = limits.daily;
+        if (daily == type(uint256).max) {
+            return;
+        }
+
+        SpendWindow storage window = _spendWindows[from];
+        uint256 hour = block.timestamp / 1 hours;
+        uint256 spent = window.total;
+        uint256 lastExpiring = _lastExpiringHour(window, hour);
+        for (uint256 h = window.lastHour + 1; spent > 0 && h <= lastExpiring; h++) {
+            uint256 slot = h % SPEND_WINDOW_HOURS;
+            spent -= window.hourly[slot];
+            window.hourly[slot] = 0;
+        }
+        require(spent <= daily && amount <= daily - spent, "GNaira: amount exceeds tier daily limit");
+
+        window.total = spent + amount;
+        window.lastHour = hour;
+        window.hourly[hour % SPEND_WINDOW_HOURS] += amount;
+    }
+
+    /**
+     * @dev Returns the last hour whose bucket slot must be expired to move a
+     * spend window to hour. Each slot is reused every SPEND_WINDOW_HOURS hours.
+     */
+    function _lastExpiringHour(SpendWindow storage window, uint256 hour) internal view returns (uint256) {
+        uint256 allExpired = window.lastHour + SPEND_WINDOW_HOURS;
+        return hour < allExpired ? hour : allExpired;
+    }
+
+    /**
+     * @dev Sets the transfer limits of tier
+     */
+    function _setTierLimits(uint8 tier, uint256 perTransaction, uint256 daily) internal {
+        _tierLimits[tier] = TierLimits(perTransaction, daily, true);
+        emit TierLimitsChanged(tier, perTransaction, daily);
+    }
+
+    /**
+     * @dev Moves amount of tokens from from to to, ignoring freezes
+     */
+    function _move(address from, address to, uint256 amount) internal {
         require(from != address(0), "GNaira: transfer from the zero address");
         require(to != address(0), "GNaira: transfer to the zero address");
 
@@ -376,13 +1328,15 @@ contract GNaira is IERC20 {
     }
 
     /**
-     * @dev Destroys amount tokens from account, reducing the total supply
+     * @dev Destroys amount tokens from account, reducing the total supply.
+     * Frozen tokens cannot be burned.
      */
     function _burn(address account, uint256 amount) internal {
         require(account != address(0), "GNaira: burn from the zero address");
 
         uint256 accountBalance = _balances[account];
         require(accountBalance >= amount, "GNaira: burn amount exceeds balance");
+        require(accountBalance - amount >= _frozenBalances[account], "GNaira: burn amount exceeds available balance");
         
         unchecked {
             _balances[account] = accountBalance - amount;
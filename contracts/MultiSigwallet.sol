@@ -22,6 +22,20 @@ contract MultiSigWallet {
     event OwnerAddition(address indexed owner);
     event OwnerRemoval(address indexed owner);
     event RequirementChange(uint256 required);
+    event CancelConfirmation(address indexed owner, uint256 indexed txIndex);
+    event CancelTransaction(address indexed owner, uint256 indexed txIndex);
+    event ExecuteSignedTransaction(
+        address indexed owner,
+        uint256 indexed nonce,
+        address indexed to,
+        uint256 value,
+        bytes data
+    );
+    event ExecuteBatch(uint256 numCalls);
+    event QueueTransaction(uint256 indexed txIndex, uint256 readyAt);
+    event CancelQueuedTransaction(uint256 indexed txIndex);
+    event DelayChange(uint256 delay);
+    event DelayOverrideChange(address indexed target, bytes4 indexed selector, uint256 delay, bool enabled);
 
     // State variables
     address[] public owners;
@@ -33,19 +47,60 @@ contract MultiSigWallet {
         uint256 value;
         bytes data;
         bool executed;
-        uint256 numConfirmations;
+        uint256 expiresAt;
+        bool cancelled;
+    }
+
+    struct Call {
+        address to;
+        uint256 value;
+        bytes data;
+    }
+
+    struct DelayOverride {
+        bool enabled;
+        uint256 delay;
     }
 
-    // Mapping from tx index => owner => bool
-    mapping(uint256 => mapping(address => bool)) public isConfirmed;
+    // Mapping from owner => epoch, bumped whenever the owner is removed or replaced.
+    // A vote only counts while its epoch matches, so removing an owner withdraws
+    // their votes without touching every transaction, and re-adding them later
+    // does not bring the votes back.
+    mapping(address => uint256) public ownerEpoch;
+    // Mapping from tx index => owner => owner's epoch + 1 when confirmed (0 if not)
+    mapping(uint256 => mapping(address => uint256)) private _confirmations;
+    // Mapping from tx index => owner => owner's epoch + 1 when voted to cancel (0 if not)
+    mapping(uint256 => mapping(address => uint256)) private _cancellations;
     Transaction[] public transactions;
 
+    // EIP-712 typed data for off-chain approvals
+    bytes32 public constant DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    bytes32 public constant TRANSACTION_TYPEHASH =
+        keccak256("Transaction(address to,uint256 value,bytes data,uint256 nonce)");
+    // Nonce of the next transaction executed with signatures
+    uint256 public nonce;
+
+    // Timelock: delay between reaching the threshold and execution
+    uint256 public defaultDelay;
+    // Mapping from target => selector => delay override; address(0) matches any target, bytes4(0) any selector
+    mapping(address => mapping(bytes4 => DelayOverride)) private _delayOverrides;
+    // Selectors with a selector-wide override, which a target-wide override would shadow
+    bytes4[] private _selectorWideOverrides;
+    // Mapping from tx index => timestamp from which it can be executed (0 if not queued)
+    mapping(uint256 => uint256) public readyAt;
+
     // Modifiers
     modifier onlyOwner() {
         require(isOwner[msg.sender], "MultiSig: not owner");
         _;
     }
 
+    modifier onlyWallet() {
+        require(msg.sender == address(this), "MultiSig: not wallet");
+        _;
+    }
+
     modifier txExists(uint256 _txIndex) {
         require(_txIndex < transactions.length, "MultiSig: tx does not exist");
         _;
@@ -56,8 +111,19 @@ contract MultiSigWallet {
         _;
     }
 
+    modifier notCancelled(uint256 _txIndex) {
+        require(!transactions[_txIndex].cancelled, "MultiSig: tx cancelled");
+        _;
+    }
+
+    modifier notExpired(uint256 _txIndex) {
+        uint256 expiresAt = transactions[_txIndex].expiresAt;
+        require(expiresAt == 0 || block.timestamp < expiresAt, "MultiSig: tx expired");
+        _;
+    }
+
     modifier notConfirmed(uint256 _txIndex) {
-        require(!isConfirmed[_txIndex][msg.sender], "MultiSig: tx already confirmed");
+        require(!isConfirmed(_txIndex, msg.sender), "MultiSig: tx already confirmed");
         _;
     }
 
@@ -105,19 +171,34 @@ contract MultiSigWallet {
         uint256 _value,
         bytes memory _data
     ) public onlyOwner {
-        uint256 txIndex = transactions.length;
+        _submitTransaction(_to, _value, _data, 0);
+    }
 
-        transactions.push(
-            Transaction({
-                to: _to,
-                value: _value,
-                data: _data,
-                executed: false,
-                numConfirmations: 0
-            })
-        );
+    /**
+     * @dev Submit a batch of calls for approval. Once confirmed, the wallet runs
+     * them through executeBatch so they all succeed or all revert together.
+     * @param _calls Calls to execute in order
+     */
+    function submitBatchTransaction(Call[] memory _calls) public onlyOwner {
+        require(_calls.length > 0, "MultiSig: empty batch");
+        _submitTransaction(address(this), 0, abi.encodeWithSelector(this.executeBatch.selector, _calls), 0);
+    }
 
-        emit SubmitTransaction(msg.sender, txIndex, _to, _value, _data);
+    /**
+     * @dev Submit a transaction for approval that can no longer be confirmed or executed after a deadline
+     * @param _to Destination address
+     * @param _value Ether value to send
+     * @param _data Transaction data
+     * @param _expiresAt Timestamp from which the transaction is expired
+     */
+    function submitTransactionWithExpiry(
+        address _to,
+        uint256 _value,
+        bytes memory _data,
+        uint256 _expiresAt
+    ) public onlyOwner {
+        require(_expiresAt > block.timestamp, "MultiSig: expiry in the past");
+        _submitTransaction(_to, _value, _data, _expiresAt);
     }
 
     /**
@@ -129,13 +210,37 @@ contract MultiSigWallet {
         onlyOwner
         txExists(_txIndex)
         notExecuted(_txIndex)
+        notCancelled(_txIndex)
+        notExpired(_txIndex)
         notConfirmed(_txIndex)
     {
-        Transaction storage transaction = transactions[_txIndex];
-        transaction.numConfirmations += 1;
-        isConfirmed[_txIndex][msg.sender] = true;
+        _confirmations[_txIndex][msg.sender] = ownerEpoch[msg.sender] + 1;
 
         emit ConfirmTransaction(msg.sender, _txIndex);
+
+        _queueIfConfirmed(_txIndex);
+    }
+
+    /**
+     * @dev Start the timelock of a transaction that already has enough confirmations,
+     * e.g. after the requirement was lowered
+     * @param _txIndex Transaction index
+     */
+    function queueTransaction(uint256 _txIndex)
+        public
+        onlyOwner
+        txExists(_txIndex)
+        notExecuted(_txIndex)
+        notCancelled(_txIndex)
+        notExpired(_txIndex)
+    {
+        require(readyAt[_txIndex] == 0, "MultiSig: tx already queued");
+        require(
+            getConfirmationCount(_txIndex) >= numConfirmationsRequired,
+            "MultiSig: not enough confirmations"
+        );
+
+        _queueIfConfirmed(_txIndex);
     }
 
     /**
@@ -147,13 +252,17 @@ contract MultiSigWallet {
         onlyOwner
         txExists(_txIndex)
         notExecuted(_txIndex)
+        notCancelled(_txIndex)
+        notExpired(_txIndex)
     {
         Transaction storage transaction = transactions[_txIndex];
 
         require(
-            transaction.numConfirmations >= numConfirmationsRequired,
+            getConfirmationCount(_txIndex) >= numConfirmationsRequired,
             "MultiSig: cannot execute tx"
         );
+        require(readyAt[_txIndex] != 0, "MultiSig: tx not queued");
+        require(block.timestamp >= readyAt[_txIndex], "MultiSig: timelock not expired");
 
         transaction.executed = true;
 
@@ -175,20 +284,96 @@ contract MultiSigWallet {
         txExists(_txIndex)
         notExecuted(_txIndex)
     {
-        require(isConfirmed[_txIndex][msg.sender], "MultiSig: tx not confirmed");
+        require(isConfirmed(_txIndex, msg.sender), "MultiSig: tx not confirmed");
 
-        Transaction storage transaction = transactions[_txIndex];
-        transaction.numConfirmations -= 1;
-        isConfirmed[_txIndex][msg.sender] = false;
+        delete _confirmations[_txIndex][msg.sender];
 
         emit RevokeConfirmation(msg.sender, _txIndex);
+
+        if (readyAt[_txIndex] != 0 && getConfirmationCount(_txIndex) < numConfirmationsRequired) {
+            readyAt[_txIndex] = 0;
+            emit CancelQueuedTransaction(_txIndex);
+        }
+    }
+
+    /**
+     * @dev Execute a transaction approved off-chain by EIP-712 signatures from the owners
+     * @param _to Destination address
+     * @param _value Ether value to send
+     * @param _data Transaction data
+     * @param _nonce Must equal the current nonce
+     * @param _signatures Concatenated 65-byte signatures, ordered by ascending signer address
+     * Requirements:
+     * - signatures from at least the required number of distinct owners
+     * - no timelock delay may apply to the call; timelocked calls use confirmTransaction
+     */
+    function execTransactionWithSignatures(
+        address _to,
+        uint256 _value,
+        bytes memory _data,
+        uint256 _nonce,
+        bytes memory _signatures
+    ) public onlyOwner {
+        require(_nonce == nonce, "MultiSig: invalid nonce");
+        require(getDelay(_to, _data) == 0, "MultiSig: call is timelocked");
+
+        _checkSignatures(getTransactionHash(_to, _value, _data, _nonce), _signatures);
+
+        nonce = _nonce + 1;
+
+        (bool success, ) = _to.call{value: _value}(_data);
+        require(success, "MultiSig: tx failed");
+
+        emit ExecuteSignedTransaction(msg.sender, _nonce, _to, _value, _data);
+    }
+
+    /**
+     * @dev Execute a batch of calls atomically (requires multi-sig approval)
+     * @param _calls Calls to execute in order
+     * Requirements:
+     * - must be called by the wallet itself through an executed transaction
+     * - every call must succeed, otherwise the whole batch reverts
+     */
+    function executeBatch(Call[] memory _calls) public onlyWallet {
+        for (uint256 i = 0; i < _calls.length; i++) {
+            (bool success, ) = _calls[i].to.call{value: _calls[i].value}(_calls[i].data);
+            require(success, "MultiSig: batch call failed");
+        }
+
+        emit ExecuteBatch(_calls.length);
+    }
+
+    /**
+     * @dev Vote to cancel a transaction. It is cancelled once the votes reach the
+     * number of required confirmations, and can then never be confirmed or executed.
+     * @param _txIndex Transaction index
+     */
+    function cancelTransaction(uint256 _txIndex)
+        public
+        onlyOwner
+        txExists(_txIndex)
+        notExecuted(_txIndex)
+        notCancelled(_txIndex)
+    {
+        require(!isCancellationConfirmed(_txIndex, msg.sender), "MultiSig: cancellation already confirmed");
+
+        _cancellations[_txIndex][msg.sender] = ownerEpoch[msg.sender] + 1;
+
+        emit CancelConfirmation(msg.sender, _txIndex);
+
+        if (getCancellationCount(_txIndex) >= numConfirmationsRequired) {
+            transactions[_txIndex].cancelled = true;
+            emit CancelTransaction(msg.sender, _txIndex);
+        }
     }
 
     /**
      * @dev Add a new owner (requires multi-sig approval)
      * @param owner Address of new owner
+     * Requirements:
+     * - must be called by the wallet itself through an executed transaction
      */
-    function addOwner(address owner) public onlyOwner {
+    function addOwner(address owner) public onlyWallet {
         require(owner != address(0), "MultiSig: invalid owner");
         require(!isOwner[owner], "MultiSig: owner exists");
 
@@ -199,14 +384,18 @@ contract MultiSigWallet {
     }
 
     /**
-     * @dev Remove an owner (requires multi-sig approval)
+     * @dev Remove an owner (requires multi-sig approval). Their votes on pending
+     * transactions are withdrawn and stay withdrawn if they are added again.
      * @param owner Address of owner to remove
+     * Requirements:
+     * - must be called by the wallet itself through an executed transaction
      */
-    function removeOwner(address owner) public onlyOwner {
+    function removeOwner(address owner) public onlyWallet {
         require(isOwner[owner], "MultiSig: not an owner");
         require(owners.length > numConfirmationsRequired, "MultiSig: cannot remove owner");
 
         isOwner[owner] = false;
+        ownerEpoch[owner] += 1;
         
         for (uint256 i = 0; i < owners.length - 1; i++) {
             if (owners[i] == owner) {
@@ -220,10 +409,40 @@ contract MultiSigWallet {
     }
 
     /**
-     * @dev Change the number of required confirmations
+     * @dev Replace an owner with a new owner (requires multi-sig approval). The old
+     * owner's votes on pending transactions are withdrawn. The new owner starts without
+     * any, including votes it cast as a former owner.
+     * @param owner Address of owner to replace
+     * @param newOwner Address of the new owner
+     * Requirements:
+     * - must be called by the wallet itself through an executed transaction
+     */
+    function replaceOwner(address owner, address newOwner) public onlyWallet {
+        require(isOwner[owner], "MultiSig: not an owner");
+        require(newOwner != address(0), "MultiSig: invalid owner");
+        require(!isOwner[newOwner], "MultiSig: owner exists");
+
+        for (uint256 i = 0; i < owners.length; i++) {
+            if (owners[i] == owner) {
+                owners[i] = newOwner;
+                break;
+            }
+        }
+        isOwner[owner] = false;
+        ownerEpoch[owner] += 1;
+        isOwner[newOwner] = true;
+
+        emit OwnerRemoval(owner);
+        emit OwnerAddition(newOwner);
+    }
+
+    /**
+     * @dev Change the number of required confirmations (requires multi-sig approval)
      * @param _required New number of required confirmations
+     * Requirements:
+     * - must be called by the wallet itself through an executed transaction
      */
-    function changeRequirement(uint256 _required) public onlyOwner {
+    function changeRequirement(uint256 _required) public onlyWallet {
         require(
             _required > 0 && _required <= owners.length,
             "MultiSig: invalid requirement"
@@ -233,7 +452,127 @@ contract MultiSigWallet {
         emit RequirementChange(_required);
     }
 
+    /**
+     * @dev Change the default timelock delay (requires multi-sig approval)
+     * @param _delay Delay in seconds between reaching the threshold and execution
+     * Requirements:
+     * - must be called by the wallet itself through an executed transaction
+     */
+    function setDefaultDelay(uint256 _delay) public onlyWallet {
+        defaultDelay = _delay;
+        emit DelayChange(_delay);
+    }
+
+    /**
+     * @dev Set a timelock delay for calls to a target and/or selector (requires multi-sig approval)
+     * @param _target Destination address, or address(0) for any target
+     * @param _selector Function selector, or bytes4(0) for any function on the target
+     * @param _delay Delay in seconds
+     * Requirements:
+     * - must be called by the wallet itself through an executed transaction
+     * - target and selector cannot both be empty (use setDefaultDelay)
+     */
+    function setDelayOverride(address _target, bytes4 _selector, uint256 _delay) public onlyWallet {
+        require(_target != address(0) || _selector != bytes4(0), "MultiSig: use default delay");
+
+        if (_target == address(0) && !_delayOverrides[_target][_selector].enabled) {
+            _selectorWideOverrides.push(_selector);
+        }
+        _delayOverrides[_target][_selector] = DelayOverride({enabled: true, delay: _delay});
+        emit DelayOverrideChange(_target, _selector, _delay, true);
+    }
+
+    /**
+     * @dev Remove a timelock delay override (requires multi-sig approval)
+     * @param _target Destination address the override applies to
+     * @param _selector Function selector the override applies to
+     * Requirements:
+     * - must be called by the wallet itself through an executed transaction
+     */
+    function removeDelayOverride(address _target, bytes4 _selector) public onlyWallet {
+        require(_delayOverrides[_target][_selector].enabled, "MultiSig: no delay override");
+
+        delete _delayOverrides[_target][_selector];
+        if (_target == address(0)) {
+            for (uint256 i = 0; i < _selectorWideOverrides.length; i++) {
+                if (_selectorWideOverrides[i] == _selector) {
+                    _selectorWideOverrides[i] = _selectorWideOverrides[_selectorWideOverrides.length - 1];
+                    _selectorWideOverrides.pop();
+                    break;
+                }
+            }
+        }
+        emit DelayOverrideChange(_target, _selector, 0, false);
+    }
+
     // View functions
+
+    /**
+     * @dev Returns the EIP-712 domain separator for this wallet on the current chain
+     */
+    function domainSeparator() public view returns (bytes32) {
+        return keccak256(
+            abi.encode(
+                DOMAIN_TYPEHASH,
+                keccak256(bytes("MultiSigWallet")),
+                keccak256(bytes("1")),
+                block.chainid,
+                address(this)
+            )
+        );
+    }
+
+    /**
+     * @dev Returns the EIP-712 digest owners sign to approve a transaction
+     * @param _to Destination address
+     * @param _value Ether value to send
+     * @param _data Transaction data
+     * @param _nonce Wallet nonce the approval is for
+     */
+    function getTransactionHash(
+        address _to,
+        uint256 _value,
+        bytes memory _data,
+        uint256 _nonce
+    ) public view returns (bytes32) {
+        bytes32 structHash = keccak256(
+            abi.encode(TRANSACTION_TYPEHASH, _to, _value, keccak256(_data), _nonce)
+        );
+        return keccak256(abi.encodePacked("\x19\x01", domainSeparator(), structHash));
+    }
+
+    /**
+     * @dev Returns the timelock delay that applies to a call. The most specific
+     * override wins: target and selector, then target, then selector, then the default.
+     * A batch takes the longest delay of the batch itself and any of its calls. A change
+     * that lowers or removes a delay waits at least as long as the delay it lowers.
+     * @param _to Destination address
+     * @param _data Transaction data
+     */
+    function getDelay(address _to, bytes memory _data) public view returns (uint256) {
+        bytes4 selector = _selectorOf(_data);
+        uint256 delay = _configuredDelay(_to, selector);
+
+        if (_to == address(this)) {
+            uint256 loweredDelay = _loweredDelay(selector, _data);
+            if (loweredDelay > delay) {
+                delay = loweredDelay;
+            }
+        }
+
+        if (_to == address(this) && selector == this.executeBatch.selector) {
+            Call[] memory calls = abi.decode(_argumentsOf(_data), (Call[]));
+            for (uint256 i = 0; i < calls.length; i++) {
+                uint256 callDelay = getDelay(calls[i].to, calls[i].data);
+                if (callDelay > delay) {
+                    delay = callDelay;
+                }
+            }
+        }
+
+        return delay;
+    }
+
     function getOwners() public view returns (address[] memory) {
         return owners;
     }
@@ -242,6 +581,49 @@ contract MultiSigWallet {
         return transactions.length;
     }
 
+    /**
+     * @dev Returns whether an owner's confirmation of a transaction counts, i.e. it
+     * was given since the owner was last removed or replaced
+     * @param _txIndex Transaction index
+     * @param _owner Owner address
+     */
+    function isConfirmed(uint256 _txIndex, address _owner) public view returns (bool) {
+        return _confirmations[_txIndex][_owner] == ownerEpoch[_owner] + 1;
+    }
+
+    /**
+     * @dev Returns whether an owner's vote to cancel a transaction counts
+     * @param _txIndex Transaction index
+     * @param _owner Owner address
+     */
+    function isCancellationConfirmed(uint256 _txIndex, address _owner) public view returns (bool) {
+        return _cancellations[_txIndex][_owner] == ownerEpoch[_owner] + 1;
+    }
+
+    /**
+     * @dev Returns the number of current owners who confirmed a transaction
+     * @param _txIndex Transaction index
+     */
+    function getConfirmationCount(uint256 _txIndex) public view returns (uint256 count) {
+        for (uint256 i = 0; i < owners.length; i++) {
+            if (isConfirmed(_txIndex, owners[i])) {
+                count += 1;
+            }
+        }
+    }
+
+    /**
+     * @dev Returns the number of current owners who voted to cancel a transaction
+     * @param _txIndex Transaction index
+     */
+    function getCancellationCount(uint256 _txIndex) public view returns (uint256 count) {
+        for (uint256 i = 0; i < owners.length; i++) {
+            if (isCancellationConfirmed(_txIndex, owners[i])) {
+                count += 1;
+            }
+        }
+    }
+
     function getTransaction(uint256 _txIndex)
         public
         view
@@ -250,17 +632,193 @@ contract MultiSigWallet {
             uint256 value,
             bytes memory data,
             bool executed,
-            uint256 numConfirmations
+            uint256 numConfirmations,
+            uint256 expiresAt,
+            bool cancelled,
+            uint256 numCancellations
         )
     {
         Transaction storage transaction = transactions[_txIndex];
 
-        return (
-            transaction.to,
-            transaction.value,
-            transaction.data,
-            transaction.executed,
-            transaction.numConfirmations
+        to = transaction.to;
+        value = transaction.value;
+        data = transaction.data;
+        executed = transaction.executed;
+        numConfirmations = getConfirmationCount(_txIndex);
+        expiresAt = transaction.expiresAt;
+        cancelled = transaction.cancelled;
+        numCancellations = getCancellationCount(_txIndex);
+    }
+
+    // Internal functions
+
+    /**
+     * @dev Checks that enough distinct owners signed a digest. Ordering the
+     * signatures by signer address rules out counting an owner twice.
+     */
+    function _checkSignatures(bytes32 _hash, bytes memory _signatures) internal view {
+        require(_signatures.length % 65 == 0, "MultiSig: invalid signatures length");
+        uint256 count = _signatures.length / 65;
+        require(count >= numConfirmationsRequired, "MultiSig: not enough signatures");
+
+        address lastSigner = address(0);
+        for (uint256 i = 0; i < count; i++) {
+            address signer = _recoverSigner(_hash, _signatures, i * 65);
+            require(isOwner[signer], "MultiSig: signer not owner");
+            require(signer > lastSigner, "MultiSig: signatures not ordered");
+            lastSigner = signer;
+        }
+    }
+
+    /**
+     * @dev Recovers the signer of a 65-byte (r, s, v) signature at an offset
+     */
+    function _recoverSigner(bytes32 _hash, bytes memory _signatures, uint256 _offset)
+        internal
+        pure
+        returns (address)
+    {
+        bytes32 r;
+        bytes32 s;
+        uint8 v;
+        assembly {
+            let pointer := add(add(_signatures, 32), _offset)
+            r := mload(pointer)
+            s := mload(add(pointer, 32))
+            v := byte(0, mload(add(pointer, 64)))
+        }
+
+        // Reject malleable signatures (upper-range s) as EIP-2 does
+        require(
+            uint256(s) <= 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0,
+            "MultiSig: invalid signature"
         );
+        require(v == 27 || v == 28, "MultiSig: invalid signature");
+
+        address signer = ecrecover(_hash, v, r, s);
+        require(signer != address(0), "MultiSig: invalid signature");
+        return signer;
+    }
+
+    /**
+     * @dev Records a new transaction; an expiry of 0 means it never expires
+     */
+    function _submitTransaction(
+        address _to,
+        uint256 _value,
+        bytes memory _data,
+        uint256 _expiresAt
+    ) internal {
+        uint256 txIndex = transactions.length;
+
+        transactions.push(
+            Transaction({
+                to: _to,
+                value: _value,
+                data: _data,
+                executed: false,
+                expiresAt: _expiresAt,
+                cancelled: false
+            })
+        );
+
+        emit SubmitTransaction(msg.sender, txIndex, _to, _value, _data);
+    }
+
+    /**
+     * @dev Starts the timelock once a transaction reaches the threshold. A transaction
+     * that fell below the threshold when an owner left is queued again from the
+     * confirmation that brings it back, so the new approval waits the full delay.
+     */
+    function _queueIfConfirmed(uint256 _txIndex) internal {
+        uint256 confirmations = getConfirmationCount(_txIndex);
+        if (confirmations < numConfirmationsRequired) {
+            return;
+        }
+        if (readyAt[_txIndex] != 0 && confirmations > numConfirmationsRequired) {
+            return;
+        }
+
+        Transaction storage transaction = transactions[_txIndex];
+        uint256 ready = block.timestamp + getDelay(transaction.to, transaction.data);
+        readyAt[_txIndex] = ready;
+        emit QueueTransaction(_txIndex, ready);
+    }
+
+    /**
+     * @dev Returns the delay configured for a target and selector
+     */
+    function _configuredDelay(address _to, bytes4 _selector) internal view returns (uint256) {
+        DelayOverride storage exact = _delayOverrides[_to][_selector];
+        if (exact.enabled) return exact.delay;
+
+        DelayOverride storage targetWide = _delayOverrides[_to][bytes4(0)];
+        if (targetWide.enabled) return targetWide.delay;
+
+        DelayOverride storage selectorWide = _delayOverrides[address(0)][_selector];
+        if (selectorWide.enabled) return selectorWide.delay;
+
+        return defaultDelay;
+    }
+
+    /**
+     * @dev Returns the delay a timelock change would lower, or 0 if it lowers none. A
+     * new override lowers every delay it shadows: for a target-wide override that
+     * includes all selector-wide overrides, since it takes precedence over them.
+     */
+    function _loweredDelay(bytes4 _selector, bytes memory _data) internal view returns (uint256) {
+        uint256 current;
+        uint256 next;
+
+        if (_selector == this.setDefaultDelay.selector) {
+            current = defaultDelay;
+            next = abi.decode(_argumentsOf(_data), (uint256));
+        } else if (_selector == this.removeDelayOverride.selector) {
+            (address target, bytes4 selector) = abi.decode(_argumentsOf(_data), (address, bytes4));
+            current = _delayOverrides[target][selector].delay;
+        } else if (_selector == this.setDelayOverride.selector) {
+            (address target, bytes4 selector, uint256 delay) = abi.decode(_argumentsOf(_data), (address, bytes4, uint256));
+            current = _configuredDelay(target, selector);
+            if (target != address(0) && selector == bytes4(0)) {
+                for (uint256 i = 0; i < _selectorWideOverrides.length; i++) {
+                    uint256 shadowed = _delayOverrides[address(0)][_selectorWideOverrides[i]].delay;
+                    if (shadowed > current) {
+                        current = shadowed;
+                    }
+                }
+            }
+            next = delay;
+        }
+
+        return next < current ? current : 0;
+    }
+
+    /**
+     * @dev Returns a copy of calldata without its 4-byte selector
+     */
+    function _argumentsOf(bytes memory _data) internal pure returns (bytes memory args) {
+        require(_data.length >= 4, "MultiSig: invalid calldata");
+        uint256 length = _data.length - 4;
+
+        assembly {
+            args := mload(0x40)
+            mstore(args, length)
+            let src := add(_data, 36)
+            let dst := add(args, 32)
+            for { let i := 0 } lt(i, length) { i := add(i, 32) } {
+                mstore(add(dst, i), mload(add(src, i)))
+            }
+            mstore(0x40, add(dst, and(add(length, 31), not(31))))
+        }
+    }
+
+    /**
+     * @dev Returns the function selector of calldata, or bytes4(0) if there is none
+     */
+    function _selectorOf(bytes memory _data) internal pure returns (bytes4) {
+        if (_data.length < 4) {
+            return bytes4(0);
+        }
+        return bytes4(_data[0]) | (bytes4(_data[1]) >> 8) | (bytes4(_data[2]) >> 16) | (bytes4(_data[3]) >> 24);
     }
 }
\ No newline at end of file
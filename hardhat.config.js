@@ -1,6 +1,8 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("@nomicfoundation/hardhat-verify"); // Required for verification
 require("dotenv").config();
+require("./tasks/multisig");
+require("./tasks/gngn");
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
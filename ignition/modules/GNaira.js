@@ -0,0 +1,21 @@
+// Hardhat Ignition module for the G-Naira system: deploys the MultiSigWallet
+// and GNaira through GNairaContractsModule, then nominates the wallet as
+// governor. The wallet takes over once its owners execute an acceptGovernor
+// proposal (`npx hardhat multisig:propose acceptGovernor`).
+// Learn more about Ignition at https://hardhat.org/ignition
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const GNairaContractsModule = require("./GNairaContracts");
+
+module.exports = buildModule("GNairaModule", (m) => {
+  const { multiSigWallet, gNaira } = m.useModule(GNairaContractsModule);
+
+  // Only the governor can nominate, so this step needs GNairaContractsModule's
+  // initialGovernor to be the first account (its default)
+  m.call(gNaira, "setGovernor", [multiSigWallet], {
+    id: "NominateGovernor",
+    from: m.getAccount(0),
+  });
+
+  return { multiSigWallet, gNaira };
+});
@@ -0,0 +1,19 @@
+// Hardhat Ignition module that deploys the MultiSigWallet and GNaira without
+// touching the governor role. Use it on its own when the initial governor is
+// not one of the deploying accounts: that governor then nominates the wallet
+// with `setGovernor(<wallet address>)` and the owners take over with
+// `npx hardhat multisig:propose acceptGovernor`.
+// Learn more about Ignition at https://hardhat.org/ignition
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+module.exports = buildModule("GNairaContractsModule", (m) => {
+  const owners = m.getParameter("owners");
+  const threshold = m.getParameter("threshold");
+  const initialGovernor = m.getParameter("initialGovernor", m.getAccount(0));
+
+  const multiSigWallet = m.contract("MultiSigWallet", [owners, threshold]);
+  const gNaira = m.contract("GNaira", [initialGovernor]);
+
+  return { multiSigWallet, gNaira };
+});
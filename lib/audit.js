@@ -0,0 +1,306 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { createIndexer, createMemoryStore } = require("./indexer");
+const { formatDecodedCall } = require("./calldata");
+
+const REPORT_VERSION = 1;
+
+/**
+ * GNaira calls whose effect is checked against the token's events. A null
+ * account means the call burns the caller's own balance, i.e. the wallet's.
+ */
+const EXPECTED_EVENTS = {
+    mint: { event: "Mint", account: "to" },
+    batchMint: { event: "Mint", account: "to" },
+    burn: { event: "Burn", account: null },
+    burnFrom: { event: "Burn", account: "account" },
+    wipeFunds: { event: "Burn", account: "account" },
+};
+
+/**
+ * Queries a contract's events in block-range batches.
+ */
+async function queryInBatches(contract, eventName, fromBlock, toBlock, batchSize) {
+    const events = [];
+    for (let start = fromBlock; start <= toBlock; start += batchSize) {
+        events.push(...await contract.queryFilter(eventName, start, Math.min(start + batchSize - 1, toBlock)));
+    }
+    return events;
+}
+
+/**
+ * Lists the Mint/Burn events a decoded proposal executed by `walletAddress`
+ * should produce, one per recipient, looking inside MultiSig batches and
+ * GNaira batchMint calls.
+ * @returns {{call: object, event: string, account: string, amount: bigint}[]}
+ */
+function expectedSupplyEvents(decoded, walletAddress) {
+    const calls = (decoded.calls || [decoded])
+        .filter((call) => call.targetContract === "GNaira" && EXPECTED_EVENTS[call.name]);
+
+    return calls.flatMap((call) => {
+        const expected = EXPECTED_EVENTS[call.name];
+        const accounts = expected.account ? call.args.find((arg) => arg.name === expected.account).value : walletAddress;
+        const amounts = call.args.find((arg) => /^amounts?$/.test(arg.name)).value;
+        if (call.name === "batchMint") {
+            return accounts.map((account, i) => ({ call, event: expected.event, account, amount: amounts[i] }));
+        }
+        return [{ call, event: expected.event, account: accounts, amount: amounts }];
+    });
+}
+
+/**
+ * Collects every MultiSigWallet execution (on-chain confirmations and
+ * signature bundles) in the block range with its decoded call.
+ */
+async function loadExecutions(multiSigWallet, decode, fromBlock, toBlock, batchSize) {
+    const executions = [];
+    for (const event of await queryInBatches(multiSigWallet, "ExecuteTransaction", fromBlock, toBlock, batchSize)) {
+        const tx = await multiSigWallet.getTransaction(event.args.txIndex);
+        executions.push({
+            source: `txIndex ${event.args.txIndex}`,
+            transactionHash: event.transactionHash,
+            decoded: decode(tx.to, tx.data),
+        });
+    }
+    for (const event of await queryInBatches(multiSigWallet, "ExecuteSignedTransaction", fromBlock, toBlock, batchSize)) {
+        executions.push({
+            source: `signed nonce ${event.args.nonce}`,
+            transactionHash: event.transactionHash,
+            decoded: decode(event.args.to, event.args.data),
+        });
+    }
+    return executions;
+}
+
+/**
+ * Reconciles GNaira's supply with its events and checks executed multisig
+ * mint and burn proposals against the Mint/Burn events they produced. Mint
+ * and Burn events in transactions the wallet did not execute are listed as
+ * made outside the MultiSig.
+ *
+ * Supply checks, all at `toBlock`: totalSupply() against the sum of on-chain
+ * balances of every holder seen in Transfer events, against supply rebuilt
+ * from Transfer events, and against cumulative Mint minus Burn events; each
+ * holder's rebuilt balance is also compared with balanceOf().
+ *
+ * @param {object} contracts
+ * @param {object} contracts.gNaira GNaira ethers contract
+ * @param {object} [contracts.multiSigWallet] MultiSigWallet ethers contract; proposals are skipped without it
+ * @param {Function} [contracts.decode] Calldata decoder from createCalldataDecoder
+ * @param {object} [options]
+ * @param {number} [options.startBlock] GNaira deployment block
+ * @param {number} [options.toBlock] Block to audit at (defaults to the head)
+ * @param {number} [options.batchSize] Blocks per log request
+ */
+async function auditSupply({ gNaira, multiSigWallet, decode }, { startBlock = 0, toBlock, batchSize = 2000 } = {}) {
+    const provider = gNaira.runner.provider;
+    const auditBlock = toBlock === undefined ? await provider.getBlockNumber() : toBlock;
+    const { chainId } = await provider.getNetwork();
+    const discrepancies = [];
+
+    // Rebuild the ledger from events
+    const store = createMemoryStore();
+    const indexer = createIndexer(gNaira, { store, startBlock, batchSize });
+    await indexer.sync(auditBlock);
+    const ledger = await indexer.getLedger();
+    const events = await indexer.getEvents();
+
+    // Supply reconciliation
+    const onChainSupply = await gNaira.totalSupply({ blockTag: auditBlock });
+    const mintedMinusBurned = BigInt(ledger.totalMinted) - BigInt(ledger.totalBurned);
+    const holders = [];
+    let sumOfBalances = 0n;
+
+    const seen = new Set();
+    for (const event of events) {
+        if (event.name === "Transfer") {
+            [event.args.from, event.args.to].forEach((account) => account !== ethers.ZeroAddress && seen.add(account));
+        }
+    }
+    for (const account of seen) {
+        const onChain = await gNaira.balanceOf(account, { blockTag: auditBlock });
+        const fromEvents = BigInt(ledger.balances[account] || 0);
+        sumOfBalances += onChain;
+        if (onChain !== 0n || fromEvents !== 0n) {
+            holders.push({ account, onChain: onChain.toString(), fromEvents: fromEvents.toString() });
+        }
+        if (onChain !== fromEvents) {
+            discrepancies.push({
+                check: "holderBalance",
+                source: account,
+                detail: `balanceOf is ${onChain} but events give ${fromEvents}`,
+            });
+        }
+    }
+
+    const supplyChecks = [
+        ["sumOfBalances", sumOfBalances],
+        ["supplyFromTransfers", BigInt(ledger.totalSupply)],
+        ["mintedMinusBurned", mintedMinusBurned],
+    ];
+    for (const [check, value] of supplyChecks) {
+        if (value !== onChainSupply) {
+            discrepancies.push({ check, source: "totalSupply", detail: `totalSupply() is ${onChainSupply} but ${check} is ${value}` });
+        }
+    }
+
+    // Multisig proposals against Mint/Burn events
+    const proposals = [];
+    const unmatched = { Mint: [], Burn: [] };
+    const consumed = new Set();
+    const executedByWallet = new Set();
+    if (multiSigWallet) {
+        const walletAddress = await multiSigWallet.getAddress();
+        const executions = await loadExecutions(multiSigWallet, decode, startBlock, auditBlock, batchSize);
+        for (const execution of executions) {
+            executedByWallet.add(execution.transactionHash);
+            const txEvents = events.filter((event) => event.transactionHash === execution.transactionHash);
+            for (const expected of expectedSupplyEvents(execution.decoded, walletAddress)) {
+                const match = txEvents.find((event) => !consumed.has(event) &&
+                    event.name === expected.event &&
+                    Object.values(event.args)[0] === expected.account &&
+                    BigInt(event.args.amount) === expected.amount);
+
+                const summary = formatDecodedCall({ ...expected.call, warnings: [] });
+                const payment = `${expected.event}(${expected.account}, ${ethers.formatUnits(expected.amount, 18)} gNGN)`;
+                proposals.push({
+                    source: execution.source,
+                    transactionHash: execution.transactionHash,
+                    call: expected.call.name === "batchMint" ? `${payment} in GNaira.batchMint` : summary,
+                    matched: Boolean(match),
+                });
+                if (match) {
+                    consumed.add(match);
+                } else {
+                    discrepancies.push({
+                        check: "proposalEvent",
+                        source: execution.source,
+                        detail: `${summary} has no matching ${payment} event in ${execution.transactionHash}`,
+                    });
+                }
+            }
+        }
+    }
+    for (const event of events) {
+        if ((event.name === "Mint" || event.name === "Burn") && !executedByWallet.has(event.transactionHash)) {
+            unmatched[event.name].push({
+                account: Object.values(event.args)[0],
+                amount: event.args.amount,
+                transactionHash: event.transactionHash,
+            });
+        }
+    }
+
+    return {
+        version: REPORT_VERSION,
+        generatedAt: new Date().toISOString(),
+        chainId: chainId.toString(),
+        blockNumber: auditBlock,
+        gNaira: await gNaira.getAddress(),
+        multiSigWallet: multiSigWallet ? await multiSigWallet.getAddress() : null,
+        supply: {
+            totalSupply: onChainSupply.toString(),
+            sumOfBalances: sumOfBalances.toString(),
+            supplyFromTransfers: ledger.totalSupply,
+            totalMinted: ledger.totalMinted,
+            totalBurned: ledger.totalBurned,
+            mintedMinusBurned: mintedMinusBurned.toString(),
+        },
+        holders,
+        proposals,
+        // Mints and burns in transactions the MultiSig did not execute, i.e. made directly by a role holder
+        mintsOutsideMultisig: unmatched.Mint,
+        burnsOutsideMultisig: unmatched.Burn,
+        discrepancies,
+        status: discrepancies.length === 0 ? "PASS" : "FAIL",
+    };
+}
+
+function reportDigest(report) {
+    const { signOff, ...body } = report;
+    return ethers.hashMessage(JSON.stringify(body));
+}
+
+/**
+ * Signs a report off with `signer`, adding a `signOff` section that
+ * verifyReport can check.
+ */
+async function signReport(report, signer) {
+    const { signOff, ...body } = report;
+    const signature = await signer.signMessage(JSON.stringify(body));
+    return {
+        ...body,
+        signOff: {
+            signer: await signer.getAddress(),
+            digest: reportDigest(body),
+            signature,
+        },
+    };
+}
+
+/**
+ * Returns the address that signed a report, throwing if the report was
+ * changed after sign-off.
+ */
+function verifyReport(report) {
+    if (!report.signOff) {
+        throw new Error("Report is not signed");
+    }
+    const { signOff, ...body } = report;
+    const signer = ethers.verifyMessage(JSON.stringify(body), signOff.signature);
+    if (signer !== signOff.signer) {
+        throw new Error(`Report signature is from ${signer}, not ${signOff.signer}`);
+    }
+    return signer;
+}
+
+/**
+ * Renders a report as CSV: one row per check, then one row per discrepancy.
+ */
+function reportToCsv(report) {
+    const rows = [["section", "check", "source", "expected", "actual", "status"]];
+    const supply = report.supply;
+    for (const check of ["sumOfBalances", "supplyFromTransfers", "mintedMinusBurned"]) {
+        rows.push(["supply", check, "totalSupply", supply.totalSupply, supply[check],
+            supply[check] === supply.totalSupply ? "OK" : "MISMATCH"]);
+    }
+    for (const holder of report.holders) {
+        rows.push(["holder", "holderBalance", holder.account, holder.onChain, holder.fromEvents,
+            holder.onChain === holder.fromEvents ? "OK" : "MISMATCH"]);
+    }
+    for (const proposal of report.proposals) {
+        rows.push(["proposal", proposal.call, proposal.source, "event", proposal.matched ? "event" : "none",
+            proposal.matched ? "OK" : "MISSING"]);
+    }
+    for (const discrepancy of report.discrepancies) {
+        rows.push(["discrepancy", discrepancy.check, discrepancy.source, "", discrepancy.detail, "FLAGGED"]);
+    }
+    if (report.signOff) {
+        rows.push(["signOff", "signer", report.signOff.signer, report.signOff.digest, report.signOff.signature, report.status]);
+    }
+
+    const escape = (value) => (/[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value));
+    return rows.map((row) => row.map(escape).join(",")).join("\n") + "\n";
+}
+
+/**
+ * Writes `<prefix>.json` and `<prefix>.csv`.
+ * @returns {{json: string, csv: string}} file paths
+ */
+function writeReport(report, prefix) {
+    fs.mkdirSync(path.dirname(prefix), { recursive: true });
+    const files = { json: `${prefix}.json`, csv: `${prefix}.csv` };
+    fs.writeFileSync(files.json, JSON.stringify(report, null, 2) + "\n");
+    fs.writeFileSync(files.csv, reportToCsv(report));
+    return files;
+}
+
+module.exports = {
+    auditSupply,
+    signReport,
+    verifyReport,
+    reportToCsv,
+    writeReport,
+};
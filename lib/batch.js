@@ -0,0 +1,54 @@
+const fs = require("fs");
+const { parseCsv } = require("./csv");
+const { GOVERNOR_ACTIONS, encodeGovernorAction } = require("./governorActions");
+
+/**
+ * Builds MultiSigWallet batch calls from a CSV of GNaira governor actions.
+ *
+ *   action,address,amount
+ *   unBlacklist,0x...,
+ *   mint,0x...,1000
+ *
+ * `address` fills the action's address argument and `amount` is in gNGN.
+ * @param {object} gNairaInterface ethers Interface of GNaira
+ * @param {string} gNairaAddress GNaira deployment the calls target
+ * @param {string} csv CSV contents
+ * @returns {{to: string, value: bigint, data: string}[]}
+ */
+function buildBatchFromCsv(gNairaInterface, gNairaAddress, csv) {
+    const calls = parseCsv(csv).map(({ line, values }) => {
+        const argumentNames = GOVERNOR_ACTIONS[values.action] || [];
+        const addressName = argumentNames.find((name) => name !== "amount");
+        const options = { amount: values.amount };
+        if (addressName) {
+            options[addressName] = values.address;
+        }
+
+        try {
+            return {
+                to: gNairaAddress,
+                value: 0n,
+                data: encodeGovernorAction(gNairaInterface, values.action, options),
+            };
+        } catch (error) {
+            throw new Error(`line ${line}: ${error.message}`);
+        }
+    });
+
+    if (calls.length === 0) {
+        throw new Error("CSV contains no actions");
+    }
+    return calls;
+}
+
+/**
+ * Reads a CSV file of GNaira governor actions into batch calls.
+ */
+function loadBatchFile(gNairaInterface, gNairaAddress, file) {
+    return buildBatchFromCsv(gNairaInterface, gNairaAddress, fs.readFileSync(file, "utf8"));
+}
+
+module.exports = {
+    buildBatchFromCsv,
+    loadBatchFile,
+};
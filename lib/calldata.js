@@ -0,0 +1,152 @@
+const { ethers } = require("ethers");
+
+/** Contracts whose ABIs are used for decoding, in match priority order. */
+const KNOWN_CONTRACTS = ["GNaira", "MultiSigWallet", "TestContract"];
+
+/**
+ * Formats a decoded argument value. uint256 amounts and limits passed to
+ * GNaira are gNGN and shown with 18 decimals (or "unlimited"); GNaira reason
+ * codes and case IDs are shown as text. Array items are formatted by the
+ * array parameter's name, so `amounts` lists gNGN values.
+ */
+function formatValue(contractName, param, value, name = param.name) {
+    if (param.baseType === "array") {
+        return `[${value.map((item) => formatValue(contractName, param.arrayChildren, item, name)).join(", ")}]`;
+    }
+    if (param.baseType === "tuple") {
+        return `(${param.components.map((component, i) => formatValue(contractName, component, value[i])).join(", ")})`;
+    }
+    if (contractName === "GNaira" && param.type === "uint256" && /amount|allowance|supply|perTransaction|daily|levy|threshold/i.test(name)) {
+        return value === ethers.MaxUint256 ? "unlimited" : `${ethers.formatUnits(value, 18)} gNGN`;
+    }
+    if (contractName === "GNaira" && param.type === "bytes32" && /reason|caseId/i.test(name)) {
+        try {
+            return ethers.decodeBytes32String(value);
+        } catch {
+            return value;
+        }
+    }
+    return value.toString();
+}
+
+function decodeWith(contractName, iface, data) {
+    const parsed = iface.parseTransaction({ data });
+    if (!parsed) {
+        return null;
+    }
+
+    const args = parsed.fragment.inputs.map((param, i) => ({
+        name: param.name,
+        type: param.type,
+        value: parsed.args[i],
+        display: formatValue(contractName, param, parsed.args[i]),
+    }));
+
+    return {
+        contract: contractName,
+        name: parsed.name,
+        signature: parsed.signature,
+        selector: parsed.selector,
+        args,
+    };
+}
+
+/**
+ * Creates a decoder for MultiSigWallet transaction calldata.
+ * @param {object} artifacts Hardhat artifacts (`hre.artifacts`)
+ * @param {{gNaira: string, multiSigWallet: (string|undefined)}} deployment Known deployment addresses
+ * @returns {function(string, string): object} decode(to, data)
+ */
+function createCalldataDecoder(artifacts, deployment) {
+    const interfaces = KNOWN_CONTRACTS.map((contractName) => [
+        contractName,
+        new ethers.Interface(artifacts.readArtifactSync(contractName).abi),
+    ]);
+    const knownTargets = {};
+    knownTargets[ethers.getAddress(deployment.gNaira)] = "GNaira";
+    if (deployment.multiSigWallet) {
+        knownTargets[ethers.getAddress(deployment.multiSigWallet)] = "MultiSigWallet";
+    }
+
+    return function decode(to, data) {
+        const target = ethers.getAddress(to);
+        const targetContract = knownTargets[target] || null;
+        const warnings = [];
+
+        if (!targetContract) {
+            warnings.push(`target ${target} is not the known GNaira deployment`);
+        }
+        if (!data || data === "0x") {
+            return { to: target, targetContract, contract: null, name: null, selector: null, args: [], warnings };
+        }
+
+        // Prefer the target's own ABI, then fall back to any known ABI
+        const candidates = targetContract
+            ? interfaces.filter(([contractName]) => contractName === targetContract)
+            : interfaces;
+
+        // Calldata shorter than a selector, or with arguments cut off, cannot be
+        // parsed; it is flagged rather than thrown so one bad proposal does not
+        // break listings and monitoring
+        const selector = ethers.dataLength(data) < 4 ? data : ethers.dataSlice(data, 0, 4);
+        const malformed = () => {
+            warnings.push(`malformed calldata for ${selector}`);
+            return { to: target, targetContract, contract: null, name: null, selector, args: [], malformed: true, warnings };
+        };
+        if (ethers.dataLength(data) < 4) {
+            return malformed();
+        }
+
+        for (const [contractName, iface] of candidates) {
+            let decoded;
+            try {
+                decoded = decodeWith(contractName, iface, data);
+            } catch {
+                return malformed();
+            }
+            if (!decoded) {
+                continue;
+            }
+
+            // Batches are decoded call by call so signers see what each one does
+            if (contractName === "MultiSigWallet" && decoded.name === "executeBatch") {
+                decoded.calls = decoded.args[0].value.map((call) => decode(call.to, call.data));
+                decoded.calls.forEach((call, i) => {
+                    call.warnings.forEach((warning) => warnings.push(`call #${i}: ${warning}`));
+                });
+            }
+            return { to: target, targetContract, ...decoded, warnings };
+        }
+
+        warnings.push(`unknown selector ${selector}`);
+        return { to: target, targetContract, contract: null, name: null, selector, args: [], warnings };
+    };
+}
+
+/**
+ * Renders a decoded call as a single line, e.g.
+ * `GNaira.mint(to: 0x..., amount: 1000.0 gNGN)`. Batches list their calls.
+ */
+function formatDecodedCall(decoded) {
+    let call;
+    if (decoded.calls) {
+        const calls = decoded.calls.map((inner) => formatDecodedCall({ ...inner, warnings: [] }));
+        call = `${decoded.contract}.${decoded.name}([${calls.join("; ")}])`;
+    } else if (decoded.name) {
+        const args = decoded.args.map((arg) => `${arg.name}: ${arg.display}`).join(", ");
+        call = `${decoded.contract}.${decoded.name}(${args})`;
+    } else if (decoded.malformed) {
+        call = `malformed call ${decoded.selector}`;
+    } else if (decoded.selector) {
+        call = `unknown call ${decoded.selector}`;
+    } else {
+        call = "(no calldata)";
+    }
+    return decoded.warnings.length > 0 ? `${call} ⚠️  ${decoded.warnings.join("; ")}` : call;
+}
+
+module.exports = {
+    KNOWN_CONTRACTS,
+    createCalldataDecoder,
+    formatDecodedCall,
+};
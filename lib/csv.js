@@ -0,0 +1,43 @@
+/**
+ * Parses simple comma-separated text with a header row into objects keyed by
+ * column name. Blank lines and lines starting with # are skipped. Quoted
+ * fields are not supported, which is enough for addresses and amounts.
+ * @param {string} text CSV contents
+ * @returns {{line: number, values: object}[]} Rows with their 1-based line numbers
+ */
+function parseCsv(text) {
+    const lines = text.split(/\r?\n/);
+    const rows = [];
+    let header = null;
+
+    lines.forEach((raw, i) => {
+        const content = raw.trim();
+        if (content === "" || content.startsWith("#")) {
+            return;
+        }
+
+        const cells = content.split(",").map((cell) => cell.trim());
+        if (header === null) {
+            header = cells;
+            return;
+        }
+        if (cells.length > header.length) {
+            throw new Error(`line ${i + 1}: expected at most ${header.length} columns, got ${cells.length}`);
+        }
+
+        const values = {};
+        header.forEach((column, j) => {
+            values[column] = cells[j] === undefined ? "" : cells[j];
+        });
+        rows.push({ line: i + 1, values });
+    });
+
+    if (header === null) {
+        throw new Error("CSV has no header row");
+    }
+    return rows;
+}
+
+module.exports = {
+    parseCsv,
+};
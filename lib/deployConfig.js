@@ -0,0 +1,146 @@
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const { ethers } = require("ethers");
+
+const CONFIG_DIR = path.join(__dirname, "..", "deploy-config");
+const CONFIG_EXTENSIONS = [".json", ".yaml", ".yml"];
+// Networks that share another network's config when they have none of their own
+const CONFIG_FALLBACKS = { localhost: "hardhat" };
+// Owner entry replaced with the deploying account's address
+const DEPLOYER_OWNER = "deployer";
+
+/**
+ * Finds the deployment config file for a network.
+ * DEPLOY_CONFIG overrides the lookup in deploy-config/; networks listed in
+ * CONFIG_FALLBACKS use their fallback's file when they have none.
+ */
+function resolveConfigPath(network, dir = CONFIG_DIR) {
+    if (process.env.DEPLOY_CONFIG) {
+        return path.resolve(process.env.DEPLOY_CONFIG);
+    }
+
+    for (const name of [network, CONFIG_FALLBACKS[network]].filter(Boolean)) {
+        for (const extension of CONFIG_EXTENSIONS) {
+            const candidate = path.join(dir, name + extension);
+            if (fs.existsSync(candidate)) {
+                return candidate;
+            }
+        }
+    }
+
+    throw new Error(`No deployment config found for network "${network}" in ${dir}`);
+}
+
+function parseConfigFile(configPath) {
+    const contents = fs.readFileSync(configPath, "utf8");
+    return path.extname(configPath) === ".json" ? JSON.parse(contents) : yaml.load(contents);
+}
+
+function checkAddress(value, label, problems) {
+    if (typeof value !== "string" || !ethers.isAddress(value)) {
+        problems.push(`${label} is not a valid address: ${value}`);
+        return null;
+    }
+    const address = ethers.getAddress(value);
+    if (address === ethers.ZeroAddress) {
+        problems.push(`${label} is the zero address`);
+        return null;
+    }
+    return address;
+}
+
+/**
+ * Validates a raw deployment config and returns it normalised.
+ * Applies the same rules as the MultiSigWallet constructor so a bad
+ * config fails before any transaction is sent.
+ * @param {object} raw Parsed config file contents
+ * @param {{deployer: (string|undefined)}} [options] Address substituted for "deployer" owner entries
+ * @returns {{owners: string[], threshold: number, initialGovernor: (string|null), initialMints: {to: string, amount: bigint}[]}}
+ */
+function validateDeployConfig(raw, { deployer } = {}) {
+    const problems = [];
+    const config = raw || {};
+
+    const owners = [];
+    if (!Array.isArray(config.owners) || config.owners.length === 0) {
+        problems.push("owners must be a non-empty list");
+    } else {
+        const seen = new Set();
+        config.owners.forEach((owner, i) => {
+            if (owner === DEPLOYER_OWNER && !deployer) {
+                problems.push(`owners[${i}] is "${DEPLOYER_OWNER}" but no deployer address was given`);
+                return;
+            }
+            const address = checkAddress(owner === DEPLOYER_OWNER ? deployer : owner, `owners[${i}]`, problems);
+            if (address === null) return;
+            if (seen.has(address)) {
+                problems.push(`owners[${i}] is a duplicate owner: ${address}`);
+                return;
+            }
+            seen.add(address);
+            owners.push(address);
+        });
+    }
+
+    const threshold = config.threshold;
+    if (!Number.isInteger(threshold) || threshold < 1 || threshold > (config.owners || []).length) {
+        problems.push(`threshold must be an integer between 1 and the number of owners, got ${threshold}`);
+    }
+
+    let initialGovernor = null;
+    if (config.initialGovernor !== undefined && config.initialGovernor !== null) {
+        initialGovernor = checkAddress(config.initialGovernor, "initialGovernor", problems);
+    }
+
+    const initialMints = [];
+    if (config.initialMints !== undefined && !Array.isArray(config.initialMints)) {
+        problems.push("initialMints must be a list");
+    } else {
+        (config.initialMints || []).forEach((mint, i) => {
+            const to = checkAddress(mint && mint.to, `initialMints[${i}].to`, problems);
+            let amount = null;
+            try {
+                amount = ethers.parseUnits(String(mint && mint.amount), 18);
+            } catch (error) {
+                problems.push(`initialMints[${i}].amount is not a valid gNGN amount: ${mint && mint.amount}`);
+            }
+            if (amount !== null && amount <= 0n) {
+                problems.push(`initialMints[${i}].amount must be positive`);
+            }
+            if (to !== null && amount !== null) {
+                initialMints.push({ to, amount });
+            }
+        });
+    }
+
+    if (problems.length > 0) {
+        throw new Error("Invalid deployment config:\n  - " + problems.join("\n  - "));
+    }
+
+    return { owners, threshold, initialGovernor, initialMints };
+}
+
+/**
+ * Loads and validates the deployment config for a network.
+ * @param {string} network Hardhat network name
+ * @param {{dir: (string|undefined), deployer: (string|undefined)}} [options] Config directory and deploying account
+ */
+function loadDeployConfig(network, { dir = CONFIG_DIR, deployer } = {}) {
+    const configPath = resolveConfigPath(network, dir);
+    let config;
+    try {
+        config = validateDeployConfig(parseConfigFile(configPath), { deployer });
+    } catch (error) {
+        error.message = `${configPath}: ${error.message}`;
+        throw error;
+    }
+    return { ...config, path: configPath };
+}
+
+module.exports = {
+    CONFIG_DIR,
+    resolveConfigPath,
+    validateDeployConfig,
+    loadDeployConfig,
+};
@@ -0,0 +1,119 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+const MANIFEST_VERSION = 1;
+
+function manifestPath(network, dir = DEPLOYMENTS_DIR) {
+    return path.join(dir, `${network}.json`);
+}
+
+/**
+ * Returns the keccak256 hash of a contract ABI, used to spot manifests
+ * that no longer match the compiled artifacts.
+ */
+function abiHash(abi) {
+    return ethers.keccak256(ethers.toUtf8Bytes(JSON.stringify(abi)));
+}
+
+/**
+ * Builds the manifest entry for a freshly deployed contract.
+ * @param {object} hre Hardhat runtime environment
+ * @param {string} contractName Artifact name
+ * @param {object} contract Deployed ethers contract
+ * @param {Array} constructorArgs Arguments passed to the constructor
+ */
+async function describeDeployment(hre, contractName, contract, constructorArgs) {
+    const artifact = await hre.artifacts.readArtifact(contractName);
+    const deploymentTx = contract.deploymentTransaction();
+    const receipt = deploymentTx ? await deploymentTx.wait() : null;
+
+    return {
+        address: await contract.getAddress(),
+        constructorArgs,
+        transactionHash: deploymentTx ? deploymentTx.hash : null,
+        blockNumber: receipt ? receipt.blockNumber : null,
+        abiHash: abiHash(artifact.abi),
+    };
+}
+
+/**
+ * Writes deployments/<network>.json.
+ * @param {string} network Network name
+ * @param {{chainId: number, deployer: string, contracts: object}} deployment
+ */
+function writeManifest(network, deployment, dir = DEPLOYMENTS_DIR) {
+    const manifest = {
+        version: MANIFEST_VERSION,
+        network,
+        chainId: Number(deployment.chainId),
+        deployer: deployment.deployer,
+        deployedAt: new Date().toISOString(),
+        contracts: deployment.contracts,
+    };
+
+    fs.mkdirSync(dir, { recursive: true });
+    const file = manifestPath(network, dir);
+    fs.writeFileSync(
+        file,
+        JSON.stringify(manifest, (key, value) => (typeof value === "bigint" ? value.toString() : value), 2) + "\n"
+    );
+    return file;
+}
+
+/**
+ * Reads deployments/<network>.json.
+ */
+function readManifest(network, dir = DEPLOYMENTS_DIR) {
+    const file = manifestPath(network, dir);
+    if (!fs.existsSync(file)) {
+        throw new Error(`No deployment manifest for network "${network}" at ${file}`);
+    }
+
+    const manifest = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (manifest.version !== MANIFEST_VERSION) {
+        throw new Error(`Unsupported manifest version ${manifest.version} in ${file}`);
+    }
+    return manifest;
+}
+
+/**
+ * Returns GNaira and MultiSigWallet instances for the current network,
+ * connected to `signer` (or the first Hardhat signer).
+ */
+async function getDeployedContracts(hre = require("hardhat"), { signer, dir } = {}) {
+    const manifest = readManifest(hre.network.name, dir);
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    if (BigInt(manifest.chainId) !== chainId) {
+        throw new Error(`Manifest chainId ${manifest.chainId} does not match connected chain ${chainId}`);
+    }
+
+    const connect = async (contractName) => {
+        const entry = manifest.contracts[contractName];
+        if (!entry) {
+            throw new Error(`${contractName} is missing from the ${manifest.network} manifest`);
+        }
+        const artifact = await hre.artifacts.readArtifact(contractName);
+        if (abiHash(artifact.abi) !== entry.abiHash) {
+            console.warn(`⚠️  ${contractName} ABI differs from the one recorded at deployment`);
+        }
+        return hre.ethers.getContractAt(contractName, entry.address, signer);
+    };
+
+    return {
+        gNaira: await connect("GNaira"),
+        multiSigWallet: await connect("MultiSigWallet"),
+        manifest,
+    };
+}
+
+module.exports = {
+    DEPLOYMENTS_DIR,
+    MANIFEST_VERSION,
+    abiHash,
+    describeDeployment,
+    writeManifest,
+    readManifest,
+    getDeployedContracts,
+};
@@ -0,0 +1,340 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { parseCsv } = require("./csv");
+
+const PROGRESS_VERSION = 1;
+
+/** GNaira batch function each mode calls to pay a chunk from the wallet. */
+const DISBURSEMENT_MODES = {
+    mint: { functionName: "batchMint" },
+    transfer: { functionName: "batchTransfer" },
+};
+
+/**
+ * Parses and checks a disbursement CSV with address,amount,reference
+ * columns. Every problem is collected rather than stopping at the first one:
+ * invalid or mis-checksummed addresses, the zero address, amounts that are
+ * not positive gNGN values, missing or repeated references, and recipients
+ * listed more than once. Single-case addresses carry no checksum and are
+ * accepted with a warning.
+ *
+ * @param {string} csv CSV contents
+ * @returns {{rows: {line: number, address: string, amount: bigint, reference: string}[], total: bigint, errors: string[], warnings: string[]}}
+ */
+function parseDisbursement(csv) {
+    const errors = [];
+    const warnings = [];
+    const rows = [];
+    const byAddress = new Map();
+    const byReference = new Map();
+    let total = 0n;
+
+    for (const { line, values } of parseCsv(csv)) {
+        const problems = [];
+
+        let address = null;
+        if (!values.address) {
+            problems.push("address is missing");
+        } else if (!ethers.isAddress(values.address)) {
+            problems.push(/[a-f]/.test(values.address) && /[A-F]/.test(values.address)
+                ? `address ${values.address} has an invalid checksum`
+                : `${values.address} is not a valid address`);
+        } else {
+            address = ethers.getAddress(values.address);
+            if (address === ethers.ZeroAddress) {
+                problems.push("address is the zero address");
+            } else if (values.address !== address) {
+                warnings.push(`line ${line}: ${values.address} is not checksummed`);
+            }
+        }
+
+        let amount = null;
+        try {
+            amount = ethers.parseUnits(values.amount || "", 18);
+        } catch (error) {
+            problems.push(`amount "${values.amount}" is not a gNGN amount`);
+        }
+        if (amount !== null && amount <= 0n) {
+            problems.push("amount must be greater than zero");
+        }
+
+        const reference = values.reference || "";
+        if (!reference) {
+            problems.push("reference is missing");
+        } else if (byReference.has(reference)) {
+            problems.push(`reference ${reference} repeats line ${byReference.get(reference)}`);
+        } else {
+            byReference.set(reference, line);
+        }
+
+        if (address && byAddress.has(address)) {
+            problems.push(`${address} is already paid on line ${byAddress.get(address)}`);
+        } else if (address) {
+            byAddress.set(address, line);
+        }
+
+        if (problems.length > 0) {
+            problems.forEach((problem) => errors.push(`line ${line}: ${problem}`));
+            continue;
+        }
+        rows.push({ line, address, amount, reference });
+        total += amount;
+    }
+
+    if (rows.length === 0 && errors.length === 0) {
+        errors.push("CSV contains no payments");
+    }
+    return { rows, total, errors, warnings };
+}
+
+/**
+ * Checks parsed payments against GNaira state. Blacklisted recipients, and
+ * recipients missing from the allowlist while allowlist mode is on, are
+ * errors. The total must fit within `maxTotal` when given and within what
+ * the wallet can pay: its minter allowance and the supply cap when minting,
+ * or its available balance and KYC tier limits when transferring.
+ *
+ * @param {object} gNaira GNaira ethers contract
+ * @param {string} walletAddress MultiSigWallet that will pay
+ * @param {{address: string, amount: bigint}[]} rows Parsed payments
+ * @param {object} options
+ * @param {string} options.mode "mint" or "transfer"
+ * @param {bigint} [options.maxTotal] Upper limit on the disbursement total
+ * @returns {Promise<{errors: string[], warnings: string[]}>}
+ */
+async function checkDisbursement(gNaira, walletAddress, rows, { mode, maxTotal }) {
+    const errors = [];
+    const warnings = [];
+    const total = rows.reduce((sum, row) => sum + row.amount, 0n);
+    const format = (amount) => `${ethers.formatUnits(amount, 18)} gNGN`;
+
+    const allowlistEnabled = await gNaira.allowlistEnabled();
+    for (const row of rows) {
+        if (await gNaira.isBlacklisted(row.address)) {
+            errors.push(`line ${row.line}: ${row.address} is blacklisted`);
+        }
+        if (allowlistEnabled && !(await gNaira.allowlisted(row.address))) {
+            errors.push(`line ${row.line}: ${row.address} is not allowlisted`);
+        }
+    }
+
+    if (maxTotal !== undefined && total > maxTotal) {
+        errors.push(`total ${format(total)} exceeds the limit of ${format(maxTotal)}`);
+    }
+
+    if (mode === "mint") {
+        const mintable = await gNaira.mintableSupply();
+        const allowance = await gNaira.minterAllowance(walletAddress);
+        if (total > mintable) {
+            errors.push(`total ${format(total)} exceeds the ${format(mintable)} left under the supply cap`);
+        }
+        if (total > allowance) {
+            errors.push(`total ${format(total)} exceeds the wallet's minter allowance of ${format(allowance)}`);
+        }
+    } else {
+        const available = await gNaira.availableBalanceOf(walletAddress);
+        const [perTransaction] = await gNaira.tierLimits(await gNaira.kycTier(walletAddress));
+        const remainingDaily = await gNaira.remainingDailyLimit(walletAddress);
+        if (total > available) {
+            errors.push(`total ${format(total)} exceeds the wallet's available balance of ${format(available)}`);
+        }
+        for (const row of rows) {
+            if (row.amount > perTransaction) {
+                errors.push(`line ${row.line}: amount exceeds the wallet's tier limit of ${format(perTransaction)} per transfer`);
+            }
+        }
+        // Spend leaves the rolling daily window over time, so it depends on when the batches are executed
+        if (total > remainingDaily) {
+            warnings.push(`total ${format(total)} exceeds the wallet's ${format(remainingDaily)} left in its 24-hour tier limit`);
+        }
+        if (rows.length > 0 && await gNaira.calculateFee(walletAddress, rows[0].address, rows[0].amount) > 0n) {
+            warnings.push("transfers from the wallet are charged fees, so recipients will receive less than listed");
+        }
+    }
+
+    return { errors, warnings };
+}
+
+/**
+ * Splits payments into batches of at most `chunkSize` payments.
+ */
+function chunkDisbursement(rows, chunkSize) {
+    if (!Number.isInteger(chunkSize) || chunkSize < 1) {
+        throw new Error(`Chunk size must be a positive integer, got ${chunkSize}`);
+    }
+    const chunks = [];
+    for (let i = 0; i < rows.length; i += chunkSize) {
+        chunks.push(rows.slice(i, i + chunkSize));
+    }
+    return chunks;
+}
+
+/**
+ * Encodes one chunk as a single GNaira batchMint or batchTransfer call.
+ */
+function buildDisbursementCall(gNairaInterface, gNairaAddress, rows, mode) {
+    const { functionName } = DISBURSEMENT_MODES[mode];
+    return {
+        to: gNairaAddress,
+        value: 0n,
+        data: gNairaInterface.encodeFunctionData(functionName, [
+            rows.map((row) => row.address),
+            rows.map((row) => row.amount),
+        ]),
+    };
+}
+
+/**
+ * Hash identifying a disbursement, so progress is never resumed against a
+ * different file or mode.
+ */
+function disbursementId(csv, mode) {
+    return ethers.id(`${mode}\n${csv}`);
+}
+
+/**
+ * Creates or loads the progress file for a disbursement. Each proposed batch
+ * is recorded with its txIndex so an interrupted run resumes after the last
+ * batch that reached the wallet. `startBlock` is the block the disbursement
+ * began at, from which findSubmittedBatch and reconcileDisbursement search.
+ */
+function loadProgress(file, { id, mode, gNaira, multiSigWallet, chunkSize, startBlock }) {
+    if (!fs.existsSync(file)) {
+        return { version: PROGRESS_VERSION, id, mode, gNaira, multiSigWallet, chunkSize, startBlock, batches: [] };
+    }
+
+    const progress = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (progress.version !== PROGRESS_VERSION) {
+        throw new Error(`Unsupported progress file version ${progress.version} in ${file}`);
+    }
+    if (progress.id !== id || progress.gNaira !== gNaira || progress.multiSigWallet !== multiSigWallet) {
+        throw new Error(`${file} tracks a different disbursement`);
+    }
+    if (progress.chunkSize !== chunkSize) {
+        throw new Error(`${file} was started with a chunk size of ${progress.chunkSize}`);
+    }
+    return progress;
+}
+
+function saveProgress(file, progress) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(progress, null, 2) + "\n");
+    fs.renameSync(tmp, file);
+}
+
+/**
+ * Looks for a live proposal of exactly this call submitted since `fromBlock`,
+ * so a batch that reached the wallet just before a crash is recorded rather
+ * than proposed twice.
+ * @returns {Promise<{txIndex: bigint, transactionHash: string}|null>}
+ */
+async function findSubmittedBatch(multiSigWallet, call, fromBlock) {
+    const events = await multiSigWallet.queryFilter(multiSigWallet.filters.SubmitTransaction(null, null, call.to), fromBlock);
+    for (const event of events.reverse()) {
+        if (event.args.data === call.data && !(await multiSigWallet.getTransaction(event.args.txIndex)).cancelled) {
+            return { txIndex: event.args.txIndex, transactionHash: event.transactionHash };
+        }
+    }
+    return null;
+}
+
+/**
+ * Reconciles each payment, keyed by reference, with its batch proposal and
+ * the GNaira Transfer events the batch produced once executed.
+ *
+ * Status is `unproposed`, `pending` (proposed, not executed), `cancelled`,
+ * `paid` (a matching Transfer to the recipient was found), or `mismatch`
+ * (the batch executed but the recipient received a different amount or
+ * nothing).
+ *
+ * @returns {Promise<object>} Map of reference to {line, address, amount, batch, txIndex, status, received, transactionHash}
+ */
+async function reconcileDisbursement(gNaira, multiSigWallet, rows, progress) {
+    const provider = multiSigWallet.runner.provider;
+    const payer = progress.mode === "mint" ? ethers.ZeroAddress : progress.multiSigWallet;
+    const batchOf = new Map();
+    progress.batches.forEach((batch) => batch.references.forEach((reference) => batchOf.set(reference, batch)));
+
+    const executions = new Map();
+    async function transfersFor(batch) {
+        if (!executions.has(batch.txIndex)) {
+            const [event] = await multiSigWallet.queryFilter(
+                multiSigWallet.filters.ExecuteTransaction(null, BigInt(batch.txIndex)),
+                progress.startBlock
+            );
+            const received = new Map();
+            if (event) {
+                const receipt = await provider.getTransactionReceipt(event.transactionHash);
+                for (const log of receipt.logs) {
+                    if (log.address !== progress.gNaira) {
+                        continue;
+                    }
+                    const parsed = gNaira.interface.parseLog(log);
+                    if (parsed && parsed.name === "Transfer" && parsed.args.from === payer) {
+                        received.set(parsed.args.to, (received.get(parsed.args.to) || 0n) + parsed.args.value);
+                    }
+                }
+            }
+            executions.set(batch.txIndex, { transactionHash: event ? event.transactionHash : null, received });
+        }
+        return executions.get(batch.txIndex);
+    }
+
+    const report = {};
+    for (const row of rows) {
+        const entry = {
+            line: row.line,
+            address: row.address,
+            amount: row.amount.toString(),
+            batch: null,
+            txIndex: null,
+            status: "unproposed",
+            received: null,
+            transactionHash: null,
+        };
+        const batch = batchOf.get(row.reference);
+        if (batch) {
+            const tx = await multiSigWallet.getTransaction(BigInt(batch.txIndex));
+            entry.batch = batch.batch;
+            entry.txIndex = batch.txIndex;
+            entry.status = tx.cancelled ? "cancelled" : "pending";
+            if (tx.executed) {
+                const execution = await transfersFor(batch);
+                const received = execution.received.get(row.address) || 0n;
+                entry.received = received.toString();
+                entry.transactionHash = execution.transactionHash;
+                entry.status = received === row.amount ? "paid" : "mismatch";
+            }
+        }
+        report[row.reference] = entry;
+    }
+    return report;
+}
+
+/**
+ * Renders a reconciliation report as CSV, one row per reference.
+ */
+function reconciliationToCsv(report) {
+    const columns = ["line", "address", "amount", "batch", "txIndex", "status", "received", "transactionHash"];
+    const lines = [["reference", ...columns].join(",")];
+    for (const [reference, entry] of Object.entries(report)) {
+        lines.push([reference, ...columns.map((column) => (entry[column] === null ? "" : entry[column]))].join(","));
+    }
+    return lines.join("\n") + "\n";
+}
+
+module.exports = {
+    DISBURSEMENT_MODES,
+    parseDisbursement,
+    checkDisbursement,
+    chunkDisbursement,
+    buildDisbursementCall,
+    disbursementId,
+    loadProgress,
+    saveProgress,
+    findSubmittedBatch,
+    reconcileDisbursement,
+    reconciliationToCsv,
+};
@@ -0,0 +1,107 @@
+const { ethers } = require("ethers");
+
+/**
+ * GNaira governor functions that can be proposed through the MultiSigWallet,
+ * with the option names used to supply each argument.
+ */
+const GOVERNOR_ACTIONS = {
+    mint: ["to", "amount"],
+    burnFrom: ["account", "amount"],
+    blacklist: ["account"],
+    unBlacklist: ["account"],
+    pause: [],
+    unpause: [],
+    setGovernor: ["governor"],
+    acceptGovernor: [],
+    cancelGovernorTransfer: [],
+    setMaxSupply: ["amount"],
+    setMinterAllowance: ["account", "amount"],
+    setRecoveryAddress: ["account"],
+    seizeFunds: ["account", "amount", "reason", "reference"],
+    wipeFunds: ["account", "amount", "reason", "reference"],
+    freezeAmount: ["account", "amount", "case"],
+    unfreezeAmount: ["account", "amount", "case"],
+    setTierLimits: ["tier", "amount", "daily"],
+    setAccountTier: ["account", "tier"],
+    setAllowlistEnabled: ["enabled"],
+    updateAllowlist: ["accounts", "allowed"],
+    setTreasury: ["account"],
+    setFeeParameters: ["levy", "threshold", "bps"],
+    setFeeExempt: ["account", "exempt"],
+};
+
+function parseArgument(name, value, action) {
+    if (value === undefined || value === null || value === "") {
+        throw new Error(`${action} requires --${name}`);
+    }
+    if (name === "levy" || name === "threshold") {
+        return ethers.parseUnits(String(value), 18);
+    }
+    if (name === "bps") {
+        if (!/^\d+$/.test(String(value))) {
+            throw new Error(`--bps must be a whole number of basis points: ${value}`);
+        }
+        return BigInt(value);
+    }
+    if (name === "amount" || name === "daily") {
+        // Supply, minter and tier limits treat the maximum uint256 as "no limit"
+        if (String(value).toLowerCase() === "unlimited") {
+            return ethers.MaxUint256;
+        }
+        return ethers.parseUnits(String(value), 18);
+    }
+    if (name === "reason" || name === "case") {
+        // Reason codes and case IDs are short labels such as COURT_ORDER, or raw bytes32 values
+        return ethers.isHexString(value, 32) ? value : ethers.encodeBytes32String(String(value));
+    }
+    if (name === "tier") {
+        if (!/^\d+$/.test(String(value)) || Number(value) > 255) {
+            throw new Error(`--tier must be an integer from 0 to 255: ${value}`);
+        }
+        return Number(value);
+    }
+    if (name === "enabled" || name === "allowed" || name === "exempt") {
+        if (!["true", "false"].includes(String(value))) {
+            throw new Error(`--${name} must be true or false: ${value}`);
+        }
+        return String(value) === "true";
+    }
+    if (name === "accounts") {
+        // Comma-separated list of addresses
+        return String(value).split(",").map((item) => {
+            if (!ethers.isAddress(item.trim())) {
+                throw new Error(`--accounts contains an invalid address: ${item.trim()}`);
+            }
+            return ethers.getAddress(item.trim());
+        });
+    }
+    if (name === "reference") {
+        return String(value);
+    }
+    if (!ethers.isAddress(value)) {
+        throw new Error(`--${name} is not a valid address: ${value}`);
+    }
+    return ethers.getAddress(value);
+}
+
+/**
+ * ABI-encodes a GNaira governor call.
+ * @param {object} gNairaInterface ethers Interface of GNaira
+ * @param {string} action One of GOVERNOR_ACTIONS
+ * @param {object} options Argument values keyed by option name; amounts in gNGN
+ * @returns {string} calldata
+ */
+function encodeGovernorAction(gNairaInterface, action, options = {}) {
+    const argumentNames = GOVERNOR_ACTIONS[action];
+    if (!argumentNames) {
+        throw new Error(`Unknown action "${action}". Expected one of: ${Object.keys(GOVERNOR_ACTIONS).join(", ")}`);
+    }
+
+    const args = argumentNames.map((name) => parseArgument(name, options[name], action));
+    return gNairaInterface.encodeFunctionData(action, args);
+}
+
+module.exports = {
+    GOVERNOR_ACTIONS,
+    encodeGovernorAction,
+};
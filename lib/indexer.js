@@ -0,0 +1,392 @@
+const fs = require("fs");
+const path = require("path");
+
+const STORE_VERSION = 2;
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+/** GNaira events replayed into the ledger. */
+const INDEXED_EVENTS = [
+    "Transfer",
+    "Mint",
+    "Burn",
+    "Blacklisted",
+    "UnBlacklisted",
+    "Paused",
+    "Unpaused",
+    "GovernorChanged",
+];
+
+/** Block hashes kept for reorg detection; older checkpoints are dropped. */
+const MAX_CHECKPOINTS = 64;
+
+function writeAtomically(file, contents) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, contents);
+    fs.renameSync(tmp, file);
+}
+
+/**
+ * JSON file store for indexer state. The state (ledger, checkpoints, last
+ * block) lives in `file` and is replaced on every `save`; events are appended
+ * to `<file>.events.jsonl`, one JSON line each, so indexing never rewrites
+ * the history it has already stored. `load` returns null until the first
+ * `save`; replacements go through a temporary file so a crash never leaves a
+ * half-written store behind.
+ */
+function createJsonStore(file) {
+    const eventsFile = `${file.replace(/\.json$/, "")}.events.jsonl`;
+    return {
+        file,
+        eventsFile,
+        load() {
+            if (!fs.existsSync(file)) {
+                return null;
+            }
+            return JSON.parse(fs.readFileSync(file, "utf8"));
+        },
+        save(state) {
+            writeAtomically(file, JSON.stringify(state, null, 2) + "\n");
+        },
+        loadEvents() {
+            if (!fs.existsSync(eventsFile)) {
+                return [];
+            }
+            return fs.readFileSync(eventsFile, "utf8").split("\n").filter(Boolean).map((line) => JSON.parse(line));
+        },
+        appendEvents(events) {
+            if (events.length > 0) {
+                fs.mkdirSync(path.dirname(eventsFile), { recursive: true });
+                fs.appendFileSync(eventsFile, events.map((event) => JSON.stringify(event) + "\n").join(""));
+            }
+        },
+        replaceEvents(events) {
+            writeAtomically(eventsFile, events.map((event) => JSON.stringify(event) + "\n").join(""));
+        },
+    };
+}
+
+/**
+ * In-memory store for one-off indexing runs such as audits.
+ */
+function createMemoryStore() {
+    let saved = null;
+    let stored = [];
+    return {
+        load() {
+            return saved;
+        },
+        save(state) {
+            saved = state;
+        },
+        loadEvents() {
+            return [...stored];
+        },
+        appendEvents(events) {
+            stored.push(...events);
+        },
+        replaceEvents(events) {
+            stored = [...events];
+        },
+    };
+}
+
+/**
+ * Returns the ledger before any event.
+ */
+function emptyLedger() {
+    return {
+        totalSupply: "0",
+        totalMinted: "0",
+        totalBurned: "0",
+        balances: {},
+        blacklist: {},
+        paused: false,
+        pausePeriods: [],
+        governor: null,
+        governorChanges: [],
+    };
+}
+
+/**
+ * Replays indexed events, in chain order, on top of `ledger`: balances,
+ * supply, blacklist history, pause periods and governor changes. Amounts are
+ * decimal strings. The ledger is updated in place and returned.
+ */
+function applyEvents(ledger, events) {
+    const { balances, blacklist, pausePeriods, governorChanges } = ledger;
+    let totalSupply = BigInt(ledger.totalSupply);
+    let totalMinted = BigInt(ledger.totalMinted);
+    let totalBurned = BigInt(ledger.totalBurned);
+
+    const credit = (account, amount) => {
+        const balance = BigInt(balances[account] || 0) + amount;
+        if (balance === 0n) {
+            delete balances[account];
+        } else {
+            balances[account] = balance.toString();
+        }
+    };
+
+    for (const event of events) {
+        const at = { blockNumber: event.blockNumber, transactionHash: event.transactionHash };
+        const { args } = event;
+
+        switch (event.name) {
+        case "Transfer": {
+            const value = BigInt(args.value);
+            if (args.from === ZERO_ADDRESS) {
+                totalSupply += value;
+            } else {
+                credit(args.from, -value);
+            }
+            if (args.to === ZERO_ADDRESS) {
+                totalSupply -= value;
+            } else {
+                credit(args.to, value);
+            }
+            break;
+        }
+        case "Mint":
+            totalMinted += BigInt(args.amount);
+            break;
+        case "Burn":
+            totalBurned += BigInt(args.amount);
+            break;
+        case "Blacklisted":
+        case "UnBlacklisted": {
+            const entry = blacklist[args.account] || { blacklisted: false, history: [] };
+            entry.blacklisted = event.name === "Blacklisted";
+            entry.history.push({ blacklisted: entry.blacklisted, ...at });
+            blacklist[args.account] = entry;
+            break;
+        }
+        case "Paused":
+            pausePeriods.push({ pausedBy: args.account, start: at, unpausedBy: null, end: null });
+            break;
+        case "Unpaused": {
+            const open = pausePeriods[pausePeriods.length - 1];
+            if (open && open.end === null) {
+                open.unpausedBy = args.account;
+                open.end = at;
+            }
+            break;
+        }
+        case "GovernorChanged":
+            governorChanges.push({ previousGovernor: args.previousGovernor, newGovernor: args.newGovernor, ...at });
+            break;
+        default:
+            break;
+        }
+    }
+
+    const lastPause = pausePeriods[pausePeriods.length - 1];
+    ledger.totalSupply = totalSupply.toString();
+    ledger.totalMinted = totalMinted.toString();
+    ledger.totalBurned = totalBurned.toString();
+    ledger.paused = Boolean(lastPause && lastPause.end === null);
+    ledger.governor = governorChanges.length > 0 ? governorChanges[governorChanges.length - 1].newGovernor : null;
+    return ledger;
+}
+
+/**
+ * Replays indexed events from the start into a new ledger.
+ */
+function buildLedger(events) {
+    return applyEvents(emptyLedger(), events);
+}
+
+function toJsonValue(value) {
+    return typeof value === "bigint" ? value.toString() : value;
+}
+
+/**
+ * Creates an indexer that replays GNaira events into `store`.
+ *
+ * Logs are fetched in `batchSize`-block ranges up to `confirmations` blocks
+ * behind the head, and the hash of each batch's last block is kept as a
+ * checkpoint. Each batch's events are appended to the store and applied to
+ * the saved ledger, so indexing costs grow with the new events only. Each
+ * sync first checks the last indexed block against the chain; if its hash
+ * changed, the indexer rolls back `reorgDepth` blocks to the nearest
+ * checkpoint (repeating until a checkpoint still matches), rebuilds the ledger
+ * from the events it keeps and re-indexes. A fresh indexer on an existing
+ * store resumes from its last indexed block.
+ *
+ * @param {object} gNaira GNaira ethers contract with a provider
+ * @param {object} options
+ * @param {object} options.store e.g. createJsonStore(file) or createMemoryStore()
+ * @param {number} [options.startBlock] First block to index, usually the deployment block
+ * @param {number} [options.batchSize] Blocks per getLogs request
+ * @param {number} [options.reorgDepth] Blocks rolled back when a reorg is detected
+ * @param {number} [options.confirmations] Blocks to stay behind the head
+ */
+function createIndexer(gNaira, { store, startBlock = 0, batchSize = 2000, reorgDepth = 12, confirmations = 0 }) {
+    const provider = gNaira.runner.provider;
+    const topics = INDEXED_EVENTS.map((name) => gNaira.interface.getEvent(name).topicHash);
+    let state = null;
+
+    async function loadState() {
+        if (state) {
+            return state;
+        }
+
+        const address = await gNaira.getAddress();
+        const { chainId } = await provider.getNetwork();
+        state = store.load();
+        if (state) {
+            if (state.version !== STORE_VERSION) {
+                throw new Error(`Unsupported indexer store version ${state.version}`);
+            }
+            if (state.address !== address || state.chainId !== chainId.toString()) {
+                throw new Error(`Indexer store belongs to ${state.address} on chain ${state.chainId}`);
+            }
+            // Events appended by a run that stopped before saving the state are dropped
+            const events = store.loadEvents();
+            if (events.length < state.eventCount) {
+                throw new Error(`Indexer store has ${events.length} of ${state.eventCount} events; re-index from scratch`);
+            }
+            if (events.length > state.eventCount) {
+                store.replaceEvents(events.slice(0, state.eventCount));
+            }
+            return state;
+        }
+
+        state = {
+            version: STORE_VERSION,
+            chainId: chainId.toString(),
+            address,
+            startBlock,
+            lastBlock: startBlock - 1,
+            checkpoints: {},
+            eventCount: 0,
+            ledger: emptyLedger(),
+        };
+        return state;
+    }
+
+    /**
+     * Rolls back to the newest checkpoint at or below blockNumber, so the
+     * new last block can itself be checked against the chain.
+     */
+    function rollbackTo(blockNumber) {
+        const kept = Object.keys(state.checkpoints).map(Number).filter((block) => block <= blockNumber);
+        state.lastBlock = kept.length > 0 ? Math.max(...kept) : state.startBlock - 1;
+        for (const block of Object.keys(state.checkpoints)) {
+            if (Number(block) > state.lastBlock) {
+                delete state.checkpoints[block];
+            }
+        }
+    }
+
+    function checkpoint(blockNumber, hash) {
+        state.checkpoints[blockNumber] = hash;
+        const blocks = Object.keys(state.checkpoints).map(Number).sort((a, b) => a - b);
+        for (const block of blocks.slice(0, Math.max(0, blocks.length - MAX_CHECKPOINTS))) {
+            delete state.checkpoints[block];
+        }
+    }
+
+    /**
+     * Rolls back until the last indexed block is one the chain still has,
+     * then drops the later events and replays the rest into a new ledger.
+     * @returns {Promise<number>} blocks rolled back
+     */
+    async function handleReorg() {
+        const indexedUpTo = state.lastBlock;
+        while (state.lastBlock >= state.startBlock) {
+            const block = await provider.getBlock(state.lastBlock);
+            if (block && block.hash === state.checkpoints[state.lastBlock]) {
+                break;
+            }
+            rollbackTo(state.lastBlock - reorgDepth);
+        }
+
+        const rolledBack = indexedUpTo - state.lastBlock;
+        if (rolledBack > 0) {
+            const events = store.loadEvents().filter((event) => event.blockNumber <= state.lastBlock);
+            store.replaceEvents(events);
+            state.eventCount = events.length;
+            state.ledger = buildLedger(events);
+            store.save(state);
+        }
+        return rolledBack;
+    }
+
+    function decode(log) {
+        const parsed = gNaira.interface.parseLog(log);
+        const args = {};
+        parsed.fragment.inputs.forEach((input, i) => {
+            args[input.name] = toJsonValue(parsed.args[i]);
+        });
+        return {
+            name: parsed.name,
+            blockNumber: log.blockNumber,
+            blockHash: log.blockHash,
+            transactionHash: log.transactionHash,
+            logIndex: log.index,
+            args,
+        };
+    }
+
+    /**
+     * Indexes new blocks and saves the store after every batch.
+     * @param {number} [toBlock] Last block to index (defaults to the head minus confirmations)
+     * @returns {Promise<{fromBlock: number, toBlock: number, events: number, rolledBack: number}>}
+     */
+    async function sync(toBlock) {
+        await loadState();
+        const rolledBack = await handleReorg();
+
+        const head = await provider.getBlockNumber();
+        const target = Math.min(toBlock === undefined ? head - confirmations : toBlock, head);
+        const fromBlock = state.lastBlock + 1;
+        const address = state.address;
+        let added = 0;
+
+        for (let batchStart = fromBlock; batchStart <= target; batchStart += batchSize) {
+            const batchEnd = Math.min(batchStart + batchSize - 1, target);
+            const logs = await provider.getLogs({ address, fromBlock: batchStart, toBlock: batchEnd, topics: [topics] });
+            const events = logs
+                .sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index)
+                .map(decode);
+
+            store.appendEvents(events);
+            applyEvents(state.ledger, events);
+            state.eventCount += events.length;
+            added += events.length;
+            state.lastBlock = batchEnd;
+            checkpoint(batchEnd, (await provider.getBlock(batchEnd)).hash);
+            store.save(state);
+        }
+
+        return { fromBlock, toBlock: state.lastBlock, events: added, rolledBack };
+    }
+
+    return {
+        sync,
+        /** Returns the current ledger view. */
+        async getLedger() {
+            return (await loadState()).ledger;
+        },
+        /** Returns every indexed event in chain order. */
+        async getEvents() {
+            await loadState();
+            return store.loadEvents();
+        },
+        /** Returns the last indexed block number. */
+        async getLastBlock() {
+            return (await loadState()).lastBlock;
+        },
+    };
+}
+
+module.exports = {
+    INDEXED_EVENTS,
+    createJsonStore,
+    createMemoryStore,
+    emptyLedger,
+    applyEvents,
+    buildLedger,
+    createIndexer,
+};
@@ -0,0 +1,427 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { formatDecodedCall } = require("./calldata");
+
+/** MultiSigWallet events the monitor watches. */
+const MONITORED_EVENTS = [
+    "SubmitTransaction",
+    "ConfirmTransaction",
+    "RevokeConfirmation",
+    "ExecuteTransaction",
+    "ExecuteSignedTransaction",
+    "CancelTransaction",
+    "OwnerAddition",
+    "OwnerRemoval",
+    "RequirementChange",
+    "DelayChange",
+    "DelayOverrideChange",
+];
+
+/** Events that carry a call, decoded into `event.decoded` before the rules run. */
+const CALL_EVENTS = ["SubmitTransaction", "ExecuteSignedTransaction"];
+
+/** Rules applied when no configuration is given; large mints need a threshold. */
+const DEFAULT_RULES = {
+    proposals: true,
+    ownerChanges: true,
+    timelockChanges: true,
+    unknownTargets: true,
+    undecodableCalls: true,
+    mintThreshold: null,
+};
+
+function decodedCalls(decoded) {
+    return decoded.calls || [decoded];
+}
+
+function callSource(event) {
+    return event.name === "ExecuteSignedTransaction"
+        ? `Signed transaction nonce ${event.args.nonce}`
+        : `Proposal #${event.args.txIndex}`;
+}
+
+/**
+ * Rule factories. A rule receives a monitored event (SubmitTransaction and
+ * ExecuteSignedTransaction events carry the `decoded` call) and returns an
+ * alert, or null to stay quiet.
+ */
+const RULES = {
+    /** Reports every proposal, confirmation, revocation, cancellation and execution. */
+    proposals: () => (event) => {
+        const { args } = event;
+        switch (event.name) {
+        case "SubmitTransaction":
+            return {
+                rule: "proposals",
+                severity: "info",
+                message: `${args.owner} proposed #${args.txIndex}: ${formatDecodedCall(event.decoded)}`,
+            };
+        case "ConfirmTransaction":
+            return { rule: "proposals", severity: "info", message: `${args.owner} confirmed #${args.txIndex}` };
+        case "RevokeConfirmation":
+            return { rule: "proposals", severity: "info", message: `${args.owner} revoked their confirmation of #${args.txIndex}` };
+        case "ExecuteTransaction":
+            return { rule: "proposals", severity: "info", message: `${args.owner} executed #${args.txIndex}` };
+        case "ExecuteSignedTransaction":
+            return {
+                rule: "proposals",
+                severity: "info",
+                message: `${args.owner} executed signed transaction nonce ${args.nonce}: ${formatDecodedCall(event.decoded)}`,
+            };
+        case "CancelTransaction":
+            return { rule: "proposals", severity: "info", message: `#${args.txIndex} was cancelled by owner vote` };
+        default:
+            return null;
+        }
+    },
+
+    /** Alerts on any change to the owner set or the confirmation threshold. */
+    ownerChanges: () => (event) => {
+        const { args } = event;
+        switch (event.name) {
+        case "OwnerAddition":
+            return { rule: "ownerChanges", severity: "critical", message: `Owner added: ${args.owner}` };
+        case "OwnerRemoval":
+            return { rule: "ownerChanges", severity: "critical", message: `Owner removed: ${args.owner}` };
+        case "RequirementChange":
+            return { rule: "ownerChanges", severity: "critical", message: `Required confirmations changed to ${args.required}` };
+        default:
+            return null;
+        }
+    },
+
+    /** Alerts on changes to the timelock's default delay or its per-target/selector overrides. */
+    timelockChanges: () => (event) => {
+        const { args } = event;
+        switch (event.name) {
+        case "DelayChange":
+            return { rule: "timelockChanges", severity: "critical", message: `Default timelock delay changed to ${args.delay}s` };
+        case "DelayOverrideChange":
+            return {
+                rule: "timelockChanges",
+                severity: "critical",
+                message: args.enabled
+                    ? `Timelock delay for target ${args.target}, selector ${args.selector} set to ${args.delay}s`
+                    : `Timelock delay override for target ${args.target}, selector ${args.selector} removed`,
+            };
+        default:
+            return null;
+        }
+    },
+
+    /** Alerts on proposals whose calldata cannot be decoded, e.g. a known selector with its arguments cut off. */
+    undecodableCalls: () => (event) => {
+        if (!CALL_EVENTS.includes(event.name)) {
+            return null;
+        }
+        const undecodable = decodedCalls(event.decoded).filter((call) => call.malformed);
+        if (undecodable.length === 0) {
+            return null;
+        }
+        return {
+            rule: "undecodableCalls",
+            severity: "critical",
+            message: `${callSource(event)} is undecodable: ${undecodable.flatMap((call) => call.warnings).join("; ")}`,
+        };
+    },
+
+    /** Alerts on proposals that mint more than `threshold` gNGN in one call; a batchMint counts its total. */
+    mintThreshold: (threshold) => {
+        const limit = ethers.parseUnits(String(threshold), 18);
+        return (event) => {
+            if (!CALL_EVENTS.includes(event.name)) {
+                return null;
+            }
+            const large = decodedCalls(event.decoded).filter((call) => {
+                if (call.targetContract !== "GNaira") {
+                    return false;
+                }
+                if (call.name === "mint") {
+                    return call.args.find((arg) => arg.name === "amount").value > limit;
+                }
+                if (call.name === "batchMint") {
+                    return call.args.find((arg) => arg.name === "amounts").value.reduce((sum, amount) => sum + amount, 0n) > limit;
+                }
+                return false;
+            });
+            if (large.length === 0) {
+                return null;
+            }
+            return {
+                rule: "mintThreshold",
+                severity: "warning",
+                message: `${callSource(event)} mints above ${threshold} gNGN: ` +
+                    large.map((call) => formatDecodedCall({ ...call, warnings: [] })).join("; "),
+            };
+        };
+    },
+
+    /** Alerts on proposals that call anything other than GNaira or the wallet itself. */
+    unknownTargets: () => (event) => {
+        if (!CALL_EVENTS.includes(event.name)) {
+            return null;
+        }
+        const unknown = decodedCalls(event.decoded).filter((call) => !call.targetContract).map((call) => call.to);
+        if (unknown.length === 0) {
+            return null;
+        }
+        return {
+            rule: "unknownTargets",
+            severity: "warning",
+            message: `${callSource(event)} targets unknown contract(s): ${[...new Set(unknown)].join(", ")}`,
+        };
+    },
+};
+
+/**
+ * Builds the rule list from a configuration such as
+ * `{ proposals: true, ownerChanges: true, timelockChanges: true, unknownTargets: true, undecodableCalls: true, mintThreshold: "1000000" }`.
+ * Missing keys fall back to DEFAULT_RULES; false or null disables a rule.
+ */
+function createRules(config = {}) {
+    const merged = { ...DEFAULT_RULES, ...config };
+    for (const name of Object.keys(merged)) {
+        if (!RULES[name]) {
+            throw new Error(`Unknown monitor rule "${name}". Available: ${Object.keys(RULES).join(", ")}`);
+        }
+    }
+    return Object.entries(merged)
+        .filter(([, setting]) => setting !== false && setting !== null && setting !== undefined)
+        .map(([name, setting]) => RULES[name](setting));
+}
+
+const SEVERITY_ICONS = { info: "ℹ️ ", warning: "⚠️ ", critical: "🚨" };
+
+/**
+ * Prints alerts to the console.
+ */
+function createConsoleSink(log = console.log) {
+    return {
+        name: "console",
+        async send(alert) {
+            log(`${SEVERITY_ICONS[alert.severity] || "🔔"} [${alert.rule}] ${alert.message} (block ${alert.blockNumber}, ${alert.transactionHash})`);
+        },
+    };
+}
+
+/**
+ * Appends alerts to `file` as JSON lines.
+ */
+function createFileSink(file) {
+    return {
+        name: `file ${file}`,
+        async send(alert) {
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.appendFileSync(file, JSON.stringify(alert) + "\n");
+        },
+    };
+}
+
+/**
+ * POSTs each alert to `url` as JSON. Non-2xx responses, and requests still
+ * unanswered after `timeout` milliseconds, are errors.
+ */
+function createWebhookSink(url, { headers = {}, timeout = 10000 } = {}) {
+    return {
+        name: `webhook ${url}`,
+        async send(alert) {
+            let response;
+            try {
+                response = await fetch(url, {
+                    method: "POST",
+                    headers: { "content-type": "application/json", ...headers },
+                    body: JSON.stringify(alert),
+                    signal: AbortSignal.timeout(timeout),
+                });
+            } catch (error) {
+                if (error.name === "TimeoutError") {
+                    throw new Error(`Webhook did not respond within ${timeout}ms`);
+                }
+                throw error;
+            }
+            if (!response.ok) {
+                throw new Error(`Webhook responded with ${response.status}`);
+            }
+        },
+    };
+}
+
+function toJsonValue(value) {
+    return typeof value === "bigint" ? value.toString() : value;
+}
+
+/**
+ * Creates a monitor that polls MultiSigWallet events, applies `rules` and
+ * sends the resulting alerts to every sink. A failing sink is reported and
+ * does not stop the others.
+ *
+ * @param {object} multiSigWallet MultiSigWallet ethers contract with a provider
+ * @param {object} options
+ * @param {Function} options.decode Calldata decoder from createCalldataDecoder
+ * @param {Function[]} options.rules e.g. createRules(config)
+ * @param {object[]} options.sinks Objects with `name` and an async `send(alert)`
+ * @param {number} [options.startBlock] First block to watch (defaults to the next block)
+ * @param {number} [options.batchSize] Blocks per getLogs request
+ * @param {number} [options.confirmations] Blocks to stay behind the head
+ * @param {Function} [options.onError] Called with (error, sink) when a sink fails
+ */
+function createMonitor(multiSigWallet, {
+    decode,
+    rules,
+    sinks,
+    startBlock,
+    batchSize = 2000,
+    confirmations = 0,
+    onError = (error, sink) => console.error(`❌ Alert sink ${sink.name} failed: ${error.message}`),
+}) {
+    const provider = multiSigWallet.runner.provider;
+    const topics = MONITORED_EVENTS.map((name) => multiSigWallet.interface.getEvent(name).topicHash);
+    let lastBlock = startBlock === undefined ? null : startBlock - 1;
+    // Last event in the batch after lastBlock whose alerts went out, so a poll
+    // that failed partway through a batch does not alert on it again
+    let lastEvent = null;
+    let timer = null;
+    let stopped = false;
+
+    function parse(log) {
+        const parsed = multiSigWallet.interface.parseLog(log);
+        const args = {};
+        parsed.fragment.inputs.forEach((input, i) => {
+            args[input.name] = parsed.args[i];
+        });
+        const event = {
+            name: parsed.name,
+            blockNumber: log.blockNumber,
+            transactionHash: log.transactionHash,
+            logIndex: log.index,
+            args,
+        };
+        if (CALL_EVENTS.includes(event.name)) {
+            // A call that cannot be decoded must still be alerted on, and must not
+            // stop the monitor from moving past its block
+            try {
+                event.decoded = decode(args.to, args.data);
+            } catch (error) {
+                event.decoded = {
+                    to: args.to,
+                    targetContract: null,
+                    contract: null,
+                    name: null,
+                    selector: null,
+                    args: [],
+                    malformed: true,
+                    warnings: [`undecodable calldata ${args.data} (${error.message})`],
+                };
+            }
+        }
+        return event;
+    }
+
+    async function dispatch(alert) {
+        for (const sink of sinks) {
+            try {
+                await sink.send(alert);
+            } catch (error) {
+                onError(error, sink);
+            }
+        }
+    }
+
+    /**
+     * Processes blocks since the last poll.
+     * @returns {Promise<object[]>} alerts sent
+     */
+    async function poll() {
+        const target = (await provider.getBlockNumber()) - confirmations;
+        if (lastBlock === null) {
+            lastBlock = target;
+            return [];
+        }
+
+        const address = await multiSigWallet.getAddress();
+        const alerts = [];
+        for (let batchStart = lastBlock + 1; batchStart <= target; batchStart += batchSize) {
+            const batchEnd = Math.min(batchStart + batchSize - 1, target);
+            const logs = await provider.getLogs({ address, fromBlock: batchStart, toBlock: batchEnd, topics: [topics] });
+            const events = logs
+                .sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index)
+                .map(parse);
+
+            for (const event of events) {
+                if (lastEvent && (event.blockNumber < lastEvent.blockNumber
+                    || (event.blockNumber === lastEvent.blockNumber && event.logIndex <= lastEvent.logIndex))) {
+                    continue;
+                }
+
+                // Run every rule before sending anything, so a rule that throws
+                // leaves the event to be retried as a whole
+                const eventAlerts = [];
+                for (const rule of rules) {
+                    const alert = rule(event);
+                    if (!alert) {
+                        continue;
+                    }
+                    eventAlerts.push({
+                        ...alert,
+                        event: event.name,
+                        txIndex: toJsonValue(event.args.txIndex),
+                        ...(event.args.nonce !== undefined && { nonce: toJsonValue(event.args.nonce) }),
+                        blockNumber: event.blockNumber,
+                        transactionHash: event.transactionHash,
+                        wallet: address,
+                        timestamp: new Date().toISOString(),
+                    });
+                }
+                for (const full of eventAlerts) {
+                    alerts.push(full);
+                    await dispatch(full);
+                }
+                lastEvent = { blockNumber: event.blockNumber, logIndex: event.logIndex };
+            }
+            lastBlock = batchEnd;
+            lastEvent = null;
+        }
+        return alerts;
+    }
+
+    return {
+        poll,
+        /**
+         * Polls every `interval` milliseconds until stop() is called.
+         */
+        start(interval = 15000) {
+            stopped = false;
+            const loop = async () => {
+                try {
+                    await poll();
+                } catch (error) {
+                    console.error(`❌ Monitor poll failed: ${error.message}`);
+                }
+                if (!stopped) {
+                    timer = setTimeout(loop, interval);
+                }
+            };
+            return loop();
+        },
+        stop() {
+            stopped = true;
+            clearTimeout(timer);
+        },
+        /** Returns the last block processed, or null before the first poll. */
+        getLastBlock() {
+            return lastBlock;
+        },
+    };
+}
+
+module.exports = {
+    MONITORED_EVENTS,
+    DEFAULT_RULES,
+    RULES,
+    createRules,
+    createConsoleSink,
+    createFileSink,
+    createWebhookSink,
+    createMonitor,
+};
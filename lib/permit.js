@@ -0,0 +1,64 @@
+const { ethers } = require("ethers");
+
+const PERMIT_TYPES = {
+    Permit: [
+        { name: "owner", type: "address" },
+        { name: "spender", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+    ],
+};
+
+/**
+ * Returns the EIP-712 domain, types and message of a GNaira permit.
+ * The nonce defaults to the owner's current on-chain nonce.
+ * @param {object} gNaira Connected GNaira contract
+ * @param {{owner: string, spender: string, value: bigint, deadline: bigint, nonce: (bigint|undefined)}} permit
+ */
+async function buildPermitTypedData(gNaira, { owner, spender, value, deadline, nonce }) {
+    const { chainId } = await gNaira.runner.provider.getNetwork();
+    return {
+        domain: {
+            name: await gNaira.name(),
+            version: "1",
+            chainId,
+            verifyingContract: await gNaira.getAddress(),
+        },
+        types: PERMIT_TYPES,
+        message: {
+            owner: ethers.getAddress(owner),
+            spender: ethers.getAddress(spender),
+            value: BigInt(value),
+            nonce: nonce === undefined ? await gNaira.nonces(owner) : BigInt(nonce),
+            deadline: BigInt(deadline),
+        },
+    };
+}
+
+/**
+ * Signs a permit with the owner's signer.
+ * @returns {Promise<{owner: string, spender: string, value: bigint, deadline: bigint, v: number, r: string, s: string}>}
+ *   the arguments of GNaira.permit
+ */
+async function signPermit(gNaira, owner, { spender, value, deadline, nonce }) {
+    const { domain, types, message } = await buildPermitTypedData(gNaira, {
+        owner: owner.address, spender, value, deadline, nonce,
+    });
+    const { v, r, s } = ethers.Signature.from(await owner.signTypedData(domain, types, message));
+    return { owner: message.owner, spender: message.spender, value: message.value, deadline: message.deadline, v, r, s };
+}
+
+/**
+ * Orders signPermit output as GNaira.permit arguments.
+ */
+function permitArgs({ owner, spender, value, deadline, v, r, s }) {
+    return [owner, spender, value, deadline, v, r, s];
+}
+
+module.exports = {
+    PERMIT_TYPES,
+    buildPermitTypedData,
+    signPermit,
+    permitArgs,
+};
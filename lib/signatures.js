@@ -0,0 +1,141 @@
+const fs = require("fs");
+const { ethers } = require("ethers");
+
+const TRANSACTION_TYPES = {
+    Transaction: [
+        { name: "to", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "data", type: "bytes" },
+        { name: "nonce", type: "uint256" },
+    ],
+};
+
+/**
+ * Starts a signature bundle for a wallet transaction at the wallet's current nonce.
+ * @param {object} multiSigWallet Connected MultiSigWallet contract
+ * @param {{to: string, value: (bigint|undefined), data: string}} tx Transaction to approve
+ */
+async function createBundle(multiSigWallet, { to, value = 0n, data }) {
+    const { chainId } = await multiSigWallet.runner.provider.getNetwork();
+    return {
+        wallet: await multiSigWallet.getAddress(),
+        chainId: chainId.toString(),
+        to: ethers.getAddress(to),
+        value: value.toString(),
+        data,
+        nonce: (await multiSigWallet.nonce()).toString(),
+        signatures: {},
+    };
+}
+
+/**
+ * Returns the EIP-712 domain, types and message for a bundle.
+ */
+function buildTypedData(bundle) {
+    return {
+        domain: {
+            name: "MultiSigWallet",
+            version: "1",
+            chainId: BigInt(bundle.chainId),
+            verifyingContract: bundle.wallet,
+        },
+        types: TRANSACTION_TYPES,
+        message: {
+            to: bundle.to,
+            value: BigInt(bundle.value),
+            data: bundle.data,
+            nonce: BigInt(bundle.nonce),
+        },
+    };
+}
+
+/**
+ * Signs a bundle with an owner's signer and records the signature.
+ */
+async function signBundle(bundle, signer) {
+    const { domain, types, message } = buildTypedData(bundle);
+    const signature = await signer.signTypedData(domain, types, message);
+    return addSignature(bundle, signature);
+}
+
+/**
+ * Records a signature after checking which account produced it.
+ */
+function addSignature(bundle, signature) {
+    const { domain, types, message } = buildTypedData(bundle);
+    const signer = ethers.verifyTypedData(domain, types, message, signature);
+    return {
+        ...bundle,
+        signatures: { ...bundle.signatures, [signer]: signature },
+    };
+}
+
+/**
+ * Concatenates the bundle's signatures in ascending signer order, as
+ * execTransactionWithSignatures expects. Pass `signers` to pack only those
+ * signatures, e.g. the current owners from getBundleStatus.
+ */
+function packSignatures(bundle, signers = Object.keys(bundle.signatures)) {
+    const ordered = [...signers].sort((a, b) => (BigInt(a) < BigInt(b) ? -1 : 1));
+    return ethers.concat(ordered.map((signer) => bundle.signatures[signer]));
+}
+
+/**
+ * Returns the owners who have signed the bundle and how many signatures are still missing.
+ */
+async function getBundleStatus(multiSigWallet, bundle) {
+    const required = await multiSigWallet.numConfirmationsRequired();
+    const signers = [];
+    for (const signer of Object.keys(bundle.signatures)) {
+        if (await multiSigWallet.isOwner(signer)) {
+            signers.push(signer);
+        }
+    }
+
+    const missing = BigInt(signers.length) >= required ? 0n : required - BigInt(signers.length);
+    return { signers, required, missing };
+}
+
+/**
+ * Submits a bundle once enough owners have signed it. Signatures from
+ * accounts that are not current owners are left out, since the wallet would
+ * reject them.
+ */
+async function submitBundle(multiSigWallet, bundle) {
+    if ((await multiSigWallet.getAddress()) !== bundle.wallet) {
+        throw new Error(`Bundle is for wallet ${bundle.wallet}`);
+    }
+    const { signers, missing } = await getBundleStatus(multiSigWallet, bundle);
+    if (missing > 0n) {
+        throw new Error(`Bundle needs ${missing} more owner signature(s)`);
+    }
+
+    return multiSigWallet.execTransactionWithSignatures(
+        bundle.to,
+        bundle.value,
+        bundle.data,
+        bundle.nonce,
+        packSignatures(bundle, signers)
+    );
+}
+
+function loadBundle(file) {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function saveBundle(file, bundle) {
+    fs.writeFileSync(file, JSON.stringify(bundle, null, 2) + "\n");
+}
+
+module.exports = {
+    TRANSACTION_TYPES,
+    createBundle,
+    buildTypedData,
+    signBundle,
+    addSignature,
+    packSignatures,
+    getBundleStatus,
+    submitBundle,
+    loadBundle,
+    saveBundle,
+};
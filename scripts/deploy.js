@@ -1,4 +1,54 @@
 const hre = require("hardhat");
+const { loadDeployConfig } = require("../lib/deployConfig");
+const { describeDeployment, writeManifest } = require("../lib/deployments");
+
+/**
+ * Proposes GNaira.acceptGovernor through the MultiSigWallet and confirms it with
+ * every local account that is an owner, executing it once the threshold is met.
+ * On live networks usually only the deployer is available, so the remaining
+ * owners finish the acceptance with the multisig tasks.
+ * @returns {Promise<{txIndex: bigint|null, accepted: boolean}>}
+ */
+async function acceptGovernorThroughMultiSig(multiSigWallet, gNaira, owners, requiredConfirmations) {
+    const ownerSet = new Set(owners.map((owner) => owner.toLowerCase()));
+    const ownerSigners = (await hre.ethers.getSigners())
+        .filter((signer) => ownerSet.has(signer.address.toLowerCase()));
+
+    if (ownerSigners.length === 0) {
+        console.log("💡 No local account is a MultiSig owner. An owner must propose the acceptance:");
+        console.log(`   npx hardhat multisig:propose acceptGovernor --network ${hre.network.name}\n`);
+        return { txIndex: null, accepted: false };
+    }
+
+    const data = gNaira.interface.encodeFunctionData("acceptGovernor");
+    const txIndex = await multiSigWallet.getTransactionCount();
+    await (await multiSigWallet.connect(ownerSigners[0]).submitTransaction(await gNaira.getAddress(), 0, data)).wait();
+    console.log("📝 Proposed acceptGovernor as MultiSig txIndex:", txIndex.toString());
+
+    const confirmers = ownerSigners.slice(0, requiredConfirmations);
+    for (const signer of confirmers) {
+        await (await multiSigWallet.connect(signer).confirmTransaction(txIndex)).wait();
+        console.log("   ✅ Confirmed by", signer.address);
+    }
+
+    if (confirmers.length < requiredConfirmations) {
+        console.log(`💡 ${requiredConfirmations - confirmers.length} more confirmation(s) needed. Remaining owners run:`);
+        console.log(`   npx hardhat multisig:confirm ${txIndex} --network ${hre.network.name}`);
+        console.log(`   npx hardhat multisig:execute ${txIndex} --network ${hre.network.name}\n`);
+        return { txIndex, accepted: false };
+    }
+
+    const readyAt = await multiSigWallet.readyAt(txIndex);
+    const { timestamp } = await hre.ethers.provider.getBlock("latest");
+    if (readyAt > BigInt(timestamp)) {
+        console.log("⏳ Acceptance is timelocked until", new Date(Number(readyAt) * 1000).toISOString());
+        console.log(`   npx hardhat multisig:execute ${txIndex} --network ${hre.network.name}\n`);
+        return { txIndex, accepted: false };
+    }
+
+    await (await multiSigWallet.connect(confirmers[0]).executeTransaction(txIndex)).wait();
+    return { txIndex, accepted: true };
+}
 
 async function main() {
     console.log("🚀 Starting G-Naira (gNGN) Deployment...\n");
@@ -9,22 +59,23 @@ async function main() {
     console.log("💰 Account balance:", hre.ethers.formatEther(await hre.ethers.provider.getBalance(deployer.address)), "ETH\n");
 
     try {
+        // Step 0: Load and validate the network's deployment config
+        const config = loadDeployConfig(hre.network.name, { deployer: deployer.address });
+        console.log("📄 Using deployment config:", config.path);
+
+        const multisigOwners = config.owners;
+        const requiredConfirmations = config.threshold;
+        const initialGovernor = config.initialGovernor || deployer.address;
+        const deployerIsGovernor = initialGovernor === deployer.address;
+
+        if (config.initialMints.length > 0 && !deployerIsGovernor) {
+            throw new Error("initialMints require the deployer to be the initial governor");
+        }
+        console.log("✅ Config is valid\n");
+
         // Step 1: Deploy MultiSigWallet
         console.log("🔐 Deploying MultiSigWallet...");
-        
-        // Multi-sig wallet owners (include deployer and additional owners)
-        const multisigOwners = [
-            deployer.address,
-            "0x1ac0D33437aaC3243deE9334187dcfDadB9F389B",
-            "0x2B1802AE213D8C6431A9d11806d065F8E9521262",
-            "0x7797b38811048A73878Eed7431B03F6f1dAF4E4a",
-            "0xCC88D775962fBB309cac3d2C377c61adB59A8294",
-            "0x71055387573d02D68baf9EA6aef95df465A524d6"
-        ];  
-        
-        // Number of required confirmations (adjust based on number of owners)
-        const requiredConfirmations = Math.ceil(multisigOwners.length / 2); // Majority rule
-        
+
         const MultiSigWallet = await hre.ethers.getContractFactory("MultiSigWallet");
         const multiSigWallet = await MultiSigWallet.deploy(multisigOwners, requiredConfirmations);
         await multiSigWallet.waitForDeployment();
@@ -39,32 +90,62 @@ async function main() {
         
         const GNaira = await hre.ethers.getContractFactory("GNaira");
         
-        // Deploy with deployer as initial governor (will transfer to multisig later)
-        const gNaira = await GNaira.deploy(deployer.address);
+        // Deploy with the configured initial governor (the deployer unless overridden)
+        const gNaira = await GNaira.deploy(initialGovernor);
         await gNaira.waitForDeployment();
         
         const gNairaAddress = await gNaira.getAddress();
         console.log("✅ GNaira token deployed to:", gNairaAddress);
-        console.log("👑 Initial Governor:", deployer.address, "\n");
+        console.log("👑 Initial Governor:", initialGovernor, "\n");
 
-        // Step 3: Transfer Governor Role to MultiSig (Optional - for production)
-        console.log("🔄 Transferring Governor role to MultiSig...");
-        
-        const transferTx = await gNaira.setGovernor(multiSigAddress);
-        await transferTx.wait();
-        
-        console.log("✅ Governor role transferred to MultiSig:", multiSigAddress, "\n");
+        // Step 3: Initial mint schedule (while the deployer is still governor)
+        if (config.initialMints.length > 0) {
+            console.log("⚙️  Minting initial supply...");
+            for (const { to, amount } of config.initialMints) {
+                const mintTx = await gNaira.mint(to, amount);
+                await mintTx.wait();
+                console.log("   🪙", hre.ethers.formatUnits(amount, 18), "gNGN →", to);
+            }
+            console.log("");
+        }
 
-        // Step 4: Initial Setup (Optional - mint initial supply)
-        console.log("⚙️  Performing initial setup...");
-        
-        // Note: Since governor is now multisig, minting would require multisig approval
-        // For testing, we can mint before transferring governor role
-        
-        // Re-deploy with direct governor setup for initial minting if needed
-        console.log("💡 For initial minting, use the MultiSig wallet to propose and execute mint transactions\n");
+        // Step 4: Nominate the MultiSig as governor and accept through it
+        let governorAccepted = false;
+        if (deployerIsGovernor) {
+            console.log("🔄 Nominating MultiSig as pending governor...");
+
+            const transferTx = await gNaira.setGovernor(multiSigAddress);
+            await transferTx.wait();
+
+            console.log("✅ MultiSig nominated:", multiSigAddress);
+
+            console.log("🗳️  Accepting the Governor role through the MultiSig...");
+            ({ accepted: governorAccepted } = await acceptGovernorThroughMultiSig(
+                multiSigWallet, gNaira, multisigOwners, requiredConfirmations
+            ));
+            if (governorAccepted) {
+                console.log("✅ Governor role transferred to MultiSig:", multiSigAddress, "\n");
+            }
+        } else {
+            console.log("💡 Initial governor is not the deployer; it must hand the role to the MultiSig itself\n");
+        }
+
+        // Step 5: Write the deployment manifest (the in-process hardhat chain is ephemeral)
+        let manifestFile = null;
+        if (hre.network.name !== "hardhat") {
+            const { chainId } = await hre.ethers.provider.getNetwork();
+            manifestFile = writeManifest(hre.network.name, {
+                chainId,
+                deployer: deployer.address,
+                contracts: {
+                    MultiSigWallet: await describeDeployment(hre, "MultiSigWallet", multiSigWallet, [multisigOwners, requiredConfirmations]),
+                    GNaira: await describeDeployment(hre, "GNaira", gNaira, [initialGovernor]),
+                },
+            });
+            console.log("🗂️  Deployment manifest written to:", manifestFile, "\n");
+        }
 
-        // Step 5: Verification (if on testnet/mainnet)
+        // Step 6: Verification (if on testnet/mainnet)
         if (hre.network.name !== "hardhat" && hre.network.name !== "localhost") {
             console.log("🔍 Waiting for block confirmations before verification...");
             await new Promise(resolve => setTimeout(resolve, 60000)); // Wait 1 minute
@@ -82,7 +163,7 @@ async function main() {
                 // Verify GNaira
                 await hre.run("verify:verify", {
                     address: gNairaAddress,
-                    constructorArguments: [multiSigAddress], // Governor is now multisig
+                    constructorArguments: [initialGovernor],
                 });
                 console.log("✅ GNaira token verified");
                 
@@ -91,7 +172,7 @@ async function main() {
             }
         }
 
-        // Step 6: Display Summary
+        // Step 7: Display Summary
         console.log("\n" + "=".repeat(60));
         console.log("🎉 DEPLOYMENT COMPLETED SUCCESSFULLY!");
         console.log("=".repeat(60));
@@ -102,7 +183,9 @@ async function main() {
         console.log("    Name: G-Naira");
         console.log("   🏷️  Symbol: gNGN");
         console.log("   🔢 Decimals: 18");
-        console.log("   👑 Governor: MultiSig Wallet");
+        console.log("   👑 Governor:", governorAccepted
+            ? "MultiSig Wallet"
+            : `${await gNaira.governor()}${deployerIsGovernor ? " (MultiSig acceptance pending)" : ""}`);
         console.log("\n🔐 MultiSig Details:");
         console.log("   👥 Owners:", multisigOwners.length);
         console.log("   ✅ Required Confirmations:", requiredConfirmations);
@@ -120,7 +203,9 @@ async function main() {
                 contract: gNaira
             },
             deployer: deployer.address,
-            network: hre.network.name
+            governorAccepted,
+            network: hre.network.name,
+            manifest: manifestFile
         };
 
     } catch (error) {
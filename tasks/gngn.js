@@ -0,0 +1,121 @@
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { ethers } = require("ethers");
+const { readManifest } = require("../lib/deployments");
+const { createIndexer, createJsonStore } = require("../lib/indexer");
+const { auditSupply, signReport, writeReport } = require("../lib/audit");
+const { createCalldataDecoder } = require("../lib/calldata");
+
+const INDEX_DIR = path.join(__dirname, "..", "indexer-data");
+const AUDIT_DIR = path.join(__dirname, "..", "audit-reports");
+
+/**
+ * Resolves the GNaira contract (connected to the provider) and the block its
+ * deployment manifest records, preferring an explicit --gnaira address.
+ * The MultiSigWallet comes from --wallet or the manifest and is null when
+ * neither names one.
+ */
+async function resolveGNaira(hre, { gnaira, wallet }) {
+    const multiSigWallet = wallet ? await hre.ethers.getContractAt("MultiSigWallet", wallet) : null;
+    if (gnaira) {
+        return { gNaira: await hre.ethers.getContractAt("GNaira", gnaira), multiSigWallet, deployBlock: 0 };
+    }
+
+    const manifest = readManifest(hre.network.name);
+    const entry = manifest.contracts.GNaira;
+    if (!entry) {
+        throw new Error(`GNaira is missing from the ${manifest.network} manifest`);
+    }
+    const walletEntry = manifest.contracts.MultiSigWallet;
+    return {
+        gNaira: await hre.ethers.getContractAt("GNaira", entry.address),
+        multiSigWallet: multiSigWallet || (walletEntry ? await hre.ethers.getContractAt("MultiSigWallet", walletEntry.address) : null),
+        deployBlock: entry.blockNumber || 0,
+    };
+}
+
+task("gngn:index", "Indexes GNaira events into a local JSON ledger")
+    .addOptionalParam("gnaira", "GNaira address (defaults to the deployment manifest)")
+    .addOptionalParam("store", "Index file (defaults to indexer-data/<network>.json)")
+    .addOptionalParam("startBlock", "First block to index (defaults to the deployment block)", undefined, types.int)
+    .addOptionalParam("batchSize", "Blocks per log request", 2000, types.int)
+    .addOptionalParam("reorgDepth", "Blocks to roll back when a reorg is detected", 12, types.int)
+    .addOptionalParam("confirmations", "Blocks to stay behind the chain head", 0, types.int)
+    .setAction(async (args, hre) => {
+        const { gNaira, deployBlock } = await resolveGNaira(hre, args);
+        const file = args.store || path.join(INDEX_DIR, `${hre.network.name}.json`);
+        const indexer = createIndexer(gNaira, {
+            store: createJsonStore(file),
+            startBlock: args.startBlock === undefined ? deployBlock : args.startBlock,
+            batchSize: args.batchSize,
+            reorgDepth: args.reorgDepth,
+            confirmations: args.confirmations,
+        });
+
+        console.log(`🔎 Indexing GNaira ${await gNaira.getAddress()} into ${file}`);
+        const result = await indexer.sync();
+        if (result.rolledBack > 0) {
+            console.log(`⚠️  Reorg detected; rolled back ${result.rolledBack} block(s)`);
+        }
+        console.log(`✅ Indexed ${result.events} event(s) up to block ${result.toBlock}`);
+
+        const ledger = await indexer.getLedger();
+        console.log(`💰 Total supply: ${ethers.formatUnits(ledger.totalSupply, 18)} gNGN across ${Object.keys(ledger.balances).length} holder(s)`);
+        console.log(`👑 Governor: ${ledger.governor}${ledger.paused ? " (paused)" : ""}`);
+
+        return ledger;
+    });
+
+task("gngn:audit", "Reconciles GNaira supply with its events and MultiSig mint/burn proposals")
+    .addOptionalParam("gnaira", "GNaira address (defaults to the deployment manifest)")
+    .addOptionalParam("wallet", "MultiSigWallet address (defaults to the deployment manifest)")
+    .addOptionalParam("startBlock", "First block to read events from (defaults to the deployment block)", undefined, types.int)
+    .addOptionalParam("block", "Block to audit at (defaults to the chain head)", undefined, types.int)
+    .addOptionalParam("batchSize", "Blocks per log request", 2000, types.int)
+    .addOptionalParam("out", "Report path without extension (defaults to audit-reports/<network>-<block>)")
+    .addOptionalParam("signer", "Account that signs the report off (defaults to the first signer)")
+    .setAction(async (args, hre) => {
+        const { gNaira, multiSigWallet, deployBlock } = await resolveGNaira(hre, args);
+        const decode = multiSigWallet
+            ? createCalldataDecoder(hre.artifacts, {
+                gNaira: await gNaira.getAddress(),
+                multiSigWallet: await multiSigWallet.getAddress(),
+            })
+            : null;
+
+        console.log(`🔎 Auditing GNaira ${await gNaira.getAddress()}`);
+        if (!multiSigWallet) {
+            console.log("⚠️  No MultiSigWallet given; skipping the proposal cross-check");
+        }
+        const report = await auditSupply({ gNaira, multiSigWallet, decode }, {
+            startBlock: args.startBlock === undefined ? deployBlock : args.startBlock,
+            toBlock: args.block,
+            batchSize: args.batchSize,
+        });
+
+        const signer = args.signer
+            ? await hre.ethers.getSigner(args.signer)
+            : (await hre.ethers.getSigners())[0];
+        const signed = await signReport(report, signer);
+        const prefix = args.out || path.join(AUDIT_DIR, `${hre.network.name}-${report.blockNumber}`);
+        const files = writeReport(signed, prefix);
+
+        console.log(`💰 Total supply at block ${report.blockNumber}: ${ethers.formatUnits(report.supply.totalSupply, 18)} gNGN across ${report.holders.length} holder(s)`);
+        console.log(`📋 Checked ${report.proposals.length} MultiSig mint/burn call(s)`);
+        if (report.mintsOutsideMultisig.length + report.burnsOutsideMultisig.length > 0) {
+            console.log(`ℹ️  ${report.mintsOutsideMultisig.length} mint(s) and ${report.burnsOutsideMultisig.length} burn(s) were made outside the MultiSig`);
+        }
+        for (const discrepancy of report.discrepancies) {
+            console.log(`❌ ${discrepancy.check} (${discrepancy.source}): ${discrepancy.detail}`);
+        }
+        console.log(`${report.status === "PASS" ? "✅" : "❌"} Audit ${report.status}, signed off by ${signed.signOff.signer}`);
+        console.log(`📄 Report written to ${files.json} and ${files.csv}`);
+
+        return signed;
+    });
+
+module.exports = {
+    INDEX_DIR,
+    AUDIT_DIR,
+    resolveGNaira,
+};
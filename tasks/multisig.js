@@ -0,0 +1,536 @@
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { ethers } = require("ethers");
+const { getDeployedContracts } = require("../lib/deployments");
+const { GOVERNOR_ACTIONS, encodeGovernorAction } = require("../lib/governorActions");
+const { createCalldataDecoder, formatDecodedCall } = require("../lib/calldata");
+const signatures = require("../lib/signatures");
+const { loadBatchFile } = require("../lib/batch");
+const monitor = require("../lib/monitor");
+const disbursement = require("../lib/disbursement");
+
+const DISBURSEMENT_DIR = path.join(__dirname, "..", "disbursements");
+
+/**
+ * Resolves the GNaira and MultiSigWallet contracts, preferring explicit
+ * addresses over the network's deployment manifest. Contracts are connected
+ * to the `signer` account when given, otherwise to the first signer.
+ */
+async function resolveContracts(hre, { gnaira, wallet, signer: signerAddress }) {
+    const signer = signerAddress
+        ? await hre.ethers.getSigner(signerAddress)
+        : (await hre.ethers.getSigners())[0];
+    if (gnaira && wallet) {
+        return {
+            gNaira: await hre.ethers.getContractAt("GNaira", gnaira, signer),
+            multiSigWallet: await hre.ethers.getContractAt("MultiSigWallet", wallet, signer),
+        };
+    }
+
+    const contracts = await getDeployedContracts(hre, { signer });
+    return {
+        gNaira: gnaira ? await hre.ethers.getContractAt("GNaira", gnaira, signer) : contracts.gNaira,
+        multiSigWallet: wallet ? await hre.ethers.getContractAt("MultiSigWallet", wallet, signer) : contracts.multiSigWallet,
+    };
+}
+
+function findEvent(contract, receipt, eventName) {
+    for (const log of receipt.logs) {
+        let parsed = null;
+        try {
+            parsed = contract.interface.parseLog(log);
+        } catch (error) {
+            // Not one of this contract's events
+        }
+        if (parsed && parsed.name === eventName) {
+            return parsed;
+        }
+    }
+    return null;
+}
+
+function findSubmittedIndex(multiSigWallet, receipt) {
+    const submitted = findEvent(multiSigWallet, receipt, "SubmitTransaction");
+    if (!submitted) {
+        throw new Error(`SubmitTransaction was not emitted by ${multiSigWallet.target} in ${receipt.hash}; is it a MultiSigWallet?`);
+    }
+    return submitted.args.txIndex;
+}
+
+/**
+ * Adds the options shared by every multisig task.
+ */
+function withContractParams(definition) {
+    return definition
+        .addOptionalParam("gnaira", "GNaira address (defaults to the deployment manifest)")
+        .addOptionalParam("wallet", "MultiSigWallet address (defaults to the deployment manifest)")
+        .addOptionalParam("signer", "Owner account to send from (defaults to the first account)");
+}
+
+/**
+ * Adds the options that supply GNaira governor action arguments.
+ */
+function withActionParams(definition) {
+    return definition
+        .addOptionalParam("to", "Recipient for mint")
+        .addOptionalParam("account", "Target account for account-level actions such as burnFrom, blacklist and freezeAmount")
+        .addOptionalParam("governor", "New governor for setGovernor")
+        .addOptionalParam("amount", "Amount in gNGN; \"unlimited\" removes the limit in setMaxSupply, setMinterAllowance and setTierLimits")
+        .addOptionalParam("reason", "Reason code for seizeFunds and wipeFunds, e.g. COURT_ORDER")
+        .addOptionalParam("reference", "Case or order reference for seizeFunds and wipeFunds")
+        .addOptionalParam("case", "Compliance case ID for freezeAmount and unfreezeAmount")
+        .addOptionalParam("tier", "KYC tier for setTierLimits and setAccountTier")
+        .addOptionalParam("daily", "Daily limit in gNGN (or \"unlimited\") for setTierLimits")
+        .addOptionalParam("enabled", "true or false for setAllowlistEnabled")
+        .addOptionalParam("accounts", "Comma-separated addresses for updateAllowlist")
+        .addOptionalParam("allowed", "true to add or false to remove the updateAllowlist accounts")
+        .addOptionalParam("levy", "Flat levy in gNGN for setFeeParameters")
+        .addOptionalParam("threshold", "Transfers above this many gNGN pay the levy, for setFeeParameters")
+        .addOptionalParam("bps", "Percentage fee in basis points for setFeeParameters")
+        .addOptionalParam("exempt", "true or false for setFeeExempt");
+}
+
+/**
+ * Creates a calldata decoder for the resolved deployment.
+ */
+async function createDecoder(hre, gNaira, multiSigWallet) {
+    return createCalldataDecoder(hre.artifacts, {
+        gNaira: await gNaira.getAddress(),
+        multiSigWallet: await multiSigWallet.getAddress(),
+    });
+}
+
+/**
+ * Decodes a proposal's call for display. A call the decoder cannot handle is
+ * described as undecodable rather than failing the task, so owners can still
+ * see and cancel it.
+ */
+function describeCall(decode, to, data) {
+    try {
+        const decoded = decode(to, data);
+        return { decoded, description: formatDecodedCall(decoded) };
+    } catch (error) {
+        return { decoded: null, description: `undecodable call ${data} ⚠️  ${error.message}` };
+    }
+}
+
+/**
+ * Parses a unix timestamp in seconds or an ISO date into seconds.
+ */
+function parseTimestamp(value) {
+    if (/^\d+$/.test(value)) {
+        return Number(value);
+    }
+    const millis = Date.parse(value);
+    if (Number.isNaN(millis)) {
+        throw new Error(`Invalid timestamp: ${value}`);
+    }
+    return Math.floor(millis / 1000);
+}
+
+/**
+ * Reads every proposal in the wallet along with who has confirmed it.
+ * Status is pending (below threshold), confirmed (at the threshold but not
+ * queued, e.g. after the requirement was lowered), queued (timelock running),
+ * ready (executable), executed, cancelled or expired.
+ */
+async function loadProposals(multiSigWallet) {
+    const owners = await multiSigWallet.getOwners();
+    const required = await multiSigWallet.numConfirmationsRequired();
+    const count = await multiSigWallet.getTransactionCount();
+    const latestBlock = await multiSigWallet.runner.provider.getBlock("latest");
+    const now = BigInt(latestBlock.timestamp);
+
+    const proposals = [];
+    for (let i = 0n; i < count; i++) {
+        const tx = await multiSigWallet.getTransaction(i);
+        const confirmedBy = [];
+        for (const owner of owners) {
+            if (await multiSigWallet.isConfirmed(i, owner)) {
+                confirmedBy.push(owner);
+            }
+        }
+
+        const readyAt = await multiSigWallet.readyAt(i);
+        let status = "pending";
+        if (tx.executed) {
+            status = "executed";
+        } else if (tx.cancelled) {
+            status = "cancelled";
+        } else if (tx.expiresAt !== 0n && tx.expiresAt <= now) {
+            status = "expired";
+        } else if (tx.numConfirmations >= required) {
+            if (readyAt === 0n) {
+                status = "confirmed";
+            } else {
+                status = readyAt <= now ? "ready" : "queued";
+            }
+        }
+
+        proposals.push({
+            txIndex: i,
+            to: tx.to,
+            value: tx.value,
+            data: tx.data,
+            status,
+            readyAt,
+            expiresAt: tx.expiresAt,
+            numConfirmations: tx.numConfirmations,
+            numCancellations: tx.numCancellations,
+            confirmedBy,
+            confirmationsNeeded: status !== "pending" || tx.numConfirmations >= required ? 0n : required - tx.numConfirmations,
+        });
+    }
+    return proposals;
+}
+
+withActionParams(withContractParams(task("multisig:propose", "Submits a GNaira governor action to the MultiSigWallet"))
+    .addPositionalParam("action", `One of: ${Object.keys(GOVERNOR_ACTIONS).join(", ")}`))
+    .addOptionalParam("expiresAt", "Expiry as a unix timestamp or ISO date; the proposal is void afterwards")
+    .setAction(async (args, hre) => {
+        const { gNaira, multiSigWallet } = await resolveContracts(hre, args);
+        const data = encodeGovernorAction(gNaira.interface, args.action, args);
+        const gNairaAddress = await gNaira.getAddress();
+
+        console.log(`📝 Proposing GNaira.${args.action} through MultiSig ${await multiSigWallet.getAddress()}`);
+        let tx;
+        if (args.expiresAt) {
+            const expiresAt = parseTimestamp(args.expiresAt);
+            console.log(`⌛ Expires at ${new Date(expiresAt * 1000).toISOString()}`);
+            tx = await multiSigWallet.submitTransactionWithExpiry(gNairaAddress, 0, data, expiresAt);
+        } else {
+            tx = await multiSigWallet.submitTransaction(gNairaAddress, 0, data);
+        }
+        const receipt = await tx.wait();
+
+        const txIndex = findSubmittedIndex(multiSigWallet, receipt);
+        console.log("✅ Submitted as txIndex:", txIndex.toString());
+        console.log("🔗 Transaction hash:", receipt.hash);
+
+        return txIndex;
+    });
+
+withContractParams(task("multisig:propose-batch", "Submits a CSV of GNaira governor actions as one atomic MultiSigWallet batch"))
+    .addParam("file", "CSV with action,address,amount columns")
+    .setAction(async (args, hre) => {
+        const { gNaira, multiSigWallet } = await resolveContracts(hre, args);
+        const decode = await createDecoder(hre, gNaira, multiSigWallet);
+        const calls = loadBatchFile(gNaira.interface, await gNaira.getAddress(), args.file);
+
+        console.log(`📝 Proposing a batch of ${calls.length} call(s) through MultiSig ${await multiSigWallet.getAddress()}`);
+        calls.forEach((call, i) => console.log(`   ${i}. ${formatDecodedCall(decode(call.to, call.data))}`));
+
+        const tx = await multiSigWallet.submitBatchTransaction(calls);
+        const receipt = await tx.wait();
+
+        const txIndex = findSubmittedIndex(multiSigWallet, receipt);
+        console.log("✅ Submitted as txIndex:", txIndex.toString());
+        console.log("🔗 Transaction hash:", receipt.hash);
+
+        return txIndex;
+    });
+
+const STATUS_ICONS = { pending: "⏳", confirmed: "☑️", queued: "🕰️", ready: "✅", executed: "🏁", cancelled: "🚫", expired: "⌛" };
+
+withContractParams(task("multisig:list", "Shows MultiSigWallet proposals and their confirmations"))
+    .addFlag("pending", "Hide executed, cancelled and expired proposals")
+    .setAction(async (args, hre) => {
+        const { gNaira, multiSigWallet } = await resolveContracts(hre, args);
+        const decode = await createDecoder(hre, gNaira, multiSigWallet);
+        const required = await multiSigWallet.numConfirmationsRequired();
+
+        let proposals = await loadProposals(multiSigWallet);
+        if (args.pending) {
+            proposals = proposals.filter((proposal) => ["pending", "confirmed", "queued", "ready"].includes(proposal.status));
+        }
+
+        console.log(`📋 ${proposals.length} proposal(s), ${required} confirmation(s) required\n`);
+        for (const proposal of proposals) {
+            Object.assign(proposal, describeCall(decode, proposal.to, proposal.data));
+
+            console.log(`${STATUS_ICONS[proposal.status]} #${proposal.txIndex} [${proposal.status}] ${proposal.description}`);
+            if (proposal.value > 0n) {
+                console.log(`   💰 Value: ${ethers.formatEther(proposal.value)} ETH`);
+            }
+            console.log(`   👥 Confirmed by (${proposal.numConfirmations}): ${proposal.confirmedBy.join(", ") || "nobody"}`);
+            if (proposal.expiresAt !== 0n && proposal.status !== "expired") {
+                console.log(`   ⌛ Expires at ${new Date(Number(proposal.expiresAt) * 1000).toISOString()}`);
+            }
+            if (proposal.numCancellations > 0n) {
+                console.log(`   🚫 Cancellation votes: ${proposal.numCancellations}`);
+            }
+            if (proposal.status === "confirmed") {
+                console.log(`   ☑️  Threshold met; run multisig:queue ${proposal.txIndex} to start the timelock`);
+            }
+            if (proposal.status === "queued") {
+                console.log(`   🕰️  Timelocked until ${new Date(Number(proposal.readyAt) * 1000).toISOString()}`);
+            }
+            if (proposal.confirmationsNeeded > 0n) {
+                console.log(`   ✍️  ${proposal.confirmationsNeeded} more confirmation(s) needed`);
+            }
+        }
+
+        return proposals;
+    });
+
+/**
+ * Defines a task that sends one of the wallet's per-proposal calls.
+ */
+function proposalTask(name, description, method, eventName, icon) {
+    withContractParams(task(name, description))
+        .addPositionalParam("index", "Proposal txIndex", undefined, types.int)
+        .setAction(async (args, hre) => {
+            const { gNaira, multiSigWallet } = await resolveContracts(hre, args);
+            const decode = await createDecoder(hre, gNaira, multiSigWallet);
+            const proposal = await multiSigWallet.getTransaction(args.index);
+            const owner = await multiSigWallet.runner.getAddress();
+
+            console.log(`📝 ${describeCall(decode, proposal.to, proposal.data).description}`);
+            const tx = await multiSigWallet[method](args.index);
+            const receipt = await tx.wait();
+
+            if (!findEvent(multiSigWallet, receipt, eventName)) {
+                throw new Error(`${eventName} was not emitted for txIndex ${args.index}`);
+            }
+            console.log(`${icon} ${eventName} #${args.index} by ${owner}`);
+            console.log("🔗 Transaction hash:", receipt.hash);
+
+            return receipt;
+        });
+}
+
+proposalTask("multisig:confirm", "Confirms a MultiSigWallet proposal", "confirmTransaction", "ConfirmTransaction", "✅");
+proposalTask("multisig:revoke", "Revokes your confirmation of a MultiSigWallet proposal", "revokeConfirmation", "RevokeConfirmation", "↩️");
+proposalTask("multisig:queue", "Starts the timelock of a proposal that met the threshold without being queued", "queueTransaction", "QueueTransaction", "🕰️");
+proposalTask("multisig:execute", "Executes a fully confirmed MultiSigWallet proposal", "executeTransaction", "ExecuteTransaction", "🚀");
+proposalTask("multisig:cancel", "Votes to cancel a MultiSigWallet proposal", "cancelTransaction", "CancelConfirmation", "🚫");
+
+withActionParams(withContractParams(task("multisig:sign", "Signs an EIP-712 approval of a GNaira governor action into a bundle file"))
+    .addParam("file", "Signature bundle JSON file; created on first use")
+    .addOptionalPositionalParam("action", `Action for a new bundle, one of: ${Object.keys(GOVERNOR_ACTIONS).join(", ")}`))
+    .setAction(async (args, hre) => {
+        const { gNaira, multiSigWallet } = await resolveContracts(hre, args);
+        const decode = await createDecoder(hre, gNaira, multiSigWallet);
+
+        let bundle;
+        if (fs.existsSync(args.file)) {
+            bundle = signatures.loadBundle(args.file);
+        } else {
+            if (!args.action) {
+                throw new Error(`${args.file} does not exist; pass an action to start a new bundle`);
+            }
+            bundle = await signatures.createBundle(multiSigWallet, {
+                to: await gNaira.getAddress(),
+                data: encodeGovernorAction(gNaira.interface, args.action, args),
+            });
+            console.log(`🆕 New bundle for nonce ${bundle.nonce}`);
+        }
+
+        console.log(`📝 ${formatDecodedCall(decode(bundle.to, bundle.data))}`);
+        bundle = await signatures.signBundle(bundle, multiSigWallet.runner);
+        signatures.saveBundle(args.file, bundle);
+
+        const status = await signatures.getBundleStatus(multiSigWallet, bundle);
+        console.log(`✍️  Signed by ${await multiSigWallet.runner.getAddress()}`);
+        console.log(`👥 Owner signatures (${status.signers.length}/${status.required}): ${status.signers.join(", ")}`);
+        if (status.missing === 0n) {
+            console.log(`✅ Threshold met; run multisig:exec-signed --file ${args.file}`);
+        }
+
+        return bundle;
+    });
+
+withContractParams(task("multisig:exec-signed", "Executes a signature bundle once enough owners have signed"))
+    .addParam("file", "Signature bundle JSON file")
+    .setAction(async (args, hre) => {
+        const { gNaira, multiSigWallet } = await resolveContracts(hre, args);
+        const decode = await createDecoder(hre, gNaira, multiSigWallet);
+        const bundle = signatures.loadBundle(args.file);
+
+        console.log(`📝 ${formatDecodedCall(decode(bundle.to, bundle.data))}`);
+        const tx = await signatures.submitBundle(multiSigWallet, bundle);
+        const receipt = await tx.wait();
+
+        console.log(`🚀 Executed with signatures at nonce ${bundle.nonce}`);
+        console.log("🔗 Transaction hash:", receipt.hash);
+
+        return receipt;
+    });
+
+/**
+ * Prints problems found in a disbursement and throws if any are errors.
+ */
+function reportDisbursementProblems({ errors, warnings }) {
+    warnings.forEach((warning) => console.log(`⚠️  ${warning}`));
+    errors.forEach((error) => console.log(`❌ ${error}`));
+    if (errors.length > 0) {
+        throw new Error(`Disbursement has ${errors.length} problem(s); nothing was proposed`);
+    }
+}
+
+withContractParams(task("multisig:disburse", "Proposes a CSV of gNGN payouts as chunked batchMint or batchTransfer proposals"))
+    .addParam("file", "CSV with address,amount,reference columns")
+    .addOptionalParam("mode", "\"mint\" new gNGN or \"transfer\" from the wallet's balance", "mint")
+    .addOptionalParam("chunkSize", "Payments per batch proposal", 100, types.int)
+    .addOptionalParam("maxTotal", "Refuse disbursements whose total exceeds this many gNGN")
+    .addOptionalParam("progress", "Progress file (defaults to disbursements/<file>.progress.json)")
+    .addOptionalParam("report", "Reconciliation report path without extension (defaults to disbursements/<file>.reconciliation)")
+    .addFlag("dryRun", "Check the CSV and show the batches without proposing")
+    .addFlag("reconcile", "Only rebuild the reconciliation report for batches already proposed")
+    .setAction(async (args, hre) => {
+        if (!disbursement.DISBURSEMENT_MODES[args.mode]) {
+            throw new Error(`Unknown mode "${args.mode}". Use mint or transfer`);
+        }
+        const { gNaira, multiSigWallet } = await resolveContracts(hre, args);
+        const gNairaAddress = await gNaira.getAddress();
+        const walletAddress = await multiSigWallet.getAddress();
+        const csv = fs.readFileSync(args.file, "utf8");
+        const name = path.basename(args.file, path.extname(args.file));
+        const progressFile = args.progress || path.join(DISBURSEMENT_DIR, `${name}.progress.json`);
+        const reportPrefix = args.report || path.join(DISBURSEMENT_DIR, `${name}.reconciliation`);
+
+        const parsed = disbursement.parseDisbursement(csv);
+        reportDisbursementProblems(parsed);
+        console.log(`📄 ${parsed.rows.length} payment(s) totalling ${ethers.formatUnits(parsed.total, 18)} gNGN`);
+
+        const progress = disbursement.loadProgress(progressFile, {
+            id: disbursement.disbursementId(csv, args.mode),
+            mode: args.mode,
+            gNaira: gNairaAddress,
+            multiSigWallet: walletAddress,
+            chunkSize: args.chunkSize,
+            startBlock: await hre.ethers.provider.getBlockNumber(),
+        });
+        const chunks = disbursement.chunkDisbursement(parsed.rows, args.chunkSize);
+
+        if (!args.reconcile) {
+            const remaining = chunks.slice(progress.batches.length);
+            // Checks cover only what is left, since proposed batches may already have paid out
+            reportDisbursementProblems(await disbursement.checkDisbursement(gNaira, walletAddress, remaining.flat(), {
+                mode: args.mode,
+                maxTotal: args.maxTotal === undefined ? undefined : ethers.parseUnits(args.maxTotal, 18),
+            }));
+            if (progress.batches.length > 0) {
+                console.log(`⏩ Resuming after ${progress.batches.length} of ${chunks.length} batch(es) already proposed`);
+            }
+
+            const resumeAt = progress.batches.length;
+            // Saved up front so a crash before the first batch keeps the search start for findSubmittedBatch
+            if (!args.dryRun) {
+                disbursement.saveProgress(progressFile, progress);
+            }
+
+            for (let batch = resumeAt; batch < chunks.length; batch++) {
+                const rows = chunks[batch];
+                const call = disbursement.buildDisbursementCall(gNaira.interface, gNairaAddress, rows, args.mode);
+                if (args.dryRun) {
+                    console.log(`   Batch ${batch}: ${rows.length} payment(s), lines ${rows[0].line}-${rows[rows.length - 1].line}`);
+                    continue;
+                }
+
+                let submitted = batch === resumeAt
+                    ? await disbursement.findSubmittedBatch(multiSigWallet, call, progress.startBlock)
+                    : null;
+                if (submitted) {
+                    console.log(`🔁 Batch ${batch} was already submitted as txIndex ${submitted.txIndex}`);
+                } else {
+                    const receipt = await (await multiSigWallet.submitTransaction(call.to, call.value, call.data)).wait();
+                    submitted = {
+                        txIndex: findSubmittedIndex(multiSigWallet, receipt),
+                        transactionHash: receipt.hash,
+                    };
+                    console.log(`✅ Batch ${batch}: ${rows.length} payment(s) submitted as txIndex ${submitted.txIndex}`);
+                }
+                progress.batches.push({
+                    batch,
+                    txIndex: submitted.txIndex.toString(),
+                    references: rows.map((row) => row.reference),
+                    transactionHash: submitted.transactionHash,
+                });
+                disbursement.saveProgress(progressFile, progress);
+            }
+            if (args.dryRun) {
+                console.log("🧪 Dry run: nothing was proposed");
+                return { progress, report: null };
+            }
+        }
+
+        const report = await disbursement.reconcileDisbursement(gNaira, multiSigWallet, parsed.rows, progress);
+        fs.mkdirSync(path.dirname(reportPrefix), { recursive: true });
+        fs.writeFileSync(`${reportPrefix}.json`, JSON.stringify(report, null, 2) + "\n");
+        fs.writeFileSync(`${reportPrefix}.csv`, disbursement.reconciliationToCsv(report));
+
+        const counts = {};
+        Object.values(report).forEach((entry) => {
+            counts[entry.status] = (counts[entry.status] || 0) + 1;
+        });
+        console.log(`📊 ${Object.entries(counts).map(([status, count]) => `${count} ${status}`).join(", ")}`);
+        console.log(`📄 Reconciliation written to ${reportPrefix}.json and ${reportPrefix}.csv`);
+
+        return { progress, report };
+    });
+
+task("multisig:monitor", "Watches MultiSigWallet activity and sends alerts")
+    .addOptionalParam("gnaira", "GNaira address (defaults to the deployment manifest)")
+    .addOptionalParam("wallet", "MultiSigWallet address (defaults to the deployment manifest)")
+    .addOptionalParam("rules", "Monitor config JSON: \"rules\" plus optional \"logFile\" and \"webhook\"")
+    .addOptionalParam("mintThreshold", "Alert on proposals minting more than this many gNGN in one call")
+    .addOptionalParam("logFile", "Append alerts to this file as JSON lines")
+    .addOptionalParam("webhook", "POST alerts as JSON to this URL")
+    .addOptionalParam("webhookTimeout", "Seconds to wait for the webhook to respond", undefined, types.int)
+    .addOptionalParam("startBlock", "First block to watch (defaults to the next block)", undefined, types.int)
+    .addOptionalParam("confirmations", "Blocks to stay behind the chain head", 0, types.int)
+    .addOptionalParam("interval", "Seconds between polls", 15, types.int)
+    .addFlag("once", "Poll once and exit instead of watching (needs --start-block)")
+    .setAction(async (args, hre) => {
+        if (args.once && args.startBlock === undefined) {
+            // Without a start block the first poll only finds the head, so it would check nothing
+            throw new Error("--once needs --start-block");
+        }
+        const { gNaira, multiSigWallet } = await resolveContracts(hre, args);
+        const config = args.rules ? JSON.parse(fs.readFileSync(args.rules, "utf8")) : {};
+        const rules = { ...config.rules };
+        if (args.mintThreshold) {
+            rules.mintThreshold = args.mintThreshold;
+        }
+
+        const sinks = [monitor.createConsoleSink()];
+        const logFile = args.logFile || config.logFile;
+        const webhook = args.webhook || config.webhook;
+        if (logFile) {
+            sinks.push(monitor.createFileSink(logFile));
+        }
+        if (webhook) {
+            const timeout = args.webhookTimeout || config.webhookTimeout;
+            sinks.push(monitor.createWebhookSink(webhook, timeout ? { timeout: timeout * 1000 } : {}));
+        }
+
+        const watcher = monitor.createMonitor(multiSigWallet, {
+            decode: await createDecoder(hre, gNaira, multiSigWallet),
+            rules: monitor.createRules(rules),
+            sinks,
+            startBlock: args.startBlock,
+            confirmations: args.confirmations,
+        });
+
+        if (args.once) {
+            const alerts = await watcher.poll();
+            console.log(`✅ Checked up to block ${watcher.getLastBlock()}, ${alerts.length} alert(s)`);
+            return alerts;
+        }
+
+        console.log(`👀 Watching MultiSigWallet ${await multiSigWallet.getAddress()} (${sinks.map((sink) => sink.name).join(", ")})`);
+        await watcher.start(args.interval * 1000);
+        await new Promise((resolve) => process.once("SIGINT", resolve));
+        watcher.stop();
+        console.log("👋 Monitor stopped");
+        return [];
+    });
+
+module.exports = {
+    resolveContracts,
+    findEvent,
+    findSubmittedIndex,
+    loadProposals,
+};
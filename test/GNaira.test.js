@@ -1,5 +1,7 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { buildPermitTypedData, signPermit, permitArgs } = require("../lib/permit");
 
 describe("GNaira Token", function () {
     let gNaira;
@@ -37,17 +39,69 @@ describe("GNaira Token", function () {
     });
 
     describe("Governor Role Management", function () {
-        it("Should allow governor to transfer role", async function () {
+        it("Should allow governor to transfer role once the new governor accepts", async function () {
             await gNaira.connect(governor).setGovernor(user1.address);
+            expect(await gNaira.pendingGovernor()).to.equal(user1.address);
+            expect(await gNaira.governor()).to.equal(governor.address);
+
+            await gNaira.connect(user1).acceptGovernor();
             expect(await gNaira.governor()).to.equal(user1.address);
+            expect(await gNaira.pendingGovernor()).to.equal(ethers.ZeroAddress);
         });
 
-        it("Should emit GovernorChanged event", async function () {
+        it("Should emit GovernorTransferStarted and GovernorChanged events", async function () {
             await expect(gNaira.connect(governor).setGovernor(user1.address))
+                .to.emit(gNaira, "GovernorTransferStarted")
+                .withArgs(governor.address, user1.address);
+
+            await expect(gNaira.connect(user1).acceptGovernor())
                 .to.emit(gNaira, "GovernorChanged")
                 .withArgs(governor.address, user1.address);
         });
 
+        it("Should only let the pending governor accept", async function () {
+            await expect(gNaira.connect(user1).acceptGovernor())
+                .to.be.revertedWith("GNaira: caller is not the pending governor");
+
+            await gNaira.connect(governor).setGovernor(user1.address);
+            await expect(gNaira.connect(user2).acceptGovernor())
+                .to.be.revertedWith("GNaira: caller is not the pending governor");
+        });
+
+        it("Should replace the pending governor when nominating again", async function () {
+            await gNaira.connect(governor).setGovernor(user1.address);
+            await gNaira.connect(governor).setGovernor(user2.address);
+
+            await expect(gNaira.connect(user1).acceptGovernor())
+                .to.be.revertedWith("GNaira: caller is not the pending governor");
+            await gNaira.connect(user2).acceptGovernor();
+            expect(await gNaira.governor()).to.equal(user2.address);
+        });
+
+        it("Should allow governor to cancel a pending transfer", async function () {
+            await gNaira.connect(governor).setGovernor(user1.address);
+
+            await expect(gNaira.connect(user1).cancelGovernorTransfer())
+                .to.be.revertedWith("GNaira: caller is not the governor");
+            await expect(gNaira.connect(governor).cancelGovernorTransfer())
+                .to.emit(gNaira, "GovernorTransferCancelled")
+                .withArgs(governor.address, user1.address);
+
+            expect(await gNaira.pendingGovernor()).to.equal(ethers.ZeroAddress);
+            await expect(gNaira.connect(user1).acceptGovernor())
+                .to.be.revertedWith("GNaira: caller is not the pending governor");
+            await expect(gNaira.connect(governor).cancelGovernorTransfer())
+                .to.be.revertedWith("GNaira: no pending governor");
+        });
+
+        it("Should not allow a blacklisted pending governor to accept", async function () {
+            await gNaira.connect(governor).setGovernor(user1.address);
+            await gNaira.connect(governor).blacklist(user1.address);
+
+            await expect(gNaira.connect(user1).acceptGovernor())
+                .to.be.revertedWith("GNaira: account is blacklisted");
+        });
+
         it("Should not allow non-governor to transfer role", async function () {
             await expect(gNaira.connect(user1).setGovernor(user2.address))
                 .to.be.revertedWith("GNaira: caller is not the governor");
@@ -83,7 +137,7 @@ describe("GNaira Token", function () {
             const mintAmount = ethers.parseEther("100");
             
             await expect(gNaira.connect(user1).mint(user2.address, mintAmount))
-                .to.be.revertedWith("GNaira: caller is not the governor");
+                .to.be.revertedWith("GNaira: caller is missing role");
         });
 
         it("Should not allow minting to zero address", async function () {
@@ -147,7 +201,7 @@ describe("GNaira Token", function () {
             const burnAmount = ethers.parseEther("50");
             
             await expect(gNaira.connect(user1).burn(burnAmount))
-                .to.be.revertedWith("GNaira: caller is not the governor");
+                .to.be.revertedWith("GNaira: caller is missing role");
         });
 
         it("Should not allow burning more than balance", async function () {
@@ -182,7 +236,7 @@ describe("GNaira Token", function () {
 
         it("Should not allow non-governor to blacklist", async function () {
             await expect(gNaira.connect(user1).blacklist(user2.address))
-                .to.be.revertedWith("GNaira: caller is not the governor");
+                .to.be.revertedWith("GNaira: caller is missing role");
         });
 
         it("Should not allow blacklisting zero address", async function () {
@@ -197,6 +251,561 @@ describe("GNaira Token", function () {
         });
     });
 
+    describe("Transfer Fees", function () {
+        const levy = ethers.parseEther("50");
+        const levyThreshold = ethers.parseEther("10000");
+        let treasury;
+
+        beforeEach(async function () {
+            treasury = user3;
+            await gNaira.connect(governor).mint(user1.address, ethers.parseEther("100000"));
+            await gNaira.connect(governor).setTreasury(treasury.address);
+        });
+
+        it("Should set the treasury and fee parameters", async function () {
+            await expect(gNaira.connect(governor).setTreasury(user2.address))
+                .to.emit(gNaira, "TreasuryChanged")
+                .withArgs(treasury.address, user2.address);
+            await expect(gNaira.connect(governor).setFeeParameters(levy, levyThreshold, 25))
+                .to.emit(gNaira, "FeeParametersChanged")
+                .withArgs(levy, levyThreshold, 25);
+
+            expect(await gNaira.levyAmount()).to.equal(levy);
+            expect(await gNaira.levyThreshold()).to.equal(levyThreshold);
+            expect(await gNaira.feeBasisPoints()).to.equal(25);
+        });
+
+        it("Should charge the levy only above the threshold", async function () {
+            await gNaira.connect(governor).setFeeParameters(levy, levyThreshold, 0);
+            const above = levyThreshold + 1n;
+
+            expect(await gNaira.calculateFee(user1.address, user2.address, levyThreshold)).to.equal(0);
+            await expect(gNaira.connect(user1).transfer(user2.address, levyThreshold))
+                .to.not.emit(gNaira, "FeeCharged");
+            await expect(gNaira.connect(user1).transfer(user2.address, above))
+                .to.emit(gNaira, "FeeCharged")
+                .withArgs(user1.address, user2.address, levy)
+                .and.to.emit(gNaira, "Transfer")
+                .withArgs(user1.address, user2.address, above - levy)
+                .and.to.emit(gNaira, "Transfer")
+                .withArgs(user1.address, treasury.address, levy);
+
+            expect(await gNaira.balanceOf(user2.address)).to.equal(levyThreshold + above - levy);
+            expect(await gNaira.balanceOf(treasury.address)).to.equal(levy);
+        });
+
+        it("Should combine the levy with a basis-point fee", async function () {
+            await gNaira.connect(governor).setFeeParameters(levy, levyThreshold, 50);
+            const amount = ethers.parseEther("20000");
+            const fee = levy + ethers.parseEther("100");
+
+            expect(await gNaira.calculateFee(user1.address, user2.address, amount)).to.equal(fee);
+            await gNaira.connect(user1).transfer(user2.address, amount);
+
+            expect(await gNaira.balanceOf(user1.address)).to.equal(ethers.parseEther("80000"));
+            expect(await gNaira.balanceOf(user2.address)).to.equal(amount - fee);
+            expect(await gNaira.balanceOf(treasury.address)).to.equal(fee);
+            expect(await gNaira.totalSupply()).to.equal(ethers.parseEther("100000"));
+        });
+
+        it("Should charge fees on transferFrom", async function () {
+            await gNaira.connect(governor).setFeeParameters(0, 0, 100);
+            await gNaira.connect(user1).approve(user2.address, ethers.parseEther("1000"));
+
+            await gNaira.connect(user2).transferFrom(user1.address, user2.address, ethers.parseEther("1000"));
+
+            expect(await gNaira.balanceOf(user2.address)).to.equal(ethers.parseEther("990"));
+            expect(await gNaira.balanceOf(treasury.address)).to.equal(ethers.parseEther("10"));
+        });
+
+        it("Should not charge fee-exempt senders or recipients", async function () {
+            await gNaira.connect(governor).setFeeParameters(levy, 0, 100);
+            await expect(gNaira.connect(governor).setFeeExempt(user2.address, true))
+                .to.emit(gNaira, "FeeExemptionChanged")
+                .withArgs(user2.address, true);
+
+            await gNaira.connect(user1).transfer(user2.address, ethers.parseEther("1000"));
+            await gNaira.connect(user2).transfer(user1.address, ethers.parseEther("500"));
+
+            expect(await gNaira.balanceOf(user2.address)).to.equal(ethers.parseEther("500"));
+            expect(await gNaira.balanceOf(treasury.address)).to.equal(0);
+        });
+
+        it("Should not charge mints or burns", async function () {
+            await gNaira.connect(governor).setFeeParameters(levy, 0, 100);
+
+            await gNaira.connect(governor).mint(user2.address, ethers.parseEther("1000"));
+            await gNaira.connect(governor).burnFrom(user2.address, ethers.parseEther("400"));
+
+            expect(await gNaira.balanceOf(user2.address)).to.equal(ethers.parseEther("600"));
+            expect(await gNaira.balanceOf(treasury.address)).to.equal(0);
+        });
+
+        it("Should reject transfers smaller than their fee", async function () {
+            await gNaira.connect(governor).setFeeParameters(levy, 0, 0);
+
+            await expect(gNaira.connect(user1).transfer(user2.address, ethers.parseEther("49")))
+                .to.be.revertedWith("GNaira: fee exceeds transfer amount");
+        });
+
+        it("Should not pay fees to a blacklisted or non-allowlisted treasury", async function () {
+            await gNaira.connect(governor).setFeeParameters(0, 0, 100);
+            await gNaira.connect(governor).blacklist(treasury.address);
+
+            await expect(gNaira.connect(user1).transfer(user2.address, ethers.parseEther("1000")))
+                .to.be.revertedWith("GNaira: treasury is blacklisted");
+
+            await gNaira.connect(governor).unBlacklist(treasury.address);
+            await gNaira.connect(governor).updateAllowlist([user1.address, user2.address], true);
+            await gNaira.connect(governor).setAllowlistEnabled(true);
+
+            await expect(gNaira.connect(user1).transfer(user2.address, ethers.parseEther("1000")))
+                .to.be.revertedWith("GNaira: treasury not allowlisted");
+            await expect(gNaira.connect(governor).setTreasury(user2.address))
+                .to.not.be.reverted;
+            await expect(gNaira.connect(governor).setTreasury(user3.address))
+                .to.be.revertedWith("GNaira: account not allowlisted");
+            expect(await gNaira.balanceOf(treasury.address)).to.equal(0);
+        });
+
+        it("Should validate fee settings", async function () {
+            await expect(gNaira.connect(governor).setFeeParameters(0, 0, 1001))
+                .to.be.revertedWith("GNaira: fee too high");
+            await expect(gNaira.connect(user1).setFeeParameters(0, 0, 1))
+                .to.be.revertedWith("GNaira: caller is missing role");
+            await expect(gNaira.connect(user1).setFeeExempt(user1.address, true))
+                .to.be.revertedWith("GNaira: caller is missing role");
+            await expect(gNaira.connect(governor).setTreasury(ethers.ZeroAddress))
+                .to.be.revertedWith("GNaira: treasury is the zero address");
+
+            const GNaira = await ethers.getContractFactory("GNaira");
+            const fresh = await GNaira.deploy(governor.address);
+            await expect(fresh.connect(governor).setFeeParameters(levy, 0, 0))
+                .to.be.revertedWith("GNaira: treasury not set");
+        });
+    });
+
+    describe("Allowlist Mode", function () {
+        beforeEach(async function () {
+            await gNaira.connect(governor).mint(user1.address, ethers.parseEther("1000"));
+        });
+
+        it("Should be off by default", async function () {
+            expect(await gNaira.allowlistEnabled()).to.equal(false);
+            await gNaira.connect(user1).transfer(user2.address, ethers.parseEther("1"));
+        });
+
+        it("Should switch the mode on and off with events", async function () {
+            await expect(gNaira.connect(governor).setAllowlistEnabled(true))
+                .to.emit(gNaira, "AllowlistModeChanged")
+                .withArgs(true);
+            expect(await gNaira.allowlistEnabled()).to.equal(true);
+
+            await expect(gNaira.connect(governor).setAllowlistEnabled(true))
+                .to.be.revertedWith("GNaira: allowlist mode unchanged");
+            await expect(gNaira.connect(governor).setAllowlistEnabled(false))
+                .to.emit(gNaira, "AllowlistModeChanged")
+                .withArgs(false);
+        });
+
+        it("Should update the allowlist in bulk", async function () {
+            await expect(gNaira.connect(governor).updateAllowlist([user1.address, user2.address], true))
+                .to.emit(gNaira, "AllowlistUpdated")
+                .withArgs(user1.address, true)
+                .and.to.emit(gNaira, "AllowlistUpdated")
+                .withArgs(user2.address, true);
+            expect(await gNaira.allowlisted(user1.address)).to.equal(true);
+            expect(await gNaira.allowlisted(user2.address)).to.equal(true);
+
+            await gNaira.connect(governor).updateAllowlist([user2.address], false);
+            expect(await gNaira.allowlisted(user2.address)).to.equal(false);
+
+            await expect(gNaira.connect(governor).updateAllowlist([user3.address, ethers.ZeroAddress], true))
+                .to.be.revertedWith("GNaira: allowlist zero address");
+        });
+
+        it("Should restrict mint, transfer and transferFrom to allowlisted accounts", async function () {
+            await gNaira.connect(governor).updateAllowlist([user1.address, user2.address], true);
+            await gNaira.connect(governor).setAllowlistEnabled(true);
+
+            await gNaira.connect(user1).transfer(user2.address, ethers.parseEther("10"));
+            await expect(gNaira.connect(user1).transfer(user3.address, ethers.parseEther("10")))
+                .to.be.revertedWith("GNaira: account not allowlisted");
+
+            await gNaira.connect(governor).mint(user2.address, ethers.parseEther("10"));
+            await expect(gNaira.connect(governor).mint(user3.address, ethers.parseEther("10")))
+                .to.be.revertedWith("GNaira: account not allowlisted");
+
+            // The spender does not need to be allowlisted, only the holders
+            await gNaira.connect(user1).approve(user3.address, ethers.parseEther("20"));
+            await gNaira.connect(user3).transferFrom(user1.address, user2.address, ethers.parseEther("10"));
+            await expect(gNaira.connect(user3).transferFrom(user1.address, user3.address, ethers.parseEther("10")))
+                .to.be.revertedWith("GNaira: account not allowlisted");
+        });
+
+        it("Should stop accounts removed from the allowlist from sending", async function () {
+            await gNaira.connect(governor).updateAllowlist([user1.address, user2.address], true);
+            await gNaira.connect(governor).setAllowlistEnabled(true);
+            await gNaira.connect(governor).updateAllowlist([user1.address], false);
+
+            await expect(gNaira.connect(user1).transfer(user2.address, 1))
+                .to.be.revertedWith("GNaira: account not allowlisted");
+        });
+
+        it("Should only allow authorised roles to manage the allowlist", async function () {
+            await expect(gNaira.connect(user1).setAllowlistEnabled(true))
+                .to.be.revertedWith("GNaira: caller is missing role");
+            await expect(gNaira.connect(user1).updateAllowlist([user1.address], true))
+                .to.be.revertedWith("GNaira: caller is missing role");
+        });
+    });
+
+    describe("KYC Tiers", function () {
+        const ONE_DAY = 24 * 60 * 60;
+        const TIER_1 = 1;
+
+        beforeEach(async function () {
+            await gNaira.connect(governor).mint(user1.address, ethers.parseEther("10000"));
+            await gNaira.connect(governor).setTierLimits(TIER_1, ethers.parseEther("500"), ethers.parseEther("1000"));
+            await gNaira.connect(governor).setAccountTier(user1.address, TIER_1);
+        });
+
+        it("Should leave the default tier unlimited", async function () {
+            expect(await gNaira.kycTier(user2.address)).to.equal(0);
+            const [perTransaction, daily] = await gNaira.tierLimits(0);
+            expect(perTransaction).to.equal(ethers.MaxUint256);
+            expect(daily).to.equal(ethers.MaxUint256);
+            expect(await gNaira.remainingDailyLimit(user2.address)).to.equal(ethers.MaxUint256);
+        });
+
+        it("Should emit events when configuring tiers", async function () {
+            await expect(gNaira.connect(governor).setTierLimits(2, ethers.parseEther("5000"), ethers.parseEther("20000")))
+                .to.emit(gNaira, "TierLimitsChanged")
+                .withArgs(2, ethers.parseEther("5000"), ethers.parseEther("20000"));
+            await expect(gNaira.connect(governor).setAccountTier(user1.address, 2))
+                .to.emit(gNaira, "AccountTierChanged")
+                .withArgs(user1.address, TIER_1, 2);
+        });
+
+        it("Should enforce the per-transaction limit", async function () {
+            await expect(gNaira.connect(user1).transfer(user2.address, ethers.parseEther("501")))
+                .to.be.revertedWith("GNaira: amount exceeds tier transaction limit");
+            await gNaira.connect(user1).transfer(user2.address, ethers.parseEther("500"));
+        });
+
+        it("Should enforce the daily limit across transfers and transferFrom", async function () {
+            await gNaira.connect(user1).transfer(user2.address, ethers.parseEther("400"));
+            await gNaira.connect(user1).approve(user3.address, ethers.parseEther("1000"));
+            await gNaira.connect(user3).transferFrom(user1.address, user3.address, ethers.parseEther("400"));
+
+            expect(await gNaira.dailySpent(user1.address)).to.equal(ethers.parseEther("800"));
+            expect(await gNaira.remainingDailyLimit(user1.address)).to.equal(ethers.parseEther("200"));
+
+            await expect(gNaira.connect(user1).transfer(user2.address, ethers.parseEther("201")))
+                .to.be.revertedWith("GNaira: amount exceeds tier daily limit");
+            await gNaira.connect(user1).transfer(user2.address, ethers.parseEther("200"));
+        });
+
+        it("Should count spend over a rolling 24 hours rather than per calendar day", async function () {
+            const today = Math.floor((await time.latest()) / ONE_DAY);
+            await time.setNextBlockTimestamp((today + 1) * ONE_DAY - 60);
+            await gNaira.connect(user1).transfer(user2.address, ethers.parseEther("500"));
+            await gNaira.connect(user1).transfer(user2.address, ethers.parseEther("500"));
+
+            await time.setNextBlockTimestamp((today + 1) * ONE_DAY + 60);
+            await expect(gNaira.connect(user1).transfer(user2.address, 1))
+                .to.be.revertedWith("GNaira: amount exceeds tier daily limit");
+            expect(await gNaira.dailySpent(user1.address)).to.equal(ethers.parseEther("1000"));
+        });
+
+        it("Should release spend once 24 full hours have passed", async function () {
+            const ONE_HOUR = 60 * 60;
+            const start = (Math.floor((await time.latest()) / ONE_HOUR) + 1) * ONE_HOUR;
+            await time.setNextBlockTimestamp(start);
+            await gNaira.connect(user1).transfer(user2.address, ethers.parseEther("500"));
+            await time.setNextBlockTimestamp(start + 12 * ONE_HOUR);
+            await gNaira.connect(user1).transfer(user2.address, ethers.parseEther("500"));
+
+            await time.setNextBlockTimestamp(start + ONE_DAY);
+            await expect(gNaira.connect(user1).transfer(user2.address, 1))
+                .to.be.revertedWith("GNaira: amount exceeds tier daily limit");
+
+            await time.increaseTo(start + ONE_DAY + ONE_HOUR);
+            expect(await gNaira.dailySpent(user1.address)).to.equal(ethers.parseEther("500"));
+            expect(await gNaira.remainingDailyLimit(user1.address)).to.equal(ethers.parseEther("500"));
+            await gNaira.connect(user1).transfer(user2.address, ethers.parseEther("500"));
+            await expect(gNaira.connect(user1).transfer(user2.address, 1))
+                .to.be.revertedWith("GNaira: amount exceeds tier daily limit");
+
+            await time.increaseTo(start + 3 * ONE_DAY);
+            expect(await gNaira.dailySpent(user1.address)).to.equal(0);
+            await gNaira.connect(user1).transfer(user2.address, ethers.parseEther("500"));
+            expect(await gNaira.dailySpent(user1.address)).to.equal(ethers.parseEther("500"));
+        });
+
+        it("Should only limit the sender", async function () {
+            await gNaira.connect(governor).mint(user2.address, ethers.parseEther("5000"));
+            await gNaira.connect(user2).transfer(user1.address, ethers.parseEther("5000"));
+
+            expect(await gNaira.balanceOf(user1.address)).to.equal(ethers.parseEther("15000"));
+        });
+
+        it("Should not assign accounts to tiers that were never configured", async function () {
+            await expect(gNaira.connect(governor).setAccountTier(user1.address, 7))
+                .to.be.revertedWith("GNaira: tier not configured");
+
+            await gNaira.connect(governor).setTierLimits(7, 0, 0);
+            await gNaira.connect(governor).setAccountTier(user1.address, 7);
+            await expect(gNaira.connect(user1).transfer(user2.address, 1))
+                .to.be.revertedWith("GNaira: amount exceeds tier transaction limit");
+        });
+
+        it("Should apply a lowered daily limit to spend already made today", async function () {
+            await gNaira.connect(user1).transfer(user2.address, ethers.parseEther("500"));
+            await gNaira.connect(governor).setTierLimits(TIER_1, ethers.parseEther("300"), ethers.parseEther("400"));
+
+            expect(await gNaira.remainingDailyLimit(user1.address)).to.equal(0);
+            await expect(gNaira.connect(user1).transfer(user2.address, 1))
+                .to.be.revertedWith("GNaira: amount exceeds tier daily limit");
+        });
+
+        it("Should validate tier changes", async function () {
+            await expect(gNaira.connect(user1).setTierLimits(TIER_1, 1, 1))
+                .to.be.revertedWith("GNaira: caller is missing role");
+            await expect(gNaira.connect(user1).setAccountTier(user2.address, TIER_1))
+                .to.be.revertedWith("GNaira: caller is missing role");
+            await expect(gNaira.connect(governor).setTierLimits(TIER_1, 2, 1))
+                .to.be.revertedWith("GNaira: transaction limit exceeds daily limit");
+            await expect(gNaira.connect(governor).setAccountTier(user1.address, TIER_1))
+                .to.be.revertedWith("GNaira: account already in tier");
+            await expect(gNaira.connect(governor).setAccountTier(ethers.ZeroAddress, TIER_1))
+                .to.be.revertedWith("GNaira: tier for the zero address");
+        });
+    });
+
+    describe("Amount Freezes", function () {
+        const caseA = ethers.encodeBytes32String("EFCC-2026-001");
+        const caseB = ethers.encodeBytes32String("EFCC-2026-002");
+
+        beforeEach(async function () {
+            await gNaira.connect(governor).mint(user1.address, ethers.parseEther("1000"));
+        });
+
+        it("Should freeze an amount under a case and report frozen and available balances", async function () {
+            await expect(gNaira.connect(governor).freezeAmount(user1.address, ethers.parseEther("300"), caseA))
+                .to.emit(gNaira, "AmountFrozen")
+                .withArgs(user1.address, caseA, ethers.parseEther("300"));
+            await gNaira.connect(governor).freezeAmount(user1.address, ethers.parseEther("200"), caseB);
+
+            expect(await gNaira.frozenBalanceOf(user1.address)).to.equal(ethers.parseEther("500"));
+            expect(await gNaira.frozenBalanceOfCase(user1.address, caseA)).to.equal(ethers.parseEther("300"));
+            expect(await gNaira.availableBalanceOf(user1.address)).to.equal(ethers.parseEther("500"));
+            expect(await gNaira.balanceOf(user1.address)).to.equal(ethers.parseEther("1000"));
+        });
+
+        it("Should only allow transfers of the available balance", async function () {
+            await gNaira.connect(governor).freezeAmount(user1.address, ethers.parseEther("700"), caseA);
+
+            await expect(gNaira.connect(user1).transfer(user2.address, ethers.parseEther("301")))
+                .to.be.revertedWith("GNaira: transfer amount exceeds available balance");
+            await gNaira.connect(user1).transfer(user2.address, ethers.parseEther("300"));
+            expect(await gNaira.availableBalanceOf(user1.address)).to.equal(0);
+
+            await gNaira.connect(user1).approve(user2.address, ethers.parseEther("1"));
+            await expect(gNaira.connect(user2).transferFrom(user1.address, user2.address, ethers.parseEther("1")))
+                .to.be.revertedWith("GNaira: transfer amount exceeds available balance");
+        });
+
+        it("Should still report the balance error for amounts above the whole balance", async function () {
+            await gNaira.connect(governor).freezeAmount(user1.address, ethers.parseEther("100"), caseA);
+
+            await expect(gNaira.connect(user1).transfer(user2.address, ethers.parseEther("1001")))
+                .to.be.revertedWith("GNaira: transfer amount exceeds balance");
+        });
+
+        it("Should unfreeze per case", async function () {
+            await gNaira.connect(governor).freezeAmount(user1.address, ethers.parseEther("300"), caseA);
+            await gNaira.connect(governor).freezeAmount(user1.address, ethers.parseEther("200"), caseB);
+
+            await expect(gNaira.connect(governor).unfreezeAmount(user1.address, ethers.parseEther("201"), caseB))
+                .to.be.revertedWith("GNaira: unfreeze amount exceeds frozen amount");
+            await expect(gNaira.connect(governor).unfreezeAmount(user1.address, ethers.parseEther("300"), caseA))
+                .to.emit(gNaira, "AmountUnfrozen")
+                .withArgs(user1.address, caseA, ethers.parseEther("300"));
+
+            expect(await gNaira.frozenBalanceOfCase(user1.address, caseA)).to.equal(0);
+            expect(await gNaira.frozenBalanceOf(user1.address)).to.equal(ethers.parseEther("200"));
+            await gNaira.connect(user1).transfer(user2.address, ethers.parseEther("800"));
+        });
+
+        it("Should not freeze more than the available balance or zero", async function () {
+            await gNaira.connect(governor).freezeAmount(user1.address, ethers.parseEther("600"), caseA);
+
+            await expect(gNaira.connect(governor).freezeAmount(user1.address, ethers.parseEther("401"), caseB))
+                .to.be.revertedWith("GNaira: freeze amount exceeds available balance");
+            await expect(gNaira.connect(governor).freezeAmount(user1.address, 0, caseB))
+                .to.be.revertedWith("GNaira: freeze amount is zero");
+            await expect(gNaira.connect(governor).unfreezeAmount(user1.address, 0, caseA))
+                .to.be.revertedWith("GNaira: unfreeze amount is zero");
+        });
+
+        it("Should only allow compliance officers to freeze and unfreeze", async function () {
+            await expect(gNaira.connect(user2).freezeAmount(user1.address, 1, caseA))
+                .to.be.revertedWith("GNaira: caller is missing role");
+            await expect(gNaira.connect(user2).unfreezeAmount(user1.address, 1, caseA))
+                .to.be.revertedWith("GNaira: caller is missing role");
+        });
+
+        it("Should only let a seizure take frozen funds once the case is released", async function () {
+            const reasonCode = ethers.encodeBytes32String("COURT_ORDER");
+            await gNaira.connect(governor).freezeAmount(user1.address, ethers.parseEther("800"), caseA);
+            await gNaira.connect(governor).setRecoveryAddress(user3.address);
+            await gNaira.connect(governor).blacklist(user1.address);
+
+            await expect(gNaira.connect(governor).seizeFunds(user1.address, ethers.parseEther("400"), reasonCode, "FHC/L/CS/12/2026"))
+                .to.be.revertedWith("GNaira: seize amount exceeds available balance");
+
+            await gNaira.connect(governor).unfreezeAmount(user1.address, ethers.parseEther("400"), caseA);
+            await gNaira.connect(governor).seizeFunds(user1.address, ethers.parseEther("600"), reasonCode, "FHC/L/CS/12/2026");
+
+            expect(await gNaira.balanceOf(user3.address)).to.equal(ethers.parseEther("600"));
+            expect(await gNaira.balanceOf(user1.address)).to.equal(ethers.parseEther("400"));
+            expect(await gNaira.frozenBalanceOfCase(user1.address, caseA)).to.equal(ethers.parseEther("400"));
+            expect(await gNaira.availableBalanceOf(user1.address)).to.equal(0);
+        });
+
+        it("Should not burn or wipe frozen funds", async function () {
+            await gNaira.connect(governor).freezeAmount(user1.address, ethers.parseEther("700"), caseA);
+
+            await expect(gNaira.connect(governor).burnFrom(user1.address, ethers.parseEther("301")))
+                .to.be.revertedWith("GNaira: burn amount exceeds available balance");
+            await gNaira.connect(governor).burnFrom(user1.address, ethers.parseEther("300"));
+
+            await gNaira.connect(governor).blacklist(user1.address);
+            await expect(gNaira.connect(governor).wipeFunds(
+                user1.address, ethers.parseEther("1"), ethers.encodeBytes32String("COURT_ORDER"), "FHC/L/CS/12/2026"
+            )).to.be.revertedWith("GNaira: burn amount exceeds available balance");
+
+            expect(await gNaira.balanceOf(user1.address)).to.equal(ethers.parseEther("700"));
+            expect(await gNaira.frozenBalanceOf(user1.address)).to.equal(ethers.parseEther("700"));
+            expect(await gNaira.availableBalanceOf(user1.address)).to.equal(0);
+        });
+    });
+
+    describe("Seizure and Wipe", function () {
+        const reasonCode = ethers.encodeBytes32String("COURT_ORDER");
+        const reference = "FHC/L/CS/12/2026";
+        let recovery;
+
+        beforeEach(async function () {
+            recovery = user3;
+            await gNaira.connect(governor).mint(blacklistedUser.address, ethers.parseEther("1000"));
+            await gNaira.connect(governor).setRecoveryAddress(recovery.address);
+            await gNaira.connect(governor).blacklist(blacklistedUser.address);
+        });
+
+        it("Should set the recovery address", async function () {
+            await expect(gNaira.connect(governor).setRecoveryAddress(user2.address))
+                .to.emit(gNaira, "RecoveryAddressChanged")
+                .withArgs(recovery.address, user2.address);
+            expect(await gNaira.recoveryAddress()).to.equal(user2.address);
+
+            await expect(gNaira.connect(user1).setRecoveryAddress(user1.address))
+                .to.be.revertedWith("GNaira: caller is missing role");
+            await expect(gNaira.connect(governor).setRecoveryAddress(ethers.ZeroAddress))
+                .to.be.revertedWith("GNaira: recovery address is the zero address");
+            await expect(gNaira.connect(governor).setRecoveryAddress(blacklistedUser.address))
+                .to.be.revertedWith("GNaira: account is blacklisted");
+        });
+
+        it("Should only seize to an allowlisted recovery address in allowlist mode", async function () {
+            await gNaira.connect(governor).setAllowlistEnabled(true);
+
+            await expect(gNaira.connect(governor).setRecoveryAddress(user2.address))
+                .to.be.revertedWith("GNaira: account not allowlisted");
+            await expect(gNaira.connect(governor).seizeFunds(blacklistedUser.address, 1, reasonCode, reference))
+                .to.be.revertedWith("GNaira: account not allowlisted");
+
+            await gNaira.connect(governor).updateAllowlist([recovery.address, user2.address], true);
+            await gNaira.connect(governor).seizeFunds(blacklistedUser.address, 1, reasonCode, reference);
+            await gNaira.connect(governor).setRecoveryAddress(user2.address);
+            expect(await gNaira.balanceOf(recovery.address)).to.equal(1);
+        });
+
+        it("Should seize funds from a blacklisted account to the recovery address", async function () {
+            const amount = ethers.parseEther("400");
+
+            await expect(gNaira.connect(governor).seizeFunds(blacklistedUser.address, amount, reasonCode, reference))
+                .to.emit(gNaira, "FundsSeized")
+                .withArgs(blacklistedUser.address, recovery.address, amount, reasonCode, reference)
+                .and.to.emit(gNaira, "Transfer")
+                .withArgs(blacklistedUser.address, recovery.address, amount);
+
+            expect(await gNaira.balanceOf(blacklistedUser.address)).to.equal(ethers.parseEther("600"));
+            expect(await gNaira.balanceOf(recovery.address)).to.equal(amount);
+            expect(await gNaira.totalSupply()).to.equal(ethers.parseEther("1000"));
+        });
+
+        it("Should wipe funds from a blacklisted account", async function () {
+            const amount = ethers.parseEther("1000");
+
+            await expect(gNaira.connect(governor).wipeFunds(blacklistedUser.address, amount, reasonCode, reference))
+                .to.emit(gNaira, "FundsWiped")
+                .withArgs(blacklistedUser.address, amount, reasonCode, reference)
+                .and.to.emit(gNaira, "Transfer")
+                .withArgs(blacklistedUser.address, ethers.ZeroAddress, amount);
+
+            expect(await gNaira.balanceOf(blacklistedUser.address)).to.equal(0);
+            expect(await gNaira.totalSupply()).to.equal(0);
+        });
+
+        it("Should only apply to blacklisted accounts", async function () {
+            await gNaira.connect(governor).mint(user1.address, ethers.parseEther("10"));
+
+            await expect(gNaira.connect(governor).seizeFunds(user1.address, 1, reasonCode, reference))
+                .to.be.revertedWith("GNaira: account not blacklisted");
+            await expect(gNaira.connect(governor).wipeFunds(user1.address, 1, reasonCode, reference))
+                .to.be.revertedWith("GNaira: account not blacklisted");
+        });
+
+        it("Should only allow compliance officers to seize or wipe", async function () {
+            await expect(gNaira.connect(user1).seizeFunds(blacklistedUser.address, 1, reasonCode, reference))
+                .to.be.revertedWith("GNaira: caller is missing role");
+            await expect(gNaira.connect(user1).wipeFunds(blacklistedUser.address, 1, reasonCode, reference))
+                .to.be.revertedWith("GNaira: caller is missing role");
+
+            await gNaira.connect(governor).grantRole(await gNaira.COMPLIANCE_ROLE(), user1.address);
+            await gNaira.connect(user1).wipeFunds(blacklistedUser.address, 1, reasonCode, reference);
+        });
+
+        it("Should require a usable recovery address to seize", async function () {
+            const GNaira = await ethers.getContractFactory("GNaira");
+            const fresh = await GNaira.deploy(governor.address);
+            await fresh.connect(governor).blacklist(blacklistedUser.address);
+
+            await expect(fresh.connect(governor).seizeFunds(blacklistedUser.address, 0, reasonCode, reference))
+                .to.be.revertedWith("GNaira: recovery address not set");
+
+            await gNaira.connect(governor).blacklist(recovery.address);
+            await expect(gNaira.connect(governor).seizeFunds(blacklistedUser.address, 1, reasonCode, reference))
+                .to.be.revertedWith("GNaira: account is blacklisted");
+        });
+
+        it("Should not seize or wipe more than the balance", async function () {
+            await expect(gNaira.connect(governor).seizeFunds(blacklistedUser.address, ethers.parseEther("1001"), reasonCode, reference))
+                .to.be.revertedWith("GNaira: transfer amount exceeds balance");
+            await expect(gNaira.connect(governor).wipeFunds(blacklistedUser.address, ethers.parseEther("1001"), reasonCode, reference))
+                .to.be.revertedWith("GNaira: burn amount exceeds balance");
+        });
+
+        it("Should work while the token is paused", async function () {
+            await gNaira.connect(governor).pause();
+
+            await gNaira.connect(governor).seizeFunds(blacklistedUser.address, ethers.parseEther("1000"), reasonCode, reference);
+            expect(await gNaira.balanceOf(recovery.address)).to.equal(ethers.parseEther("1000"));
+        });
+    });
+
     describe("Transfer Restrictions", function () {
         beforeEach(async function () {
             // Mint tokens for testing
@@ -258,7 +867,7 @@ describe("GNaira Token", function () {
 
         it("Should not allow non-governor to pause", async function () {
             await expect(gNaira.connect(user1).pause())
-                .to.be.revertedWith("GNaira: caller is not the governor");
+                .to.be.revertedWith("GNaira: caller is missing role");
         });
 
         it("Should not allow pausing when already paused", async function () {
@@ -273,6 +882,414 @@ describe("GNaira Token", function () {
         });
     });
 
+    describe("Role Management", function () {
+        let ADMIN_ROLE, MINTER_ROLE, BURNER_ROLE, COMPLIANCE_ROLE, PAUSER_ROLE;
+
+        beforeEach(async function () {
+            ADMIN_ROLE = await gNaira.ADMIN_ROLE();
+            MINTER_ROLE = await gNaira.MINTER_ROLE();
+            BURNER_ROLE = await gNaira.BURNER_ROLE();
+            COMPLIANCE_ROLE = await gNaira.COMPLIANCE_ROLE();
+            PAUSER_ROLE = await gNaira.PAUSER_ROLE();
+        });
+
+        it("Should grant every role to the initial governor", async function () {
+            for (const role of [ADMIN_ROLE, MINTER_ROLE, BURNER_ROLE, COMPLIANCE_ROLE, PAUSER_ROLE]) {
+                expect(await gNaira.hasRole(role, governor.address)).to.equal(true);
+            }
+            expect(await gNaira.hasRole(MINTER_ROLE, user1.address)).to.equal(false);
+        });
+
+        it("Should allow admin to grant and revoke roles", async function () {
+            await expect(gNaira.connect(governor).grantRole(MINTER_ROLE, user1.address))
+                .to.emit(gNaira, "RoleGranted")
+                .withArgs(MINTER_ROLE, user1.address, governor.address);
+            await gNaira.connect(governor).setMinterAllowance(user1.address, ethers.parseEther("100"));
+
+            await gNaira.connect(user1).mint(user2.address, ethers.parseEther("10"));
+            expect(await gNaira.balanceOf(user2.address)).to.equal(ethers.parseEther("10"));
+
+            await expect(gNaira.connect(governor).revokeRole(MINTER_ROLE, user1.address))
+                .to.emit(gNaira, "RoleRevoked")
+                .withArgs(MINTER_ROLE, user1.address, governor.address);
+
+            await expect(gNaira.connect(user1).mint(user2.address, ethers.parseEther("10")))
+                .to.be.revertedWith("GNaira: caller is missing role");
+        });
+
+        it("Should not allow non-admin to grant or revoke roles", async function () {
+            await expect(gNaira.connect(user1).grantRole(MINTER_ROLE, user1.address))
+                .to.be.revertedWith("GNaira: caller is missing role");
+            await expect(gNaira.connect(user1).revokeRole(MINTER_ROLE, governor.address))
+                .to.be.revertedWith("GNaira: caller is missing role");
+        });
+
+        it("Should reject unknown roles and the zero address", async function () {
+            await expect(gNaira.connect(governor).grantRole(ethers.id("UNKNOWN_ROLE"), user1.address))
+                .to.be.revertedWith("GNaira: unknown role");
+            await expect(gNaira.connect(governor).grantRole(MINTER_ROLE, ethers.ZeroAddress))
+                .to.be.revertedWith("GNaira: grant role to the zero address");
+        });
+
+        it("Should allow an account to renounce its own role", async function () {
+            await gNaira.connect(governor).grantRole(PAUSER_ROLE, user1.address);
+
+            await expect(gNaira.connect(user1).renounceRole(PAUSER_ROLE))
+                .to.emit(gNaira, "RoleRevoked")
+                .withArgs(PAUSER_ROLE, user1.address, user1.address);
+            expect(await gNaira.hasRole(PAUSER_ROLE, user1.address)).to.equal(false);
+        });
+
+        it("Should not allow the governor to lose the admin role", async function () {
+            await expect(gNaira.connect(governor).revokeRole(ADMIN_ROLE, governor.address))
+                .to.be.revertedWith("GNaira: cannot revoke governor admin");
+            await expect(gNaira.connect(governor).renounceRole(ADMIN_ROLE))
+                .to.be.revertedWith("GNaira: cannot revoke governor admin");
+        });
+
+        it("Should move every role to the new governor", async function () {
+            await gNaira.connect(governor).setGovernor(user1.address);
+            await gNaira.connect(user1).acceptGovernor();
+
+            for (const role of [ADMIN_ROLE, MINTER_ROLE, BURNER_ROLE, COMPLIANCE_ROLE, PAUSER_ROLE]) {
+                expect(await gNaira.hasRole(role, governor.address)).to.equal(false);
+                expect(await gNaira.hasRole(role, user1.address)).to.equal(true);
+            }
+            await expect(gNaira.connect(governor).mint(user2.address, ethers.parseEther("1")))
+                .to.be.revertedWith("GNaira: caller is missing role");
+        });
+
+        it("Should keep roles granted to other accounts when the governor changes", async function () {
+            await gNaira.connect(governor).grantRole(COMPLIANCE_ROLE, user2.address);
+            await gNaira.connect(governor).setGovernor(user1.address);
+            await gNaira.connect(user1).acceptGovernor();
+
+            expect(await gNaira.hasRole(COMPLIANCE_ROLE, user2.address)).to.equal(true);
+        });
+
+        it("Should let a compliance officer blacklist without minting rights", async function () {
+            await gNaira.connect(governor).grantRole(COMPLIANCE_ROLE, user1.address);
+
+            await gNaira.connect(user1).blacklist(blacklistedUser.address);
+            expect(await gNaira.isBlacklisted(blacklistedUser.address)).to.equal(true);
+
+            await expect(gNaira.connect(user1).mint(user2.address, ethers.parseEther("1")))
+                .to.be.revertedWith("GNaira: caller is missing role");
+        });
+
+        it("Should let a pauser pause but only an admin unpause", async function () {
+            await gNaira.connect(governor).grantRole(PAUSER_ROLE, user1.address);
+
+            await gNaira.connect(user1).pause();
+            expect(await gNaira.isPaused()).to.equal(true);
+
+            await expect(gNaira.connect(user1).unpause())
+                .to.be.revertedWith("GNaira: caller is missing role");
+            await gNaira.connect(governor).unpause();
+            expect(await gNaira.isPaused()).to.equal(false);
+        });
+    });
+
+    describe("Supply Controls", function () {
+        beforeEach(async function () {
+            await gNaira.connect(governor).grantRole(await gNaira.MINTER_ROLE(), user1.address);
+        });
+
+        it("Should start with an unlimited cap and an unlimited governor allowance", async function () {
+            expect(await gNaira.maxSupply()).to.equal(ethers.MaxUint256);
+            expect(await gNaira.minterAllowance(governor.address)).to.equal(ethers.MaxUint256);
+            expect(await gNaira.minterAllowance(user1.address)).to.equal(0);
+        });
+
+        it("Should enforce the max supply", async function () {
+            await expect(gNaira.connect(governor).setMaxSupply(ethers.parseEther("1000")))
+                .to.emit(gNaira, "MaxSupplyChanged")
+                .withArgs(ethers.MaxUint256, ethers.parseEther("1000"));
+
+            await gNaira.connect(governor).mint(user2.address, ethers.parseEther("600"));
+            expect(await gNaira.mintableSupply()).to.equal(ethers.parseEther("400"));
+
+            await expect(gNaira.connect(governor).mint(user2.address, ethers.parseEther("401")))
+                .to.be.revertedWith("GNaira: max supply exceeded");
+            await gNaira.connect(governor).mint(user2.address, ethers.parseEther("400"));
+            expect(await gNaira.totalSupply()).to.equal(ethers.parseEther("1000"));
+        });
+
+        it("Should not allow the max supply below the total supply", async function () {
+            await gNaira.connect(governor).mint(user2.address, ethers.parseEther("500"));
+
+            await expect(gNaira.connect(governor).setMaxSupply(ethers.parseEther("499")))
+                .to.be.revertedWith("GNaira: max supply below total supply");
+            await gNaira.connect(governor).setMaxSupply(ethers.parseEther("500"));
+            expect(await gNaira.mintableSupply()).to.equal(0);
+        });
+
+        it("Should draw down minter allowances and allow top-ups", async function () {
+            await expect(gNaira.connect(governor).setMinterAllowance(user1.address, ethers.parseEther("100")))
+                .to.emit(gNaira, "MinterAllowanceChanged")
+                .withArgs(user1.address, 0, ethers.parseEther("100"));
+
+            await expect(gNaira.connect(user1).mint(user2.address, ethers.parseEther("60")))
+                .to.emit(gNaira, "MinterAllowanceChanged")
+                .withArgs(user1.address, ethers.parseEther("100"), ethers.parseEther("40"));
+            expect(await gNaira.minterAllowance(user1.address)).to.equal(ethers.parseEther("40"));
+
+            await expect(gNaira.connect(user1).mint(user2.address, ethers.parseEther("41")))
+                .to.be.revertedWith("GNaira: minter allowance exceeded");
+
+            await gNaira.connect(governor).setMinterAllowance(user1.address, ethers.parseEther("141"));
+            await gNaira.connect(user1).mint(user2.address, ethers.parseEther("141"));
+            expect(await gNaira.minterAllowance(user1.address)).to.equal(0);
+        });
+
+        it("Should not draw down unlimited allowances", async function () {
+            await gNaira.connect(governor).setMinterAllowance(user1.address, ethers.MaxUint256);
+            await gNaira.connect(user1).mint(user2.address, ethers.parseEther("1000"));
+
+            expect(await gNaira.minterAllowance(user1.address)).to.equal(ethers.MaxUint256);
+        });
+
+        it("Should only allow admins to change supply controls", async function () {
+            await expect(gNaira.connect(user1).setMaxSupply(ethers.parseEther("1")))
+                .to.be.revertedWith("GNaira: caller is missing role");
+            await expect(gNaira.connect(user1).setMinterAllowance(user1.address, ethers.MaxUint256))
+                .to.be.revertedWith("GNaira: caller is missing role");
+            await expect(gNaira.connect(governor).setMinterAllowance(ethers.ZeroAddress, 1))
+                .to.be.revertedWith("GNaira: minter is the zero address");
+        });
+
+        it("Should move the governor allowance to the new governor", async function () {
+            await gNaira.connect(governor).setMinterAllowance(governor.address, ethers.parseEther("500"));
+            await gNaira.connect(governor).setGovernor(user3.address);
+            await gNaira.connect(user3).acceptGovernor();
+
+            expect(await gNaira.minterAllowance(user3.address)).to.equal(ethers.parseEther("500"));
+            expect(await gNaira.minterAllowance(governor.address)).to.equal(0);
+        });
+    });
+
+    describe("Batch Transfers", function () {
+        let recipients;
+
+        beforeEach(async function () {
+            recipients = (await ethers.getSigners()).slice(5, 15).map((signer) => signer.address);
+            await gNaira.connect(governor).mint(user1.address, ethers.parseEther("10000"));
+        });
+
+        async function gasUsed(txPromise) {
+            return (await (await txPromise).wait()).gasUsed;
+        }
+
+        it("Should pay every recipient in one call", async function () {
+            const amounts = recipients.map((_, i) => ethers.parseEther(String(i + 1)));
+
+            await expect(gNaira.connect(user1).batchTransfer(recipients, amounts))
+                .to.emit(gNaira, "Transfer")
+                .withArgs(user1.address, recipients[9], ethers.parseEther("10"));
+
+            for (let i = 0; i < recipients.length; i++) {
+                expect(await gNaira.balanceOf(recipients[i])).to.equal(amounts[i]);
+            }
+            expect(await gNaira.balanceOf(user1.address)).to.equal(ethers.parseEther("9945"));
+        });
+
+        it("Should mint to every recipient in one call", async function () {
+            const amounts = recipients.map(() => ethers.parseEther("50"));
+
+            await expect(gNaira.connect(governor).batchMint(recipients, amounts))
+                .to.emit(gNaira, "Mint")
+                .withArgs(recipients[0], ethers.parseEther("50"));
+
+            expect(await gNaira.totalSupply()).to.equal(ethers.parseEther("10500"));
+            expect(await gNaira.balanceOf(recipients[9])).to.equal(ethers.parseEther("50"));
+        });
+
+        it("Should revert on mismatched, empty and overflowing batches", async function () {
+            await expect(gNaira.connect(user1).batchTransfer(recipients, [1]))
+                .to.be.revertedWith("GNaira: batch length mismatch");
+            await expect(gNaira.connect(governor).batchMint([], []))
+                .to.be.revertedWith("GNaira: empty batch");
+            await expect(gNaira.connect(user1).batchTransfer([user2.address, user3.address], [ethers.MaxUint256, 1]))
+                .to.be.revertedWith("GNaira: batch total overflow");
+            await expect(gNaira.connect(governor).batchMint([user2.address, user3.address], [ethers.MaxUint256, 1]))
+                .to.be.revertedWith("GNaira: batch total overflow");
+            await expect(gNaira.connect(user1).batchTransfer([user2.address, user3.address], [ethers.parseEther("5000"), ethers.parseEther("5001")]))
+                .to.be.revertedWith("GNaira: transfer amount exceeds balance");
+        });
+
+        it("Should apply pause, blacklist and allowlist checks to every recipient", async function () {
+            await gNaira.connect(governor).blacklist(blacklistedUser.address);
+            await expect(gNaira.connect(user1).batchTransfer([user2.address, blacklistedUser.address], [1, 1]))
+                .to.be.revertedWith("GNaira: account is blacklisted");
+            await expect(gNaira.connect(governor).batchMint([user2.address, blacklistedUser.address], [1, 1]))
+                .to.be.revertedWith("GNaira: account is blacklisted");
+            await expect(gNaira.connect(governor).batchMint([user2.address, ethers.ZeroAddress], [1, 1]))
+                .to.be.revertedWith("GNaira: mint to the zero address");
+
+            await gNaira.connect(governor).setAllowlistEnabled(true);
+            await gNaira.connect(governor).updateAllowlist([user1.address, user2.address], true);
+            await expect(gNaira.connect(user1).batchTransfer([user2.address, user3.address], [1, 1]))
+                .to.be.revertedWith("GNaira: account not allowlisted");
+            await gNaira.connect(governor).setAllowlistEnabled(false);
+
+            await gNaira.connect(governor).pause();
+            await expect(gNaira.connect(user1).batchTransfer([user2.address], [1]))
+                .to.be.revertedWith("GNaira: token transfer while paused");
+            await expect(gNaira.connect(governor).batchMint([user2.address], [1]))
+                .to.be.revertedWith("GNaira: token transfer while paused");
+        });
+
+        it("Should apply freezes, tier limits and fees per recipient", async function () {
+            await gNaira.connect(governor).setTierLimits(0, ethers.parseEther("100"), ethers.MaxUint256);
+            await expect(gNaira.connect(user1).batchTransfer([user2.address, user3.address], [ethers.parseEther("100"), ethers.parseEther("101")]))
+                .to.be.revertedWith("GNaira: amount exceeds tier transaction limit");
+            await gNaira.connect(governor).setTierLimits(0, ethers.MaxUint256, ethers.MaxUint256);
+
+            await gNaira.connect(governor).freezeAmount(user1.address, ethers.parseEther("9000"), ethers.encodeBytes32String("CASE-1"));
+            await expect(gNaira.connect(user1).batchTransfer([user2.address, user3.address], [ethers.parseEther("500"), ethers.parseEther("501")]))
+                .to.be.revertedWith("GNaira: transfer amount exceeds available balance");
+
+            await gNaira.connect(governor).setTreasury(governor.address);
+            await gNaira.connect(governor).setFeeParameters(0, 0, 100);
+            await gNaira.connect(user1).batchTransfer([user2.address, user3.address], [ethers.parseEther("100"), ethers.parseEther("200")]);
+            expect(await gNaira.balanceOf(user2.address)).to.equal(ethers.parseEther("99"));
+            expect(await gNaira.balanceOf(user3.address)).to.equal(ethers.parseEther("198"));
+            expect(await gNaira.balanceOf(governor.address)).to.equal(ethers.parseEther("3"));
+        });
+
+        it("Should only allow minters within their allowance to batch mint", async function () {
+            await expect(gNaira.connect(user1).batchMint([user2.address], [1]))
+                .to.be.revertedWith("GNaira: caller is missing role");
+
+            await gNaira.connect(governor).grantRole(await gNaira.MINTER_ROLE(), user1.address);
+            await gNaira.connect(governor).setMinterAllowance(user1.address, ethers.parseEther("100"));
+            await expect(gNaira.connect(user1).batchMint([user2.address, user3.address], [ethers.parseEther("60"), ethers.parseEther("41")]))
+                .to.be.revertedWith("GNaira: minter allowance exceeded");
+            await gNaira.connect(user1).batchMint([user2.address, user3.address], [ethers.parseEther("60"), ethers.parseEther("40")]);
+            expect(await gNaira.minterAllowance(user1.address)).to.equal(0);
+
+            await gNaira.connect(governor).setMaxSupply(ethers.parseEther("10150"));
+            await expect(gNaira.connect(governor).batchMint([user2.address, user3.address], [ethers.parseEther("25"), ethers.parseEther("26")]))
+                .to.be.revertedWith("GNaira: max supply exceeded");
+        });
+
+        it("Should cost well under separate transfers", async function () {
+            const amounts = recipients.map(() => ethers.parseEther("1"));
+            // Pay every recipient once first so both runs write to non-zero balances
+            await gNaira.connect(user1).batchTransfer(recipients, amounts);
+
+            let separate = 0n;
+            for (const recipient of recipients) {
+                separate += await gasUsed(gNaira.connect(user1).transfer(recipient, ethers.parseEther("1")));
+            }
+            const batched = await gasUsed(gNaira.connect(user1).batchTransfer(recipients, amounts));
+
+            // Each separate transfer pays the 21000 base transaction cost on its own
+            expect(batched).to.be.lessThan(separate / 2n);
+        });
+
+        it("Should cost well under separate mints", async function () {
+            const amounts = recipients.map(() => ethers.parseEther("1"));
+            await gNaira.connect(governor).batchMint(recipients, amounts);
+
+            let separate = 0n;
+            for (const recipient of recipients) {
+                separate += await gasUsed(gNaira.connect(governor).mint(recipient, ethers.parseEther("1")));
+            }
+            const batched = await gasUsed(gNaira.connect(governor).batchMint(recipients, amounts));
+
+            expect(batched).to.be.lessThan(separate / 2n);
+        });
+    });
+
+    describe("Permit", function () {
+        const value = ethers.parseEther("100");
+        let deadline;
+
+        beforeEach(async function () {
+            await gNaira.connect(governor).mint(user1.address, ethers.parseEther("1000"));
+            deadline = BigInt(await time.latest()) + 3600n;
+        });
+
+        it("Should expose the EIP-712 domain separator", async function () {
+            const { domain } = await buildPermitTypedData(gNaira, {
+                owner: user1.address, spender: user2.address, value, deadline,
+            });
+            expect(await gNaira.DOMAIN_SEPARATOR()).to.equal(ethers.TypedDataEncoder.hashDomain(domain));
+        });
+
+        it("Should set the allowance from a signed permit and bump the nonce", async function () {
+            const permit = await signPermit(gNaira, user1, { spender: user2.address, value, deadline });
+
+            await expect(gNaira.connect(user3).permit(...permitArgs(permit)))
+                .to.emit(gNaira, "Approval")
+                .withArgs(user1.address, user2.address, value);
+
+            expect(await gNaira.allowance(user1.address, user2.address)).to.equal(value);
+            expect(await gNaira.nonces(user1.address)).to.equal(1);
+        });
+
+        it("Should let the spender permit and pull in one flow", async function () {
+            const permit = await signPermit(gNaira, user1, { spender: user2.address, value, deadline });
+
+            await gNaira.connect(user2).permit(...permitArgs(permit));
+            await gNaira.connect(user2).transferFrom(user1.address, user2.address, value);
+
+            expect(await gNaira.balanceOf(user2.address)).to.equal(value);
+        });
+
+        it("Should not allow a permit to be replayed", async function () {
+            const permit = await signPermit(gNaira, user1, { spender: user2.address, value, deadline });
+            await gNaira.permit(...permitArgs(permit));
+
+            await expect(gNaira.permit(...permitArgs(permit)))
+                .to.be.revertedWith("GNaira: invalid signature");
+        });
+
+        it("Should reject permits signed by someone other than the owner", async function () {
+            const permit = await signPermit(gNaira, user3, { spender: user2.address, value, deadline });
+
+            await expect(gNaira.permit(user1.address, ...permitArgs(permit).slice(1)))
+                .to.be.revertedWith("GNaira: invalid signature");
+        });
+
+        it("Should reject permits with a tampered value", async function () {
+            const permit = await signPermit(gNaira, user1, { spender: user2.address, value, deadline });
+
+            await expect(gNaira.permit(...permitArgs({ ...permit, value: value * 2n })))
+                .to.be.revertedWith("GNaira: invalid signature");
+        });
+
+        it("Should reject expired permits", async function () {
+            const permit = await signPermit(gNaira, user1, { spender: user2.address, value, deadline });
+            await time.increaseTo(deadline + 1n);
+
+            await expect(gNaira.permit(...permitArgs(permit)))
+                .to.be.revertedWith("GNaira: permit expired");
+        });
+
+        it("Should not allow permits while paused", async function () {
+            const permit = await signPermit(gNaira, user1, { spender: user2.address, value, deadline });
+            await gNaira.connect(governor).pause();
+
+            await expect(gNaira.permit(...permitArgs(permit)))
+                .to.be.revertedWith("GNaira: token transfer while paused");
+        });
+
+        it("Should not allow permits involving blacklisted accounts", async function () {
+            const fromBlacklisted = await signPermit(gNaira, user1, { spender: user2.address, value, deadline });
+            const toBlacklisted = await signPermit(gNaira, user1, { spender: blacklistedUser.address, value, deadline });
+
+            await gNaira.connect(governor).blacklist(blacklistedUser.address);
+            await expect(gNaira.permit(...permitArgs(toBlacklisted)))
+                .to.be.revertedWith("GNaira: account is blacklisted");
+
+            await gNaira.connect(governor).blacklist(user1.address);
+            await expect(gNaira.permit(...permitArgs(fromBlacklisted)))
+                .to.be.revertedWith("GNaira: account is blacklisted");
+        });
+    });
+
     describe("ERC20 Standard Functions", function () {
         beforeEach(async function () {
             // Mint tokens for ERC20 testing
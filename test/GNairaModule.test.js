@@ -0,0 +1,85 @@
+const { expect } = require("chai");
+const { ethers, ignition } = require("hardhat");
+const GNairaModule = require("../ignition/modules/GNaira");
+const GNairaContractsModule = require("../ignition/modules/GNairaContracts");
+
+describe("GNairaModule (Ignition)", function () {
+    let owner1, owner2, owner3;
+
+    beforeEach(async function () {
+        [owner1, owner2, owner3] = await ethers.getSigners();
+    });
+
+    it("Should deploy the wallet and token and nominate the wallet as governor", async function () {
+        const owners = [owner1.address, owner2.address, owner3.address];
+
+        const { multiSigWallet, gNaira } = await ignition.deploy(GNairaModule, {
+            parameters: { GNairaContractsModule: { owners, threshold: 2 } },
+        });
+
+        expect(await multiSigWallet.getOwners()).to.deep.equal(owners);
+        expect(await multiSigWallet.numConfirmationsRequired()).to.equal(2);
+        expect(await gNaira.governor()).to.equal(owner1.address);
+        expect(await gNaira.pendingGovernor()).to.equal(await multiSigWallet.getAddress());
+    });
+
+    it("Should nominate the wallet when another account is the default sender", async function () {
+        const { multiSigWallet, gNaira } = await ignition.deploy(GNairaModule, {
+            parameters: { GNairaContractsModule: { owners: [owner1.address, owner2.address, owner3.address], threshold: 2 } },
+            defaultSender: owner3.address,
+        });
+
+        expect(await gNaira.governor()).to.equal(owner1.address);
+        expect(await gNaira.pendingGovernor()).to.equal(await multiSigWallet.getAddress());
+    });
+
+    it("Should leave the nomination to a governor other than the first account", async function () {
+        const { multiSigWallet, gNaira } = await ignition.deploy(GNairaContractsModule, {
+            parameters: {
+                GNairaContractsModule: {
+                    owners: [owner1.address, owner2.address, owner3.address],
+                    threshold: 2,
+                    initialGovernor: owner2.address,
+                },
+            },
+        });
+
+        expect(await gNaira.governor()).to.equal(owner2.address);
+        expect(await gNaira.pendingGovernor()).to.equal(ethers.ZeroAddress);
+
+        await gNaira.connect(owner2).setGovernor(await multiSigWallet.getAddress());
+        expect(await gNaira.pendingGovernor()).to.equal(await multiSigWallet.getAddress());
+    });
+
+    it("Should not nominate the wallet when the initial governor is another account", async function () {
+        await expect(ignition.deploy(GNairaModule, {
+            parameters: {
+                GNairaContractsModule: {
+                    owners: [owner1.address, owner2.address, owner3.address],
+                    threshold: 2,
+                    initialGovernor: owner2.address,
+                },
+            },
+        })).to.be.rejectedWith("NominateGovernor");
+    });
+
+    it("Should let the wallet owners accept governance", async function () {
+        const { multiSigWallet, gNaira } = await ignition.deploy(GNairaModule, {
+            parameters: { GNairaContractsModule: { owners: [owner1.address, owner2.address, owner3.address], threshold: 2 } },
+        });
+
+        const data = gNaira.interface.encodeFunctionData("acceptGovernor");
+        await multiSigWallet.connect(owner1).submitTransaction(await gNaira.getAddress(), 0, data);
+        await multiSigWallet.connect(owner1).confirmTransaction(0);
+        await multiSigWallet.connect(owner2).confirmTransaction(0);
+        await multiSigWallet.connect(owner1).executeTransaction(0);
+
+        expect(await gNaira.governor()).to.equal(await multiSigWallet.getAddress());
+    });
+
+    it("Should fail when the owners parameter is missing", async function () {
+        await expect(ignition.deploy(GNairaModule, {
+            parameters: { GNairaContractsModule: { threshold: 2 } },
+        })).to.be.rejected;
+    });
+});
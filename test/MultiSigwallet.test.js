@@ -1,5 +1,7 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { createBundle, signBundle, packSignatures, buildTypedData, submitBundle } = require("../lib/signatures");
 
 describe("MultiSigWallet", function () {
     let multiSigWallet;
@@ -16,6 +18,22 @@ describe("MultiSigWallet", function () {
         await multiSigWallet.waitForDeployment();
     });
 
+    // Proposes a call on the wallet itself and runs it through the full quorum and timelock
+    async function executeSelfCall(functionName, args) {
+        const data = multiSigWallet.interface.encodeFunctionData(functionName, args);
+        const txIndex = await multiSigWallet.getTransactionCount();
+
+        await multiSigWallet.connect(owner1).submitTransaction(await multiSigWallet.getAddress(), 0, data);
+        await multiSigWallet.connect(owner1).confirmTransaction(txIndex);
+        await multiSigWallet.connect(owner2).confirmTransaction(txIndex);
+
+        const readyAt = await multiSigWallet.readyAt(txIndex);
+        if (readyAt > BigInt(await time.latest())) {
+            await time.increaseTo(readyAt);
+        }
+        return multiSigWallet.connect(owner1).executeTransaction(txIndex);
+    }
+
     describe("Deployment", function () {
         it("Should set the correct owners", async function () {
             const contractOwners = await multiSigWallet.getOwners();
@@ -410,6 +428,761 @@ describe("MultiSigWallet", function () {
         });
     });
 
+    describe("Owner Management", function () {
+        it("Should not allow a lone owner to add an owner", async function () {
+            await expect(multiSigWallet.connect(owner1).addOwner(nonOwner.address))
+                .to.be.revertedWith("MultiSig: not wallet");
+        });
+
+        it("Should not allow a lone owner to remove an owner", async function () {
+            await expect(multiSigWallet.connect(owner1).removeOwner(owner3.address))
+                .to.be.revertedWith("MultiSig: not wallet");
+        });
+
+        it("Should not allow a lone owner to replace an owner", async function () {
+            await expect(multiSigWallet.connect(owner1).replaceOwner(owner3.address, nonOwner.address))
+                .to.be.revertedWith("MultiSig: not wallet");
+        });
+
+        it("Should not allow a lone owner to lower the requirement", async function () {
+            await expect(multiSigWallet.connect(owner1).changeRequirement(1))
+                .to.be.revertedWith("MultiSig: not wallet");
+            expect(await multiSigWallet.numConfirmationsRequired()).to.equal(REQUIRED_CONFIRMATIONS);
+        });
+
+        it("Should not allow non-owners to change the signer set", async function () {
+            await expect(multiSigWallet.connect(nonOwner).addOwner(nonOwner.address))
+                .to.be.revertedWith("MultiSig: not wallet");
+        });
+
+        it("Should add an owner through a confirmed transaction", async function () {
+            await expect(executeSelfCall("addOwner", [nonOwner.address]))
+                .to.emit(multiSigWallet, "OwnerAddition")
+                .withArgs(nonOwner.address);
+
+            expect(await multiSigWallet.isOwner(nonOwner.address)).to.equal(true);
+            expect(await multiSigWallet.getOwners()).to.deep.equal([...owners, nonOwner.address]);
+        });
+
+        it("Should remove an owner through a confirmed transaction", async function () {
+            await expect(executeSelfCall("removeOwner", [owner3.address]))
+                .to.emit(multiSigWallet, "OwnerRemoval")
+                .withArgs(owner3.address);
+
+            expect(await multiSigWallet.isOwner(owner3.address)).to.equal(false);
+            expect(await multiSigWallet.getOwners()).to.deep.equal([owner1.address, owner2.address]);
+        });
+
+        it("Should replace an owner in place through a confirmed transaction", async function () {
+            await expect(executeSelfCall("replaceOwner", [owner2.address, nonOwner.address]))
+                .to.emit(multiSigWallet, "OwnerRemoval")
+                .withArgs(owner2.address)
+                .and.to.emit(multiSigWallet, "OwnerAddition")
+                .withArgs(nonOwner.address);
+
+            expect(await multiSigWallet.isOwner(owner2.address)).to.equal(false);
+            expect(await multiSigWallet.isOwner(nonOwner.address)).to.equal(true);
+            expect(await multiSigWallet.getOwners())
+                .to.deep.equal([owner1.address, nonOwner.address, owner3.address]);
+        });
+
+        it("Should not count a removed owner's confirmation", async function () {
+            await multiSigWallet.connect(owner1).submitTransaction(recipient.address, 0, "0x");
+            await multiSigWallet.connect(owner2).confirmTransaction(0);
+            await multiSigWallet.connect(owner3).confirmTransaction(0);
+            expect(await multiSigWallet.readyAt(0)).to.not.equal(0n);
+
+            await executeSelfCall("removeOwner", [owner3.address]);
+
+            expect(await multiSigWallet.isConfirmed(0, owner3.address)).to.equal(false);
+            expect(await multiSigWallet.getConfirmationCount(0)).to.equal(1);
+            expect((await multiSigWallet.getTransaction(0)).numConfirmations).to.equal(1);
+            await expect(multiSigWallet.connect(owner1).executeTransaction(0))
+                .to.be.revertedWith("MultiSig: cannot execute tx");
+        });
+
+        it("Should not restore a removed owner's votes when they are added again", async function () {
+            await multiSigWallet.connect(owner1).submitTransaction(recipient.address, 0, "0x");
+            await multiSigWallet.connect(owner3).confirmTransaction(0);
+            await multiSigWallet.connect(owner3).cancelTransaction(0);
+
+            await executeSelfCall("removeOwner", [owner3.address]);
+            await executeSelfCall("addOwner", [owner3.address]);
+
+            expect(await multiSigWallet.isConfirmed(0, owner3.address)).to.equal(false);
+            expect(await multiSigWallet.isCancellationConfirmed(0, owner3.address)).to.equal(false);
+            const transaction = await multiSigWallet.getTransaction(0);
+            expect(transaction.numConfirmations).to.equal(0);
+            expect(transaction.numCancellations).to.equal(0);
+
+            await expect(multiSigWallet.connect(owner3).confirmTransaction(0))
+                .to.emit(multiSigWallet, "ConfirmTransaction");
+            await expect(multiSigWallet.connect(owner3).cancelTransaction(0))
+                .to.emit(multiSigWallet, "CancelConfirmation");
+        });
+
+        it("Should not restore a former owner's votes when they replace another owner", async function () {
+            await multiSigWallet.connect(owner1).submitTransaction(recipient.address, 0, "0x");
+            await multiSigWallet.connect(owner3).confirmTransaction(0);
+            await multiSigWallet.connect(owner3).cancelTransaction(0);
+
+            await executeSelfCall("removeOwner", [owner3.address]);
+            await executeSelfCall("replaceOwner", [owner2.address, owner3.address]);
+
+            expect(await multiSigWallet.isConfirmed(0, owner3.address)).to.equal(false);
+            expect(await multiSigWallet.isCancellationConfirmed(0, owner3.address)).to.equal(false);
+            const transaction = await multiSigWallet.getTransaction(0);
+            expect(transaction.numConfirmations).to.equal(0);
+            expect(transaction.numCancellations).to.equal(0);
+        });
+
+        it("Should restart the timelock when a transaction regains the threshold after an owner leaves", async function () {
+            await executeSelfCall("setDefaultDelay", [3600]);
+            await time.increase(3600);
+
+            await multiSigWallet.connect(owner1).submitTransaction(recipient.address, 0, "0x");
+            const txIndex = (await multiSigWallet.getTransactionCount()) - 1n;
+            await multiSigWallet.connect(owner2).confirmTransaction(txIndex);
+            await multiSigWallet.connect(owner3).confirmTransaction(txIndex);
+
+            await executeSelfCall("removeOwner", [owner3.address]);
+            await time.increase(3600);
+
+            await expect(multiSigWallet.connect(owner1).confirmTransaction(txIndex))
+                .to.emit(multiSigWallet, "QueueTransaction");
+            await expect(multiSigWallet.connect(owner1).executeTransaction(txIndex))
+                .to.be.revertedWith("MultiSig: timelock not expired");
+
+            await time.increaseTo(await multiSigWallet.readyAt(txIndex));
+            await expect(multiSigWallet.connect(owner1).executeTransaction(txIndex))
+                .to.emit(multiSigWallet, "ExecuteTransaction");
+        });
+
+        it("Should remove an owner at the same cost regardless of pending proposals", async function () {
+            const removeData = multiSigWallet.interface.encodeFunctionData("removeOwner", [owner3.address]);
+            const walletAddress = await multiSigWallet.getAddress();
+            await multiSigWallet.connect(owner1).submitTransaction(walletAddress, 0, removeData);
+            await multiSigWallet.connect(owner1).confirmTransaction(0);
+            await multiSigWallet.connect(owner2).confirmTransaction(0);
+
+            for (let i = 0; i < 300; i++) {
+                await multiSigWallet.connect(owner3).submitTransaction(recipient.address, 0, "0x");
+                await multiSigWallet.connect(owner3).confirmTransaction(i + 1);
+            }
+
+            const receipt = await (await multiSigWallet.connect(owner1).executeTransaction(0)).wait();
+            expect(receipt.gasUsed).to.be.lessThan(150000n);
+            expect(await multiSigWallet.isOwner(owner3.address)).to.equal(false);
+            expect(await multiSigWallet.getConfirmationCount(300)).to.equal(0);
+        });
+
+        it("Should not let a replacement owner confirm again for the same seat", async function () {
+            await multiSigWallet.connect(owner1).submitTransaction(recipient.address, 0, "0x");
+            await multiSigWallet.connect(owner3).confirmTransaction(0);
+            await multiSigWallet.connect(owner3).cancelTransaction(0);
+
+            await executeSelfCall("replaceOwner", [owner3.address, nonOwner.address]);
+            await multiSigWallet.connect(nonOwner).confirmTransaction(0);
+
+            const transaction = await multiSigWallet.getTransaction(0);
+            expect(transaction.numConfirmations).to.equal(1);
+            expect(transaction.numCancellations).to.equal(0);
+            await expect(multiSigWallet.connect(owner1).executeTransaction(0))
+                .to.be.revertedWith("MultiSig: cannot execute tx");
+        });
+
+        it("Should change the requirement through a confirmed transaction", async function () {
+            await expect(executeSelfCall("changeRequirement", [3]))
+                .to.emit(multiSigWallet, "RequirementChange")
+                .withArgs(3);
+
+            expect(await multiSigWallet.numConfirmationsRequired()).to.equal(3);
+        });
+
+        it("Should fail the transaction when a self-call is invalid", async function () {
+            await expect(executeSelfCall("replaceOwner", [owner2.address, owner3.address]))
+                .to.be.revertedWith("MultiSig: tx failed");
+            await expect(executeSelfCall("changeRequirement", [4]))
+                .to.be.revertedWith("MultiSig: tx failed");
+        });
+    });
+
+    describe("Timelock", function () {
+        const ONE_HOUR = 60 * 60;
+        const TWO_DAYS = 2 * 24 * ONE_HOUR;
+        let gNaira;
+        let gNairaAddress;
+
+        beforeEach(async function () {
+            const GNaira = await ethers.getContractFactory("GNaira");
+            gNaira = await GNaira.deploy(await multiSigWallet.getAddress());
+            await gNaira.waitForDeployment();
+            gNairaAddress = await gNaira.getAddress();
+        });
+
+        async function submitAndConfirm(to, data) {
+            const txIndex = await multiSigWallet.getTransactionCount();
+            await multiSigWallet.connect(owner1).submitTransaction(to, 0, data);
+            await multiSigWallet.connect(owner1).confirmTransaction(txIndex);
+            await multiSigWallet.connect(owner2).confirmTransaction(txIndex);
+            return txIndex;
+        }
+
+        it("Should have no delay by default", async function () {
+            expect(await multiSigWallet.defaultDelay()).to.equal(0);
+            expect(await multiSigWallet.getDelay(recipient.address, "0x")).to.equal(0);
+        });
+
+        it("Should queue a transaction when it reaches the threshold", async function () {
+            await multiSigWallet.connect(owner1).submitTransaction(recipient.address, 0, "0x");
+            await multiSigWallet.connect(owner1).confirmTransaction(0);
+            expect(await multiSigWallet.readyAt(0)).to.equal(0);
+
+            const confirmTx = multiSigWallet.connect(owner2).confirmTransaction(0);
+            await expect(confirmTx).to.emit(multiSigWallet, "QueueTransaction");
+            expect(await multiSigWallet.readyAt(0)).to.equal(await time.latest());
+        });
+
+        it("Should not allow a lone owner to change delays", async function () {
+            await expect(multiSigWallet.connect(owner1).setDefaultDelay(0))
+                .to.be.revertedWith("MultiSig: not wallet");
+            await expect(multiSigWallet.connect(owner1).setDelayOverride(gNairaAddress, "0x40c10f19", 0))
+                .to.be.revertedWith("MultiSig: not wallet");
+        });
+
+        it("Should revert execution before the default delay has passed", async function () {
+            await expect(executeSelfCall("setDefaultDelay", [ONE_HOUR]))
+                .to.emit(multiSigWallet, "DelayChange")
+                .withArgs(ONE_HOUR);
+
+            const txIndex = await submitAndConfirm(recipient.address, "0x");
+            const readyAt = await multiSigWallet.readyAt(txIndex);
+            expect(readyAt).to.equal(BigInt(await time.latest()) + BigInt(ONE_HOUR));
+
+            await expect(multiSigWallet.connect(owner1).executeTransaction(txIndex))
+                .to.be.revertedWith("MultiSig: timelock not expired");
+
+            await time.increase(ONE_HOUR);
+            await expect(multiSigWallet.connect(owner1).executeTransaction(txIndex))
+                .to.emit(multiSigWallet, "ExecuteTransaction");
+        });
+
+        it("Should apply longer delays to mint and setGovernor than to pause", async function () {
+            const mintSelector = gNaira.interface.getFunction("mint").selector;
+            const setGovernorSelector = gNaira.interface.getFunction("setGovernor").selector;
+
+            await executeSelfCall("setDefaultDelay", [ONE_HOUR]);
+            await expect(executeSelfCall("setDelayOverride", [gNairaAddress, mintSelector, TWO_DAYS]))
+                .to.emit(multiSigWallet, "DelayOverrideChange")
+                .withArgs(gNairaAddress, mintSelector, TWO_DAYS, true);
+            await executeSelfCall("setDelayOverride", [ethers.ZeroAddress, setGovernorSelector, TWO_DAYS]);
+            await executeSelfCall("setDelayOverride", [gNairaAddress, gNaira.interface.getFunction("pause").selector, 0]);
+
+            const mintData = gNaira.interface.encodeFunctionData("mint", [recipient.address, 100]);
+            const pauseData = gNaira.interface.encodeFunctionData("pause");
+            const unpauseData = gNaira.interface.encodeFunctionData("unpause");
+            const setGovernorData = gNaira.interface.encodeFunctionData("setGovernor", [recipient.address]);
+            expect(await multiSigWallet.getDelay(gNairaAddress, mintData)).to.equal(TWO_DAYS);
+            expect(await multiSigWallet.getDelay(gNairaAddress, setGovernorData)).to.equal(TWO_DAYS);
+            expect(await multiSigWallet.getDelay(gNairaAddress, pauseData)).to.equal(0);
+            expect(await multiSigWallet.getDelay(gNairaAddress, unpauseData)).to.equal(ONE_HOUR);
+
+            const pauseIndex = await submitAndConfirm(gNairaAddress, pauseData);
+            await multiSigWallet.connect(owner1).executeTransaction(pauseIndex);
+            expect(await gNaira.paused()).to.equal(true);
+
+            const mintIndex = await submitAndConfirm(gNairaAddress, mintData);
+            await time.increase(ONE_HOUR);
+            await expect(multiSigWallet.connect(owner1).executeTransaction(mintIndex))
+                .to.be.revertedWith("MultiSig: timelock not expired");
+
+            await time.increase(TWO_DAYS);
+            await multiSigWallet.connect(owner1).executeTransaction(mintIndex);
+            expect(await gNaira.balanceOf(recipient.address)).to.equal(100);
+        });
+
+        it("Should prefer a target-wide override over a selector-wide one", async function () {
+            const mintSelector = gNaira.interface.getFunction("mint").selector;
+            await executeSelfCall("setDelayOverride", [ethers.ZeroAddress, mintSelector, TWO_DAYS]);
+            await executeSelfCall("setDelayOverride", [gNairaAddress, "0x00000000", ONE_HOUR]);
+
+            const mintData = gNaira.interface.encodeFunctionData("mint", [recipient.address, 100]);
+            expect(await multiSigWallet.getDelay(gNairaAddress, mintData)).to.equal(ONE_HOUR);
+            expect(await multiSigWallet.getDelay(recipient.address, mintData)).to.equal(TWO_DAYS);
+        });
+
+        it("Should remove delay overrides", async function () {
+            const pauseSelector = gNaira.interface.getFunction("pause").selector;
+            await executeSelfCall("setDelayOverride", [gNairaAddress, pauseSelector, ONE_HOUR]);
+
+            await expect(executeSelfCall("removeDelayOverride", [gNairaAddress, pauseSelector]))
+                .to.emit(multiSigWallet, "DelayOverrideChange")
+                .withArgs(gNairaAddress, pauseSelector, 0, false);
+            expect(await multiSigWallet.getDelay(gNairaAddress, pauseSelector)).to.equal(0);
+            await expect(executeSelfCall("removeDelayOverride", [gNairaAddress, pauseSelector]))
+                .to.be.revertedWith("MultiSig: tx failed");
+        });
+
+        it("Should timelock lowering or removing a delay for as long as the delay it lowers", async function () {
+            const mintSelector = gNaira.interface.getFunction("mint").selector;
+            await executeSelfCall("setDelayOverride", [gNairaAddress, mintSelector, TWO_DAYS]);
+            await executeSelfCall("setDelayOverride", [ethers.ZeroAddress, mintSelector, TWO_DAYS]);
+
+            const walletAddress = await multiSigWallet.getAddress();
+            const encode = (name, args) => multiSigWallet.interface.encodeFunctionData(name, args);
+            expect(await multiSigWallet.getDelay(walletAddress, encode("removeDelayOverride", [gNairaAddress, mintSelector])))
+                .to.equal(TWO_DAYS);
+            expect(await multiSigWallet.getDelay(walletAddress, encode("setDelayOverride", [gNairaAddress, mintSelector, ONE_HOUR])))
+                .to.equal(TWO_DAYS);
+            expect(await multiSigWallet.getDelay(walletAddress, encode("setDelayOverride", [gNairaAddress, "0x00000000", 0])))
+                .to.equal(TWO_DAYS);
+            expect(await multiSigWallet.getDelay(walletAddress, encode("setDelayOverride", [gNairaAddress, mintSelector, TWO_DAYS * 2])))
+                .to.equal(0);
+            expect(await multiSigWallet.getDelay(walletAddress, encode("setDefaultDelay", [ONE_HOUR])))
+                .to.equal(0);
+
+            const txIndex = await submitAndConfirm(walletAddress, encode("removeDelayOverride", [gNairaAddress, mintSelector]));
+            await time.increase(ONE_HOUR);
+            await expect(multiSigWallet.connect(owner1).executeTransaction(txIndex))
+                .to.be.revertedWith("MultiSig: timelock not expired");
+
+            const data = encode("removeDelayOverride", [gNairaAddress, mintSelector]);
+            const bundle = await createBundle(multiSigWallet, { to: walletAddress, data });
+            const signed = await signBundle(await signBundle(bundle, owner1), owner2);
+            await expect(submitBundle(multiSigWallet.connect(owner1), signed))
+                .to.be.revertedWith("MultiSig: call is timelocked");
+
+            await time.increase(TWO_DAYS);
+            await multiSigWallet.connect(owner1).executeTransaction(txIndex);
+            expect(await multiSigWallet.getDelay(gNairaAddress, gNaira.interface.encodeFunctionData("mint", [recipient.address, 1])))
+                .to.equal(TWO_DAYS);
+        });
+
+        it("Should timelock lowering the default delay", async function () {
+            await executeSelfCall("setDefaultDelay", [ONE_HOUR]);
+
+            const data = multiSigWallet.interface.encodeFunctionData("setDefaultDelay", [0]);
+            expect(await multiSigWallet.getDelay(await multiSigWallet.getAddress(), data)).to.equal(ONE_HOUR);
+        });
+
+        it("Should reject an override for every target and selector", async function () {
+            await expect(executeSelfCall("setDelayOverride", [ethers.ZeroAddress, "0x00000000", ONE_HOUR]))
+                .to.be.revertedWith("MultiSig: tx failed");
+        });
+
+        it("Should cancel the queue when a revocation drops below the threshold", async function () {
+            await executeSelfCall("setDefaultDelay", [ONE_HOUR]);
+            const txIndex = await submitAndConfirm(recipient.address, "0x");
+
+            await expect(multiSigWallet.connect(owner2).revokeConfirmation(txIndex))
+                .to.emit(multiSigWallet, "CancelQueuedTransaction")
+                .withArgs(txIndex);
+            expect(await multiSigWallet.readyAt(txIndex)).to.equal(0);
+
+            await time.increase(ONE_HOUR);
+            await multiSigWallet.connect(owner3).confirmTransaction(txIndex);
+            await expect(multiSigWallet.connect(owner1).executeTransaction(txIndex))
+                .to.be.revertedWith("MultiSig: timelock not expired");
+        });
+
+        it("Should keep the queue when a revocation stays at the threshold", async function () {
+            const txIndex = await submitAndConfirm(recipient.address, "0x");
+            await multiSigWallet.connect(owner3).confirmTransaction(txIndex);
+
+            await expect(multiSigWallet.connect(owner3).revokeConfirmation(txIndex))
+                .not.to.emit(multiSigWallet, "CancelQueuedTransaction");
+            expect(await multiSigWallet.readyAt(txIndex)).to.not.equal(0);
+        });
+
+        it("Should let owners queue a transaction after the requirement is lowered", async function () {
+            await multiSigWallet.connect(owner1).submitTransaction(recipient.address, 0, "0x");
+            await multiSigWallet.connect(owner3).confirmTransaction(0);
+            await executeSelfCall("changeRequirement", [1]);
+
+            await expect(multiSigWallet.connect(owner1).executeTransaction(0))
+                .to.be.revertedWith("MultiSig: tx not queued");
+            await expect(multiSigWallet.connect(owner1).queueTransaction(0))
+                .to.emit(multiSigWallet, "QueueTransaction");
+            await expect(multiSigWallet.connect(owner1).queueTransaction(0))
+                .to.be.revertedWith("MultiSig: tx already queued");
+            await expect(multiSigWallet.connect(owner1).executeTransaction(0))
+                .to.emit(multiSigWallet, "ExecuteTransaction");
+        });
+    });
+
+    describe("Expiry and Cancellation", function () {
+        const ONE_DAY = 24 * 60 * 60;
+
+        beforeEach(async function () {
+            await owner1.sendTransaction({
+                to: await multiSigWallet.getAddress(),
+                value: ethers.parseEther("1.0")
+            });
+        });
+
+        it("Should store the expiry of a submission", async function () {
+            const expiresAt = (await time.latest()) + ONE_DAY;
+            await expect(multiSigWallet.connect(owner1).submitTransactionWithExpiry(
+                recipient.address, ethers.parseEther("0.1"), "0x", expiresAt
+            ))
+            .to.emit(multiSigWallet, "SubmitTransaction")
+            .withArgs(owner1.address, 0, recipient.address, ethers.parseEther("0.1"), "0x");
+
+            const tx = await multiSigWallet.getTransaction(0);
+            expect(tx.expiresAt).to.equal(expiresAt);
+            expect(tx.cancelled).to.equal(false);
+        });
+
+        it("Should not expire plain submissions", async function () {
+            await multiSigWallet.connect(owner1).submitTransaction(recipient.address, 0, "0x");
+            expect((await multiSigWallet.getTransaction(0)).expiresAt).to.equal(0);
+        });
+
+        it("Should reject an expiry in the past", async function () {
+            await expect(multiSigWallet.connect(owner1).submitTransactionWithExpiry(
+                recipient.address, 0, "0x", await time.latest()
+            )).to.be.revertedWith("MultiSig: expiry in the past");
+        });
+
+        it("Should not allow confirming an expired transaction", async function () {
+            await multiSigWallet.connect(owner1).submitTransactionWithExpiry(
+                recipient.address, 0, "0x", (await time.latest()) + ONE_DAY
+            );
+            await multiSigWallet.connect(owner1).confirmTransaction(0);
+
+            await time.increase(ONE_DAY);
+            await expect(multiSigWallet.connect(owner2).confirmTransaction(0))
+                .to.be.revertedWith("MultiSig: tx expired");
+        });
+
+        it("Should not allow executing an expired transaction", async function () {
+            await multiSigWallet.connect(owner1).submitTransactionWithExpiry(
+                recipient.address, 0, "0x", (await time.latest()) + ONE_DAY
+            );
+            await multiSigWallet.connect(owner1).confirmTransaction(0);
+            await multiSigWallet.connect(owner2).confirmTransaction(0);
+
+            await time.increase(ONE_DAY);
+            await expect(multiSigWallet.connect(owner1).executeTransaction(0))
+                .to.be.revertedWith("MultiSig: tx expired");
+        });
+
+        it("Should execute before the expiry", async function () {
+            await multiSigWallet.connect(owner1).submitTransactionWithExpiry(
+                recipient.address, 0, "0x", (await time.latest()) + ONE_DAY
+            );
+            await multiSigWallet.connect(owner1).confirmTransaction(0);
+            await multiSigWallet.connect(owner2).confirmTransaction(0);
+
+            await expect(multiSigWallet.connect(owner1).executeTransaction(0))
+                .to.emit(multiSigWallet, "ExecuteTransaction");
+        });
+
+        it("Should need a quorum to cancel a transaction", async function () {
+            await multiSigWallet.connect(owner1).submitTransaction(recipient.address, 0, "0x");
+
+            await expect(multiSigWallet.connect(owner1).cancelTransaction(0))
+                .to.emit(multiSigWallet, "CancelConfirmation")
+                .withArgs(owner1.address, 0)
+                .and.not.to.emit(multiSigWallet, "CancelTransaction");
+            expect((await multiSigWallet.getTransaction(0)).cancelled).to.equal(false);
+
+            await expect(multiSigWallet.connect(owner2).cancelTransaction(0))
+                .to.emit(multiSigWallet, "CancelTransaction")
+                .withArgs(owner2.address, 0);
+
+            const tx = await multiSigWallet.getTransaction(0);
+            expect(tx.cancelled).to.equal(true);
+            expect(tx.numCancellations).to.equal(2);
+        });
+
+        it("Should not allow a cancelled transaction to be confirmed or executed", async function () {
+            await multiSigWallet.connect(owner1).submitTransaction(recipient.address, 0, "0x");
+            await multiSigWallet.connect(owner1).confirmTransaction(0);
+            await multiSigWallet.connect(owner2).confirmTransaction(0);
+            await multiSigWallet.connect(owner1).cancelTransaction(0);
+            await multiSigWallet.connect(owner3).cancelTransaction(0);
+
+            await expect(multiSigWallet.connect(owner3).confirmTransaction(0))
+                .to.be.revertedWith("MultiSig: tx cancelled");
+            await expect(multiSigWallet.connect(owner1).executeTransaction(0))
+                .to.be.revertedWith("MultiSig: tx cancelled");
+            await expect(multiSigWallet.connect(owner2).cancelTransaction(0))
+                .to.be.revertedWith("MultiSig: tx cancelled");
+        });
+
+        it("Should not allow voting to cancel twice", async function () {
+            await multiSigWallet.connect(owner1).submitTransaction(recipient.address, 0, "0x");
+            await multiSigWallet.connect(owner1).cancelTransaction(0);
+
+            await expect(multiSigWallet.connect(owner1).cancelTransaction(0))
+                .to.be.revertedWith("MultiSig: cancellation already confirmed");
+            expect(await multiSigWallet.isCancellationConfirmed(0, owner1.address)).to.equal(true);
+        });
+
+        it("Should not allow cancelling executed transactions or by non-owners", async function () {
+            await multiSigWallet.connect(owner1).submitTransaction(recipient.address, 0, "0x");
+            await expect(multiSigWallet.connect(nonOwner).cancelTransaction(0))
+                .to.be.revertedWith("MultiSig: not owner");
+
+            await multiSigWallet.connect(owner1).confirmTransaction(0);
+            await multiSigWallet.connect(owner2).confirmTransaction(0);
+            await multiSigWallet.connect(owner1).executeTransaction(0);
+            await expect(multiSigWallet.connect(owner1).cancelTransaction(0))
+                .to.be.revertedWith("MultiSig: tx already executed");
+        });
+    });
+
+    describe("Signed Execution", function () {
+        let testContract;
+        let callData;
+
+        beforeEach(async function () {
+            const TestContract = await ethers.getContractFactory("TestContract");
+            testContract = await TestContract.deploy();
+            await testContract.waitForDeployment();
+            callData = testContract.interface.encodeFunctionData("setValue", [42]);
+        });
+
+        async function signedBy(signers, tx) {
+            let bundle = await createBundle(multiSigWallet, tx);
+            for (const signer of signers) {
+                bundle = await signBundle(bundle, signer);
+            }
+            return bundle;
+        }
+
+        it("Should match the on-chain digest", async function () {
+            const bundle = await createBundle(multiSigWallet, { to: await testContract.getAddress(), data: callData });
+            const { domain, types, message } = buildTypedData(bundle);
+
+            expect(await multiSigWallet.getTransactionHash(message.to, message.value, message.data, message.nonce))
+                .to.equal(ethers.TypedDataEncoder.hash(domain, types, message));
+        });
+
+        it("Should execute with enough owner signatures and bump the nonce", async function () {
+            const to = await testContract.getAddress();
+            const bundle = await signedBy([owner1, owner3], { to, data: callData });
+
+            await expect(multiSigWallet.connect(owner2).execTransactionWithSignatures(
+                to, 0, callData, 0, packSignatures(bundle)
+            ))
+            .to.emit(multiSigWallet, "ExecuteSignedTransaction")
+            .withArgs(owner2.address, 0, to, 0, callData);
+
+            expect(await testContract.value()).to.equal(42);
+            expect(await multiSigWallet.nonce()).to.equal(1);
+        });
+
+        it("Should not allow replaying signatures", async function () {
+            const to = await testContract.getAddress();
+            const signatures = packSignatures(await signedBy([owner1, owner2], { to, data: callData }));
+            await multiSigWallet.connect(owner1).execTransactionWithSignatures(to, 0, callData, 0, signatures);
+
+            await expect(multiSigWallet.connect(owner1).execTransactionWithSignatures(to, 0, callData, 0, signatures))
+                .to.be.revertedWith("MultiSig: invalid nonce");
+            await expect(multiSigWallet.connect(owner1).execTransactionWithSignatures(to, 0, callData, 1, signatures))
+                .to.be.revertedWith("MultiSig: signer not owner");
+        });
+
+        it("Should reject too few signatures", async function () {
+            const to = await testContract.getAddress();
+            const bundle = await signedBy([owner1], { to, data: callData });
+
+            await expect(multiSigWallet.connect(owner1).execTransactionWithSignatures(
+                to, 0, callData, 0, packSignatures(bundle)
+            )).to.be.revertedWith("MultiSig: not enough signatures");
+        });
+
+        it("Should reject the same owner signing twice", async function () {
+            const to = await testContract.getAddress();
+            const bundle = await signedBy([owner1], { to, data: callData });
+            const signature = bundle.signatures[owner1.address];
+
+            await expect(multiSigWallet.connect(owner1).execTransactionWithSignatures(
+                to, 0, callData, 0, ethers.concat([signature, signature])
+            )).to.be.revertedWith("MultiSig: signatures not ordered");
+        });
+
+        it("Should reject signatures from non-owners", async function () {
+            const to = await testContract.getAddress();
+            const bundle = await signedBy([owner1, nonOwner], { to, data: callData });
+
+            await expect(multiSigWallet.connect(owner1).execTransactionWithSignatures(
+                to, 0, callData, 0, packSignatures(bundle)
+            )).to.be.revertedWith("MultiSig: signer not owner");
+        });
+
+        it("Should leave signatures from non-owners out when submitting a bundle", async function () {
+            const to = await testContract.getAddress();
+            const bundle = await signedBy([owner1, nonOwner, owner3], { to, data: callData });
+
+            await expect(submitBundle(multiSigWallet.connect(owner1), bundle))
+                .to.emit(multiSigWallet, "ExecuteSignedTransaction");
+            expect(await testContract.value()).to.equal(42);
+        });
+
+        it("Should reject signatures over different calldata", async function () {
+            const to = await testContract.getAddress();
+            const bundle = await signedBy([owner1, owner2], { to, data: callData });
+            const otherData = testContract.interface.encodeFunctionData("setValue", [7]);
+
+            await expect(multiSigWallet.connect(owner1).execTransactionWithSignatures(
+                to, 0, otherData, 0, packSignatures(bundle)
+            )).to.be.revertedWith("MultiSig: signer not owner");
+        });
+
+        it("Should reject malformed signatures", async function () {
+            const to = await testContract.getAddress();
+            await expect(multiSigWallet.connect(owner1).execTransactionWithSignatures(to, 0, callData, 0, "0x1234"))
+                .to.be.revertedWith("MultiSig: invalid signatures length");
+        });
+
+        it("Should not allow non-owners to submit a bundle", async function () {
+            const to = await testContract.getAddress();
+            const bundle = await signedBy([owner1, owner2], { to, data: callData });
+
+            await expect(multiSigWallet.connect(nonOwner).execTransactionWithSignatures(
+                to, 0, callData, 0, packSignatures(bundle)
+            )).to.be.revertedWith("MultiSig: not owner");
+        });
+
+        it("Should refuse calls a timelock applies to", async function () {
+            await executeSelfCall("setDefaultDelay", [3600]);
+            const to = await testContract.getAddress();
+            const bundle = await signedBy([owner1, owner2], { to, data: callData });
+
+            await expect(multiSigWallet.connect(owner1).execTransactionWithSignatures(
+                to, 0, callData, 0, packSignatures(bundle)
+            )).to.be.revertedWith("MultiSig: call is timelocked");
+        });
+
+        it("Should keep the on-chain confirmation flow working alongside", async function () {
+            await multiSigWallet.connect(owner1).submitTransaction(await testContract.getAddress(), 0, callData);
+            await multiSigWallet.connect(owner1).confirmTransaction(0);
+            await multiSigWallet.connect(owner2).confirmTransaction(0);
+            await multiSigWallet.connect(owner1).executeTransaction(0);
+
+            expect(await testContract.value()).to.equal(42);
+            expect(await multiSigWallet.nonce()).to.equal(0);
+        });
+    });
+
+    describe("Batch Transactions", function () {
+        let testContract, testAddress;
+
+        beforeEach(async function () {
+            const TestContract = await ethers.getContractFactory("TestContract");
+            testContract = await TestContract.deploy();
+            await testContract.waitForDeployment();
+            testAddress = await testContract.getAddress();
+
+            await owner1.sendTransaction({
+                to: await multiSigWallet.getAddress(),
+                value: ethers.parseEther("1.0")
+            });
+        });
+
+        async function confirmAndExecute(txIndex) {
+            await multiSigWallet.connect(owner1).confirmTransaction(txIndex);
+            await multiSigWallet.connect(owner2).confirmTransaction(txIndex);
+            return multiSigWallet.connect(owner1).executeTransaction(txIndex);
+        }
+
+        it("Should submit a batch as a single wallet transaction", async function () {
+            const calls = [
+                { to: testAddress, value: 0, data: testContract.interface.encodeFunctionData("setValue", [1]) },
+                { to: recipient.address, value: ethers.parseEther("0.1"), data: "0x" },
+            ];
+
+            await expect(multiSigWallet.connect(owner1).submitBatchTransaction(calls))
+                .to.emit(multiSigWallet, "SubmitTransaction");
+
+            const tx = await multiSigWallet.getTransaction(0);
+            expect(tx.to).to.equal(await multiSigWallet.getAddress());
+            expect(tx.data).to.equal(multiSigWallet.interface.encodeFunctionData("executeBatch", [calls]));
+        });
+
+        it("Should execute every call in the batch", async function () {
+            const initialBalance = await ethers.provider.getBalance(recipient.address);
+            await multiSigWallet.connect(owner1).submitBatchTransaction([
+                { to: testAddress, value: 0, data: testContract.interface.encodeFunctionData("setValue", [7]) },
+                { to: recipient.address, value: ethers.parseEther("0.1"), data: "0x" },
+            ]);
+
+            await expect(confirmAndExecute(0))
+                .to.emit(multiSigWallet, "ExecuteBatch")
+                .withArgs(2);
+
+            expect(await testContract.value()).to.equal(7);
+            expect(await ethers.provider.getBalance(recipient.address) - initialBalance)
+                .to.equal(ethers.parseEther("0.1"));
+        });
+
+        it("Should revert the whole batch when one call fails", async function () {
+            await multiSigWallet.connect(owner1).submitBatchTransaction([
+                { to: testAddress, value: 0, data: testContract.interface.encodeFunctionData("setValue", [7]) },
+                { to: recipient.address, value: ethers.parseEther("5.0"), data: "0x" },
+            ]);
+
+            await expect(confirmAndExecute(0)).to.be.revertedWith("MultiSig: tx failed");
+            expect(await testContract.value()).to.equal(0);
+            expect((await multiSigWallet.getTransaction(0)).executed).to.equal(false);
+        });
+
+        it("Should onboard a GNaira partner in one proposal", async function () {
+            const GNaira = await ethers.getContractFactory("GNaira");
+            const gNaira = await GNaira.deploy(await multiSigWallet.getAddress());
+            const gNairaAddress = await gNaira.getAddress();
+
+            await multiSigWallet.connect(owner1).submitTransaction(
+                gNairaAddress, 0, gNaira.interface.encodeFunctionData("blacklist", [recipient.address])
+            );
+            await confirmAndExecute(0);
+
+            await multiSigWallet.connect(owner1).submitBatchTransaction([
+                { to: gNairaAddress, value: 0, data: gNaira.interface.encodeFunctionData("unBlacklist", [recipient.address]) },
+                { to: gNairaAddress, value: 0, data: gNaira.interface.encodeFunctionData("mint", [recipient.address, 500]) },
+                { to: gNairaAddress, value: 0, data: gNaira.interface.encodeFunctionData("mint", [nonOwner.address, 250]) },
+            ]);
+            await confirmAndExecute(1);
+
+            expect(await gNaira.isBlacklisted(recipient.address)).to.equal(false);
+            expect(await gNaira.balanceOf(recipient.address)).to.equal(500);
+            expect(await gNaira.balanceOf(nonOwner.address)).to.equal(250);
+        });
+
+        it("Should reject empty batches", async function () {
+            await expect(multiSigWallet.connect(owner1).submitBatchTransaction([]))
+                .to.be.revertedWith("MultiSig: empty batch");
+        });
+
+        it("Should not allow calling executeBatch directly", async function () {
+            await expect(multiSigWallet.connect(owner1).executeBatch([
+                { to: testAddress, value: 0, data: testContract.interface.encodeFunctionData("setValue", [7]) },
+            ])).to.be.revertedWith("MultiSig: not wallet");
+        });
+
+        it("Should apply the longest delay of any call in the batch", async function () {
+            const setValueSelector = testContract.interface.getFunction("setValue").selector;
+            await executeSelfCall("setDelayOverride", [testAddress, setValueSelector, 86400]);
+
+            const batchData = multiSigWallet.interface.encodeFunctionData("executeBatch", [[
+                { to: recipient.address, value: 0, data: "0x" },
+                { to: testAddress, value: 0, data: testContract.interface.encodeFunctionData("setValue", [7]) },
+            ]]);
+            expect(await multiSigWallet.getDelay(await multiSigWallet.getAddress(), batchData)).to.equal(86400);
+
+            await multiSigWallet.connect(owner1).submitTransaction(await multiSigWallet.getAddress(), 0, batchData);
+            const txIndex = (await multiSigWallet.getTransactionCount()) - 1n;
+            await expect(confirmAndExecute(txIndex)).to.be.revertedWith("MultiSig: timelock not expired");
+
+            await time.increase(86400);
+            await multiSigWallet.connect(owner1).executeTransaction(txIndex);
+            expect(await testContract.value()).to.equal(7);
+        });
+    });
+
     describe("View Functions", function () {
         beforeEach(async function () {
             await multiSigWallet.connect(owner1).submitTransaction(
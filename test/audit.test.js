@@ -0,0 +1,163 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { createCalldataDecoder } = require("../lib/calldata");
+const { auditSupply, signReport, verifyReport } = require("../lib/audit");
+
+describe("GNaira supply audit", function () {
+    const { ethers } = hre;
+    let owner1, owner2, owner3, user1, user2;
+    let gNaira, multiSigWallet, deployBlock, decode;
+
+    beforeEach(async function () {
+        [owner1, owner2, owner3, user1, user2] = await ethers.getSigners();
+
+        const MultiSigWallet = await ethers.getContractFactory("MultiSigWallet");
+        multiSigWallet = await MultiSigWallet.deploy([owner1.address, owner2.address, owner3.address], 2);
+        await multiSigWallet.waitForDeployment();
+
+        const GNaira = await ethers.getContractFactory("GNaira");
+        gNaira = await GNaira.deploy(await multiSigWallet.getAddress());
+        deployBlock = (await gNaira.deploymentTransaction().wait()).blockNumber;
+
+        decode = createCalldataDecoder(hre.artifacts, {
+            gNaira: await gNaira.getAddress(),
+            multiSigWallet: await multiSigWallet.getAddress(),
+        });
+    });
+
+    async function executeThroughWallet(to, data) {
+        const txIndex = await multiSigWallet.getTransactionCount();
+        await multiSigWallet.connect(owner1).submitTransaction(to, 0, data);
+        await multiSigWallet.connect(owner1).confirmTransaction(txIndex);
+        await multiSigWallet.connect(owner2).confirmTransaction(txIndex);
+        await multiSigWallet.connect(owner1).executeTransaction(txIndex);
+    }
+
+    async function mintThroughWallet(to, amount) {
+        await executeThroughWallet(await gNaira.getAddress(), gNaira.interface.encodeFunctionData("mint", [to, amount]));
+    }
+
+    it("Should pass when supply, balances and MultiSig proposals reconcile", async function () {
+        const gNairaAddress = await gNaira.getAddress();
+        await mintThroughWallet(user1.address, ethers.parseEther("1000"));
+        await gNaira.connect(user1).transfer(user2.address, ethers.parseEther("300"));
+        await executeThroughWallet(gNairaAddress,
+            gNaira.interface.encodeFunctionData("burnFrom", [user2.address, ethers.parseEther("100")]));
+        await executeThroughWallet(await multiSigWallet.getAddress(),
+            multiSigWallet.interface.encodeFunctionData("executeBatch", [[
+                { to: gNairaAddress, value: 0, data: gNaira.interface.encodeFunctionData("mint", [user2.address, ethers.parseEther("50")]) },
+                { to: gNairaAddress, value: 0, data: gNaira.interface.encodeFunctionData("mint", [user2.address, ethers.parseEther("50")]) },
+            ]]));
+        await executeThroughWallet(gNairaAddress, gNaira.interface.encodeFunctionData("batchMint", [
+            [user1.address, user2.address], [ethers.parseEther("5"), ethers.parseEther("7")],
+        ]));
+
+        const report = await auditSupply({ gNaira, multiSigWallet, decode }, { startBlock: deployBlock, batchSize: 3 });
+
+        expect(report.status).to.equal("PASS");
+        expect(report.discrepancies).to.deep.equal([]);
+        expect(report.supply.totalSupply).to.equal(ethers.parseEther("1012").toString());
+        expect(report.supply.mintedMinusBurned).to.equal(report.supply.totalSupply);
+        expect(report.proposals).to.have.lengthOf(6);
+        expect(report.proposals.every((proposal) => proposal.matched)).to.equal(true);
+        expect(report.mintsOutsideMultisig).to.deep.equal([]);
+    });
+
+    it("Should flag supply that events do not account for", async function () {
+        await mintThroughWallet(user1.address, ethers.parseEther("1000"));
+        const afterMint = await ethers.provider.getBlockNumber();
+        await mintThroughWallet(user2.address, ethers.parseEther("5"));
+
+        // Starting after the first mint leaves its supply unexplained
+        const report = await auditSupply({ gNaira, multiSigWallet, decode }, { startBlock: afterMint + 1 });
+
+        expect(report.status).to.equal("FAIL");
+        const checks = report.discrepancies.map((discrepancy) => discrepancy.check);
+        expect(checks).to.include.members(["supplyFromTransfers", "mintedMinusBurned", "sumOfBalances"]);
+        expect(report.proposals).to.have.lengthOf(1);
+        expect(report.proposals[0].matched).to.equal(true);
+    });
+
+    it("Should audit at a past block", async function () {
+        await mintThroughWallet(user1.address, ethers.parseEther("10"));
+        const block = await ethers.provider.getBlockNumber();
+        await mintThroughWallet(user1.address, ethers.parseEther("20"));
+
+        const report = await auditSupply({ gNaira, multiSigWallet, decode }, { startBlock: deployBlock, toBlock: block });
+
+        expect(report.status).to.equal("PASS");
+        expect(report.blockNumber).to.equal(block);
+        expect(report.supply.totalSupply).to.equal(ethers.parseEther("10").toString());
+        expect(report.proposals).to.have.lengthOf(1);
+    });
+
+    it("Should match burns and wipes executed by the MultiSig", async function () {
+        const gNairaAddress = await gNaira.getAddress();
+        const walletAddress = await multiSigWallet.getAddress();
+        await mintThroughWallet(user1.address, ethers.parseEther("100"));
+        await mintThroughWallet(walletAddress, ethers.parseEther("50"));
+        await executeThroughWallet(gNairaAddress, gNaira.interface.encodeFunctionData("blacklist", [user1.address]));
+        await executeThroughWallet(gNairaAddress, gNaira.interface.encodeFunctionData("wipeFunds", [
+            user1.address, ethers.parseEther("40"), ethers.encodeBytes32String("COURT-ORDER"), "FHC/L/CS/1/2026",
+        ]));
+        await executeThroughWallet(gNairaAddress, gNaira.interface.encodeFunctionData("burn", [ethers.parseEther("20")]));
+
+        const report = await auditSupply({ gNaira, multiSigWallet, decode }, { startBlock: deployBlock });
+
+        expect(report.status).to.equal("PASS");
+        expect(report.proposals.map((proposal) => [proposal.call.split("(")[0], proposal.matched])).to.deep.equal([
+            ["GNaira.mint", true],
+            ["GNaira.mint", true],
+            ["GNaira.wipeFunds", true],
+            ["GNaira.burn", true],
+        ]);
+        expect(report.burnsOutsideMultisig).to.deep.equal([]);
+    });
+
+    it("Should list mints made outside the MultiSig", async function () {
+        const GNaira = await ethers.getContractFactory("GNaira");
+        const direct = await GNaira.deploy(owner1.address);
+        const startBlock = (await direct.deploymentTransaction().wait()).blockNumber;
+        await direct.mint(user1.address, ethers.parseEther("7"));
+
+        const report = await auditSupply({ gNaira: direct }, { startBlock });
+
+        expect(report.status).to.equal("PASS");
+        expect(report.multiSigWallet).to.equal(null);
+        expect(report.mintsOutsideMultisig).to.have.lengthOf(1);
+        expect(report.mintsOutsideMultisig[0].account).to.equal(user1.address);
+    });
+
+    it("Should detect a report changed after sign-off", async function () {
+        await mintThroughWallet(user1.address, ethers.parseEther("1"));
+        const report = await auditSupply({ gNaira, multiSigWallet, decode }, { startBlock: deployBlock });
+        const signed = await signReport(report, owner3);
+
+        expect(verifyReport(signed)).to.equal(owner3.address);
+        expect(() => verifyReport({ ...signed, status: "FAIL" })).to.throw("Report signature is from");
+        expect(() => verifyReport(report)).to.throw("Report is not signed");
+    });
+
+    it("Should write signed JSON and CSV reports through the gngn:audit task", async function () {
+        await mintThroughWallet(user1.address, ethers.parseEther("42"));
+        const out = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "gngn-audit-")), "report");
+
+        const signed = await hre.run("gngn:audit", {
+            gnaira: await gNaira.getAddress(),
+            wallet: await multiSigWallet.getAddress(),
+            startBlock: deployBlock,
+            out,
+            signer: owner2.address,
+        });
+
+        expect(signed.status).to.equal("PASS");
+        expect(verifyReport(JSON.parse(fs.readFileSync(`${out}.json`, "utf8")))).to.equal(owner2.address);
+        const csv = fs.readFileSync(`${out}.csv`, "utf8");
+        expect(csv).to.match(/^section,check,source,expected,actual,status\n/);
+        expect(csv).to.include("GNaira.mint(to:");
+        expect(csv).to.include(`signOff,signer,${owner2.address}`);
+    });
+});
@@ -0,0 +1,86 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { parseCsv } = require("../lib/csv");
+const { buildBatchFromCsv } = require("../lib/batch");
+const { createCalldataDecoder, formatDecodedCall } = require("../lib/calldata");
+
+describe("Batch proposals from CSV", function () {
+    const { ethers } = hre;
+    const gNairaAddress = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+    const partner = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+    const branch = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+    let gNairaInterface;
+
+    before(async function () {
+        gNairaInterface = (await ethers.getContractFactory("GNaira")).interface;
+    });
+
+    describe("parseCsv", function () {
+        it("Should key rows by header and skip blanks and comments", function () {
+            const rows = parseCsv("a,b\n\n# note\n1, 2\n3\n");
+
+            expect(rows).to.deep.equal([
+                { line: 4, values: { a: "1", b: "2" } },
+                { line: 5, values: { a: "3", b: "" } },
+            ]);
+        });
+
+        it("Should reject rows with too many columns", function () {
+            expect(() => parseCsv("a,b\n1,2,3")).to.throw("line 2: expected at most 2 columns, got 3");
+        });
+    });
+
+    describe("buildBatchFromCsv", function () {
+        it("Should encode one GNaira call per row", function () {
+            const calls = buildBatchFromCsv(gNairaInterface, gNairaAddress, [
+                "action,address,amount",
+                `unBlacklist,${partner},`,
+                `mint,${partner},1000`,
+                `mint,${branch},250.5`,
+                "pause,,",
+            ].join("\n"));
+
+            expect(calls).to.deep.equal([
+                { to: gNairaAddress, value: 0n, data: gNairaInterface.encodeFunctionData("unBlacklist", [partner]) },
+                { to: gNairaAddress, value: 0n, data: gNairaInterface.encodeFunctionData("mint", [partner, ethers.parseEther("1000")]) },
+                { to: gNairaAddress, value: 0n, data: gNairaInterface.encodeFunctionData("mint", [branch, ethers.parseEther("250.5")]) },
+                { to: gNairaAddress, value: 0n, data: gNairaInterface.encodeFunctionData("pause") },
+            ]);
+        });
+
+        it("Should report the line of an invalid row", function () {
+            expect(() => buildBatchFromCsv(gNairaInterface, gNairaAddress, `action,address,amount\nmint,${partner},1\nmint,0x12,5`))
+                .to.throw("line 3: --to is not a valid address: 0x12");
+            expect(() => buildBatchFromCsv(gNairaInterface, gNairaAddress, "action,address,amount\nrugPull,,"))
+                .to.throw('line 2: Unknown action "rugPull"');
+        });
+
+        it("Should reject a CSV without actions", function () {
+            expect(() => buildBatchFromCsv(gNairaInterface, gNairaAddress, "action,address,amount\n"))
+                .to.throw("CSV contains no actions");
+        });
+    });
+
+    describe("Decoding batches", function () {
+        it("Should decode each call of a batch", async function () {
+            const walletAddress = "0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512";
+            const walletInterface = (await ethers.getContractFactory("MultiSigWallet")).interface;
+            const decode = createCalldataDecoder(hre.artifacts, {
+                gNaira: gNairaAddress,
+                multiSigWallet: walletAddress,
+            });
+            const calls = [
+                { to: gNairaAddress, value: 0n, data: gNairaInterface.encodeFunctionData("unBlacklist", [partner]) },
+                { to: branch, value: 0n, data: gNairaInterface.encodeFunctionData("mint", [partner, ethers.parseEther("5")]) },
+            ];
+
+            const decoded = decode(walletAddress, walletInterface.encodeFunctionData("executeBatch", [calls]));
+
+            expect(decoded.calls.map((call) => call.name)).to.deep.equal(["unBlacklist", "mint"]);
+            expect(decoded.warnings).to.deep.equal([`call #1: target ${branch} is not the known GNaira deployment`]);
+            expect(formatDecodedCall({ ...decoded, warnings: [] })).to.equal(
+                `MultiSigWallet.executeBatch([GNaira.unBlacklist(account: ${partner}); GNaira.mint(to: ${partner}, amount: 5.0 gNGN)])`
+            );
+        });
+    });
+});
@@ -0,0 +1,135 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { createCalldataDecoder, formatDecodedCall } = require("../lib/calldata");
+
+describe("Calldata decoder", function () {
+    const { ethers } = hre;
+    let owner1, owner2, user1;
+    let gNaira, multiSigWallet, testContract;
+    let decode;
+
+    beforeEach(async function () {
+        [owner1, owner2, user1] = await ethers.getSigners();
+
+        const MultiSigWallet = await ethers.getContractFactory("MultiSigWallet");
+        multiSigWallet = await MultiSigWallet.deploy([owner1.address, owner2.address], 2);
+        const GNaira = await ethers.getContractFactory("GNaira");
+        gNaira = await GNaira.deploy(await multiSigWallet.getAddress());
+        const TestContract = await ethers.getContractFactory("TestContract");
+        testContract = await TestContract.deploy();
+
+        decode = createCalldataDecoder(hre.artifacts, {
+            gNaira: await gNaira.getAddress(),
+            multiSigWallet: await multiSigWallet.getAddress(),
+        });
+    });
+
+    it("Should decode GNaira calls with named, typed arguments", async function () {
+        const data = gNaira.interface.encodeFunctionData("mint", [user1.address, ethers.parseEther("1234.5")]);
+        const decoded = decode(await gNaira.getAddress(), data);
+
+        expect(decoded.contract).to.equal("GNaira");
+        expect(decoded.name).to.equal("mint");
+        expect(decoded.signature).to.equal("mint(address,uint256)");
+        expect(decoded.args.map(({ name, type }) => [name, type])).to.deep.equal([
+            ["to", "address"],
+            ["amount", "uint256"],
+        ]);
+        expect(decoded.args[1].value).to.equal(ethers.parseEther("1234.5"));
+        expect(decoded.args[1].display).to.equal("1234.5 gNGN");
+        expect(decoded.warnings).to.deep.equal([]);
+        expect(formatDecodedCall(decoded)).to.equal(`GNaira.mint(to: ${user1.address}, amount: 1234.5 gNGN)`);
+    });
+
+    it("Should show GNaira reason codes as text", async function () {
+        const data = gNaira.interface.encodeFunctionData("wipeFunds", [
+            user1.address, ethers.parseEther("5"), ethers.encodeBytes32String("COURT_ORDER"), "FHC/L/CS/12/2026",
+        ]);
+
+        expect(formatDecodedCall(decode(await gNaira.getAddress(), data))).to.equal(
+            `GNaira.wipeFunds(account: ${user1.address}, amount: 5.0 gNGN, reasonCode: COURT_ORDER, caseReference: FHC/L/CS/12/2026)`
+        );
+    });
+
+    it("Should show batch amounts in gNGN", async function () {
+        const data = gNaira.interface.encodeFunctionData("batchMint", [
+            [user1.address, owner2.address], [ethers.parseEther("10"), ethers.parseEther("2.5")],
+        ]);
+
+        expect(formatDecodedCall(decode(await gNaira.getAddress(), data))).to.equal(
+            `GNaira.batchMint(to: [${user1.address}, ${owner2.address}], amounts: [10.0 gNGN, 2.5 gNGN])`
+        );
+    });
+
+    it("Should decode calls to the wallet itself", async function () {
+        const data = multiSigWallet.interface.encodeFunctionData("changeRequirement", [1]);
+        const decoded = decode(await multiSigWallet.getAddress(), data);
+
+        expect(formatDecodedCall(decoded)).to.equal("MultiSigWallet.changeRequirement(_required: 1)");
+    });
+
+    it("Should flag calls aimed at addresses other than the GNaira deployment", async function () {
+        const data = testContract.interface.encodeFunctionData("setValue", [42]);
+        const decoded = decode(await testContract.getAddress(), data);
+
+        expect(decoded.contract).to.equal("TestContract");
+        expect(decoded.targetContract).to.equal(null);
+        expect(decoded.warnings).to.deep.equal([
+            `target ${await testContract.getAddress()} is not the known GNaira deployment`,
+        ]);
+    });
+
+    it("Should flag a GNaira call sent to an impostor address", async function () {
+        const data = gNaira.interface.encodeFunctionData("setGovernor", [user1.address]);
+        const decoded = decode(user1.address, data);
+
+        expect(decoded.name).to.equal("setGovernor");
+        expect(decoded.warnings).to.have.lengthOf(1);
+        expect(formatDecodedCall(decoded)).to.contain("is not the known GNaira deployment");
+    });
+
+    it("Should flag unknown selectors", async function () {
+        const decoded = decode(await gNaira.getAddress(), "0xdeadbeef0000");
+
+        expect(decoded.name).to.equal(null);
+        expect(decoded.selector).to.equal("0xdeadbeef");
+        expect(decoded.warnings).to.deep.equal(["unknown selector 0xdeadbeef"]);
+    });
+
+    it("Should flag calldata shorter than a selector as malformed", async function () {
+        const decoded = decode(await gNaira.getAddress(), "0x1234");
+
+        expect(decoded.name).to.equal(null);
+        expect(decoded.warnings).to.deep.equal(["malformed calldata for 0x1234"]);
+        expect(formatDecodedCall(decoded)).to.equal("malformed call 0x1234 ⚠️  malformed calldata for 0x1234");
+    });
+
+    it("Should flag a known selector with its arguments cut off as malformed", async function () {
+        const selector = gNaira.interface.getFunction("mint").selector;
+        const data = gNaira.interface.encodeFunctionData("mint", [user1.address, ethers.parseEther("1")]);
+
+        for (const truncated of [selector, ethers.dataSlice(data, 0, 40)]) {
+            const decoded = decode(await gNaira.getAddress(), truncated);
+
+            expect(decoded.name).to.equal(null);
+            expect(decoded.selector).to.equal(selector);
+            expect(decoded.warnings).to.deep.equal([`malformed calldata for ${selector}`]);
+        }
+    });
+
+    it("Should flag a batch with a malformed call", async function () {
+        const data = multiSigWallet.interface.encodeFunctionData("executeBatch", [[
+            { to: await gNaira.getAddress(), value: 0, data: "0x40c10f19" },
+        ]]);
+        const decoded = decode(await multiSigWallet.getAddress(), data);
+
+        expect(decoded.name).to.equal("executeBatch");
+        expect(decoded.warnings).to.deep.equal(["call #0: malformed calldata for 0x40c10f19"]);
+    });
+
+    it("Should handle empty calldata", async function () {
+        const decoded = decode(await gNaira.getAddress(), "0x");
+
+        expect(formatDecodedCall(decoded)).to.equal("(no calldata)");
+    });
+});
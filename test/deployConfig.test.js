@@ -0,0 +1,77 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { validateDeployConfig, loadDeployConfig } = require("../lib/deployConfig");
+
+describe("Deployment config", function () {
+    const owner1 = "0x1ac0D33437aaC3243deE9334187dcfDadB9F389B";
+    const owner2 = "0x2B1802AE213D8C6431A9d11806d065F8E9521262";
+    const owner3 = "0x7797b38811048A73878Eed7431B03F6f1dAF4E4a";
+
+    it("Should accept a valid config and normalise it", function () {
+        const config = validateDeployConfig({
+            owners: [owner1, owner2.toLowerCase(), owner3],
+            threshold: 2,
+            initialMints: [{ to: owner1, amount: "1500.5" }],
+        });
+
+        expect(config.owners).to.deep.equal([owner1, owner2, owner3]);
+        expect(config.threshold).to.equal(2);
+        expect(config.initialGovernor).to.equal(null);
+        expect(config.initialMints).to.deep.equal([
+            { to: owner1, amount: ethers.parseUnits("1500.5", 18) },
+        ]);
+    });
+
+    it("Should reject duplicate owners regardless of case", function () {
+        expect(() => validateDeployConfig({
+            owners: [owner1, owner1.toLowerCase()],
+            threshold: 1,
+        })).to.throw("owners[1] is a duplicate owner");
+    });
+
+    it("Should reject zero and malformed addresses", function () {
+        expect(() => validateDeployConfig({
+            owners: [owner1, ethers.ZeroAddress, "0x1234"],
+            threshold: 1,
+        })).to.throw(/owners\[1\] is the zero address[\s\S]*owners\[2\] is not a valid address/);
+    });
+
+    it("Should reject a threshold out of range", function () {
+        expect(() => validateDeployConfig({ owners: [owner1, owner2], threshold: 0 }))
+            .to.throw("threshold must be an integer between 1 and the number of owners");
+        expect(() => validateDeployConfig({ owners: [owner1, owner2], threshold: 3 }))
+            .to.throw("threshold must be an integer between 1 and the number of owners");
+    });
+
+    it("Should reject invalid initial mints", function () {
+        expect(() => validateDeployConfig({
+            owners: [owner1],
+            threshold: 1,
+            initialMints: [{ to: owner2, amount: "0" }, { to: owner2, amount: "lots" }],
+        })).to.throw(/initialMints\[0\].amount must be positive[\s\S]*initialMints\[1\].amount is not a valid gNGN amount/);
+    });
+
+    it("Should substitute the deployer for the deployer owner entry", function () {
+        const config = validateDeployConfig({ owners: ["deployer", owner1], threshold: 1 }, { deployer: owner2 });
+        expect(config.owners).to.deep.equal([owner2, owner1]);
+
+        expect(() => validateDeployConfig({ owners: ["deployer", owner1], threshold: 1 }))
+            .to.throw('owners[0] is "deployer" but no deployer address was given');
+        expect(() => validateDeployConfig({ owners: ["deployer", owner1], threshold: 1 }, { deployer: owner1 }))
+            .to.throw("owners[1] is a duplicate owner");
+    });
+
+    it("Should load the YAML config for baseSepolia with the deployer as an owner", async function () {
+        const [deployer] = await ethers.getSigners();
+        const config = loadDeployConfig("baseSepolia", { deployer: deployer.address });
+        expect(config.owners).to.have.lengthOf(6);
+        expect(config.owners[0]).to.equal(deployer.address);
+        expect(config.threshold).to.equal(3);
+    });
+
+    it("Should fall back to the hardhat config for localhost", function () {
+        const config = loadDeployConfig("localhost");
+        expect(config.path).to.match(/hardhat\.json$/);
+        expect(() => loadDeployConfig("mainnet")).to.throw('No deployment config found for network "mainnet"');
+    });
+});
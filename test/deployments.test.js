@@ -0,0 +1,87 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const {
+    describeDeployment,
+    writeManifest,
+    readManifest,
+    getDeployedContracts,
+} = require("../lib/deployments");
+
+describe("Deployment manifest", function () {
+    const { ethers } = hre;
+    let deployer, owner2;
+    let gNaira, multiSigWallet;
+    let dir;
+
+    beforeEach(async function () {
+        [deployer, owner2] = await ethers.getSigners();
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "gngn-deployments-"));
+
+        const MultiSigWallet = await ethers.getContractFactory("MultiSigWallet");
+        multiSigWallet = await MultiSigWallet.deploy([deployer.address, owner2.address], 2);
+        await multiSigWallet.waitForDeployment();
+
+        const GNaira = await ethers.getContractFactory("GNaira");
+        gNaira = await GNaira.deploy(deployer.address);
+        await gNaira.waitForDeployment();
+    });
+
+    afterEach(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    async function writeTestManifest(chainId) {
+        return writeManifest(hre.network.name, {
+            chainId,
+            deployer: deployer.address,
+            contracts: {
+                MultiSigWallet: await describeDeployment(hre, "MultiSigWallet", multiSigWallet, [[deployer.address, owner2.address], 2]),
+                GNaira: await describeDeployment(hre, "GNaira", gNaira, [deployer.address]),
+            },
+        }, dir);
+    }
+
+    it("Should record addresses, deployment transactions and ABI hashes", async function () {
+        const { chainId } = await ethers.provider.getNetwork();
+        await writeTestManifest(chainId);
+
+        const manifest = readManifest(hre.network.name, dir);
+        const entry = manifest.contracts.GNaira;
+        const receipt = await gNaira.deploymentTransaction().wait();
+
+        expect(manifest.version).to.equal(1);
+        expect(manifest.chainId).to.equal(Number(chainId));
+        expect(manifest.deployer).to.equal(deployer.address);
+        expect(entry.address).to.equal(await gNaira.getAddress());
+        expect(entry.constructorArgs).to.deep.equal([deployer.address]);
+        expect(entry.transactionHash).to.equal(receipt.hash);
+        expect(entry.blockNumber).to.equal(receipt.blockNumber);
+        expect(entry.abiHash).to.match(/^0x[0-9a-f]{64}$/);
+    });
+
+    it("Should return connected contracts from the manifest", async function () {
+        const { chainId } = await ethers.provider.getNetwork();
+        await writeTestManifest(chainId);
+
+        const contracts = await getDeployedContracts(hre, { dir, signer: owner2 });
+
+        expect(await contracts.gNaira.getAddress()).to.equal(await gNaira.getAddress());
+        expect(await contracts.multiSigWallet.getAddress()).to.equal(await multiSigWallet.getAddress());
+        expect(contracts.gNaira.runner).to.equal(owner2);
+        expect(await contracts.gNaira.governor()).to.equal(deployer.address);
+    });
+
+    it("Should refuse a manifest from another chain", async function () {
+        await writeTestManifest(1);
+
+        await expect(getDeployedContracts(hre, { dir }))
+            .to.be.rejectedWith("does not match connected chain");
+    });
+
+    it("Should fail clearly when there is no manifest", function () {
+        expect(() => readManifest("nowhere", dir)).to.throw('No deployment manifest for network "nowhere"');
+    });
+});
@@ -0,0 +1,245 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const {
+    parseDisbursement,
+    checkDisbursement,
+    chunkDisbursement,
+    reconcileDisbursement,
+} = require("../lib/disbursement");
+
+describe("Disbursements from CSV", function () {
+    const { ethers } = hre;
+    const alice = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+    const bob = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+
+    describe("parseDisbursement", function () {
+        it("Should parse payments and total them", function () {
+            const { rows, total, errors, warnings } = parseDisbursement(
+                `address,amount,reference\n${alice},1000,G2P-001\n${bob.toLowerCase()},250.5,G2P-002\n`
+            );
+
+            expect(errors).to.deep.equal([]);
+            expect(rows).to.deep.equal([
+                { line: 2, address: alice, amount: ethers.parseEther("1000"), reference: "G2P-001" },
+                { line: 3, address: bob, amount: ethers.parseEther("250.5"), reference: "G2P-002" },
+            ]);
+            expect(total).to.equal(ethers.parseEther("1250.5"));
+            expect(warnings).to.deep.equal([`line 3: ${bob.toLowerCase()} is not checksummed`]);
+        });
+
+        it("Should collect every invalid row", function () {
+            const badChecksum = alice.replace("c", "C");
+            const [carol, dave, erin, frank] = [
+                "0x90F79bf6EB2c4f870365E785982E1f101E93b906",
+                "0x15d34AAf54267DB7D7c367839AAf71A00a2C6A65",
+                "0x9965507D1a55bcC2695C58ba16FB37d819B0A4dc",
+                "0x976EA74026E726554dB657fA54763abd0C3a0aa9",
+            ];
+            const { rows, errors } = parseDisbursement([
+                "address,amount,reference",
+                `${alice},10,REF-1`,
+                `${badChecksum},10,REF-2`,
+                "0x1234,10,REF-3",
+                `${ethers.ZeroAddress},10,REF-4`,
+                `${bob},0,REF-5`,
+                `${carol},ten,REF-6`,
+                `${dave},1.0000000000000000001,REF-7`,
+                `${erin},5,REF-1`,
+                `${frank},5,`,
+                `${alice.toLowerCase()},5,REF-8`,
+            ].join("\n"));
+
+            expect(rows).to.have.lengthOf(1);
+            expect(errors).to.deep.equal([
+                `line 3: address ${badChecksum} has an invalid checksum`,
+                "line 4: 0x1234 is not a valid address",
+                "line 5: address is the zero address",
+                "line 6: amount must be greater than zero",
+                'line 7: amount "ten" is not a gNGN amount',
+                'line 8: amount "1.0000000000000000001" is not a gNGN amount',
+                "line 9: reference REF-1 repeats line 2",
+                "line 10: reference is missing",
+                `line 11: ${alice} is already paid on line 2`,
+            ]);
+        });
+
+        it("Should reject a CSV without payments", function () {
+            expect(parseDisbursement("address,amount,reference\n").errors).to.deep.equal(["CSV contains no payments"]);
+        });
+    });
+
+    it("Should split payments into chunks", function () {
+        expect(chunkDisbursement([1, 2, 3, 4, 5], 2)).to.deep.equal([[1, 2], [3, 4], [5]]);
+        expect(() => chunkDisbursement([1], 0)).to.throw("Chunk size must be a positive integer, got 0");
+    });
+
+    describe("On-chain checks and proposals", function () {
+        let owner1, owner2, owner3, recipients;
+        let gNaira, multiSigWallet, addresses, dir;
+
+        beforeEach(async function () {
+            let signers;
+            [owner1, owner2, owner3, ...signers] = await ethers.getSigners();
+            recipients = signers.slice(0, 5);
+
+            const MultiSigWallet = await ethers.getContractFactory("MultiSigWallet");
+            multiSigWallet = await MultiSigWallet.deploy([owner1.address, owner2.address, owner3.address], 2);
+            await multiSigWallet.waitForDeployment();
+
+            const GNaira = await ethers.getContractFactory("GNaira");
+            gNaira = await GNaira.deploy(await multiSigWallet.getAddress());
+            await gNaira.waitForDeployment();
+
+            addresses = { gnaira: await gNaira.getAddress(), wallet: await multiSigWallet.getAddress() };
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), "gngn-disburse-"));
+        });
+
+        function writeCsv(payments, name = "payouts.csv") {
+            const file = path.join(dir, name);
+            const lines = payments.map(([account, amount, reference]) => `${account.address},${amount},${reference}`);
+            fs.writeFileSync(file, ["address,amount,reference", ...lines].join("\n") + "\n");
+            return file;
+        }
+
+        function disburse(file, options = {}) {
+            return hre.run("multisig:disburse", {
+                file,
+                chunkSize: 2,
+                progress: path.join(dir, "progress.json"),
+                report: path.join(dir, "reconciliation"),
+                ...addresses,
+                ...options,
+            });
+        }
+
+        async function execute(txIndex) {
+            await multiSigWallet.connect(owner1).confirmTransaction(txIndex);
+            await multiSigWallet.connect(owner2).confirmTransaction(txIndex);
+            await multiSigWallet.connect(owner1).executeTransaction(txIndex);
+        }
+
+        async function executeThroughWallet(data) {
+            const txIndex = await multiSigWallet.getTransactionCount();
+            await multiSigWallet.connect(owner1).submitTransaction(addresses.gnaira, 0, data);
+            await execute(txIndex);
+        }
+
+        it("Should flag blacklisted recipients and totals over the limits", async function () {
+            await executeThroughWallet(gNaira.interface.encodeFunctionData("blacklist", [recipients[1].address]));
+            await executeThroughWallet(gNaira.interface.encodeFunctionData("setMaxSupply", [ethers.parseEther("150")]));
+            const file = writeCsv([[recipients[0], 100, "A"], [recipients[1], 100, "B"]]);
+            const { rows } = parseDisbursement(fs.readFileSync(file, "utf8"));
+
+            const { errors } = await checkDisbursement(gNaira, addresses.wallet, rows, {
+                mode: "mint", maxTotal: ethers.parseEther("120"),
+            });
+
+            expect(errors).to.deep.equal([
+                `line 3: ${recipients[1].address} is blacklisted`,
+                "total 200.0 gNGN exceeds the limit of 120.0 gNGN",
+                "total 200.0 gNGN exceeds the 150.0 gNGN left under the supply cap",
+            ]);
+        });
+
+        it("Should check the wallet's balance when transferring", async function () {
+            const { rows } = parseDisbursement(`address,amount,reference\n${alice},5,A\n`);
+
+            const { errors } = await checkDisbursement(gNaira, addresses.wallet, rows, { mode: "transfer" });
+
+            expect(errors).to.deep.equal(["total 5.0 gNGN exceeds the wallet's available balance of 0.0 gNGN"]);
+        });
+
+        it("Should refuse to propose anything when a check fails", async function () {
+            await executeThroughWallet(gNaira.interface.encodeFunctionData("blacklist", [recipients[0].address]));
+            const file = writeCsv([[recipients[0], 100, "A"]]);
+
+            await expect(disburse(file)).to.be.rejectedWith("Disbursement has 1 problem(s); nothing was proposed");
+            expect(await multiSigWallet.getTransactionCount()).to.equal(1n);
+        });
+
+        it("Should propose chunked batches and reconcile them by reference", async function () {
+            const file = writeCsv(recipients.map((recipient, i) => [recipient, 100 * (i + 1), `G2P-${i}`]));
+
+            const { progress } = await disburse(file);
+            expect(progress.batches.map((batch) => batch.references)).to.deep.equal([
+                ["G2P-0", "G2P-1"], ["G2P-2", "G2P-3"], ["G2P-4"],
+            ]);
+
+            await execute(progress.batches[0].txIndex);
+            await execute(progress.batches[2].txIndex);
+            const { report } = await disburse(file, { reconcile: true });
+
+            expect(Object.keys(report)).to.deep.equal(["G2P-0", "G2P-1", "G2P-2", "G2P-3", "G2P-4"]);
+            expect(Object.values(report).map((entry) => entry.status))
+                .to.deep.equal(["paid", "paid", "pending", "pending", "paid"]);
+            expect(report["G2P-4"].received).to.equal(ethers.parseEther("500").toString());
+            expect(await gNaira.balanceOf(recipients[4].address)).to.equal(ethers.parseEther("500"));
+
+            const fromBlocks = [];
+            const queryFilter = multiSigWallet.queryFilter.bind(multiSigWallet);
+            multiSigWallet.queryFilter = (filter, fromBlock, toBlock) => {
+                fromBlocks.push(fromBlock);
+                return queryFilter(filter, fromBlock, toBlock);
+            };
+            const { rows } = parseDisbursement(fs.readFileSync(file, "utf8"));
+            await reconcileDisbursement(gNaira, multiSigWallet, rows, progress);
+            expect(fromBlocks).to.deep.equal([progress.startBlock, progress.startBlock]);
+
+            const csv = fs.readFileSync(path.join(dir, "reconciliation.csv"), "utf8").trim().split("\n");
+            expect(csv[0]).to.equal("reference,line,address,amount,batch,txIndex,status,received,transactionHash");
+            expect(csv).to.have.lengthOf(6);
+        });
+
+        it("Should resume without proposing a batch twice", async function () {
+            const file = writeCsv(recipients.map((recipient, i) => [recipient, 10, `G2P-${i}`]));
+            await disburse(file);
+            const proposed = await multiSigWallet.getTransactionCount();
+
+            // Lose the record of the last batch, as if the run stopped right after submitting it
+            const progressFile = path.join(dir, "progress.json");
+            const progress = JSON.parse(fs.readFileSync(progressFile, "utf8"));
+            const lost = progress.batches.pop();
+            fs.writeFileSync(progressFile, JSON.stringify(progress));
+
+            const resumed = await disburse(file);
+
+            expect(await multiSigWallet.getTransactionCount()).to.equal(proposed);
+            expect(resumed.progress.batches[2].txIndex).to.equal(lost.txIndex);
+
+            await disburse(file);
+            expect(await multiSigWallet.getTransactionCount()).to.equal(proposed);
+        });
+
+        it("Should not resume a progress file from a different CSV", async function () {
+            await disburse(writeCsv([[recipients[0], 10, "A"]]));
+
+            await expect(disburse(writeCsv([[recipients[0], 20, "A"]], "other.csv")))
+                .to.be.rejectedWith("tracks a different disbursement");
+        });
+
+        it("Should propose nothing on a dry run", async function () {
+            const { report } = await disburse(writeCsv([[recipients[0], 10, "A"]]), { dryRun: true });
+
+            expect(report).to.equal(null);
+            expect(await multiSigWallet.getTransactionCount()).to.equal(0n);
+            expect(fs.existsSync(path.join(dir, "progress.json"))).to.equal(false);
+        });
+
+        it("Should flag recipients who received less than listed", async function () {
+            await executeThroughWallet(gNaira.interface.encodeFunctionData("mint", [addresses.wallet, ethers.parseEther("1000")]));
+            await executeThroughWallet(gNaira.interface.encodeFunctionData("setTreasury", [owner3.address]));
+            await executeThroughWallet(gNaira.interface.encodeFunctionData("setFeeParameters", [0, 0, 100]));
+            const file = writeCsv([[recipients[0], 100, "A"]]);
+
+            const { progress } = await disburse(file, { mode: "transfer" });
+            await execute(progress.batches[0].txIndex);
+            const { report } = await disburse(file, { mode: "transfer", reconcile: true });
+
+            expect(report.A.status).to.equal("mismatch");
+            expect(report.A.received).to.equal(ethers.parseEther("99").toString());
+        });
+    });
+});
@@ -0,0 +1,177 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { mine, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const { createIndexer, createJsonStore, buildLedger } = require("../lib/indexer");
+
+describe("GNaira event indexer", function () {
+    const { ethers } = hre;
+    let governor, user1, user2, user3;
+    let gNaira, deployBlock;
+    let storeFile;
+
+    beforeEach(async function () {
+        [governor, user1, user2, user3] = await ethers.getSigners();
+
+        const GNaira = await ethers.getContractFactory("GNaira");
+        gNaira = await GNaira.deploy(governor.address);
+        const receipt = await gNaira.deploymentTransaction().wait();
+        deployBlock = receipt.blockNumber;
+
+        storeFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "gngn-index-")), "index.json");
+    });
+
+    function newIndexer(options = {}) {
+        return createIndexer(gNaira, { store: createJsonStore(storeFile), startBlock: deployBlock, ...options });
+    }
+
+    async function chainBalances(accounts) {
+        const balances = {};
+        for (const account of accounts) {
+            const balance = await gNaira.balanceOf(account.address);
+            if (balance !== 0n) {
+                balances[account.address] = balance.toString();
+            }
+        }
+        return balances;
+    }
+
+    it("Should rebuild balances, blacklist history, pauses and governor changes", async function () {
+        await gNaira.mint(user1.address, ethers.parseEther("1000"));
+        await gNaira.mint(user2.address, ethers.parseEther("500"));
+        await gNaira.connect(user1).transfer(user2.address, ethers.parseEther("250"));
+        await gNaira.burnFrom(user2.address, ethers.parseEther("100"));
+        await gNaira.blacklist(user3.address);
+        await gNaira.unBlacklist(user3.address);
+        await gNaira.pause();
+        await gNaira.unpause();
+        await gNaira.pause();
+        await gNaira.setGovernor(user1.address);
+        await gNaira.connect(user1).acceptGovernor();
+
+        const indexer = newIndexer({ batchSize: 3 });
+        const result = await indexer.sync();
+        const ledger = await indexer.getLedger();
+
+        expect(result.toBlock).to.equal(await ethers.provider.getBlockNumber());
+        expect(ledger.balances).to.deep.equal(await chainBalances([governor, user1, user2, user3]));
+        expect(ledger.totalSupply).to.equal((await gNaira.totalSupply()).toString());
+        expect(ledger.totalMinted).to.equal(ethers.parseEther("1500").toString());
+        expect(ledger.totalBurned).to.equal(ethers.parseEther("100").toString());
+
+        expect(ledger.blacklist[user3.address].blacklisted).to.equal(false);
+        expect(ledger.blacklist[user3.address].history.map((entry) => entry.blacklisted)).to.deep.equal([true, false]);
+
+        expect(ledger.pausePeriods).to.have.lengthOf(2);
+        expect(ledger.pausePeriods[0].end).to.not.equal(null);
+        expect(ledger.pausePeriods[1].end).to.equal(null);
+        expect(ledger.paused).to.equal(true);
+
+        expect(ledger.governor).to.equal(user1.address);
+        expect(ledger.governorChanges.map((change) => change.newGovernor)).to.deep.equal([governor.address, user1.address]);
+    });
+
+    it("Should resume from the last indexed block", async function () {
+        await gNaira.mint(user1.address, ethers.parseEther("100"));
+        const first = await newIndexer().sync();
+
+        await gNaira.mint(user2.address, ethers.parseEther("200"));
+        await mine(5);
+        const resumed = newIndexer();
+        const second = await resumed.sync();
+
+        expect(second.fromBlock).to.equal(first.toBlock + 1);
+        expect(second.events).to.equal(2);
+        expect((await resumed.getLedger()).totalSupply).to.equal(ethers.parseEther("300").toString());
+    });
+
+    it("Should append each batch's events and apply them to the saved ledger", async function () {
+        await gNaira.mint(user1.address, ethers.parseEther("100"));
+        await gNaira.connect(user1).transfer(user2.address, ethers.parseEther("100"));
+        const store = createJsonStore(storeFile);
+        await newIndexer({ batchSize: 2 }).sync();
+        const firstLines = fs.readFileSync(store.eventsFile, "utf8");
+
+        await gNaira.mint(user3.address, ethers.parseEther("5"));
+        await gNaira.blacklist(user3.address);
+        const indexer = newIndexer({ batchSize: 2 });
+        await indexer.sync();
+
+        const events = store.loadEvents();
+        expect(fs.readFileSync(store.eventsFile, "utf8").startsWith(firstLines)).to.equal(true);
+        expect(events).to.have.lengthOf(store.load().eventCount);
+        expect(await indexer.getLedger()).to.deep.equal(buildLedger(events));
+        expect((await indexer.getLedger()).balances).to.deep.equal(await chainBalances([governor, user1, user2, user3]));
+    });
+
+    it("Should drop events appended by a run that stopped before saving", async function () {
+        await gNaira.mint(user1.address, ethers.parseEther("100"));
+        await newIndexer().sync();
+        const store = createJsonStore(storeFile);
+        const [stray] = store.loadEvents();
+        store.appendEvents([stray]);
+
+        await gNaira.mint(user2.address, ethers.parseEther("1"));
+        const indexer = newIndexer();
+        await indexer.sync();
+
+        expect(await indexer.getEvents()).to.have.lengthOf(store.load().eventCount);
+        expect((await indexer.getLedger()).totalSupply).to.equal(ethers.parseEther("101").toString());
+    });
+
+    it("Should stay the configured number of confirmations behind the head", async function () {
+        await gNaira.mint(user1.address, ethers.parseEther("100"));
+        const indexer = newIndexer({ confirmations: 1 });
+
+        const result = await indexer.sync();
+
+        expect(result.toBlock).to.equal((await ethers.provider.getBlockNumber()) - 1);
+        expect((await indexer.getLedger()).totalSupply).to.equal("0");
+    });
+
+    it("Should roll back and re-index after a reorg", async function () {
+        await gNaira.mint(user1.address, ethers.parseEther("100"));
+        const snapshot = await takeSnapshot();
+
+        await gNaira.mint(user2.address, ethers.parseEther("999"));
+        await gNaira.connect(user1).transfer(user3.address, ethers.parseEther("40"));
+        const indexer = newIndexer({ batchSize: 1, reorgDepth: 2 });
+        await indexer.sync();
+        expect((await indexer.getLedger()).balances[user2.address]).to.equal(ethers.parseEther("999").toString());
+
+        // Replace the last blocks with a different history
+        await snapshot.restore();
+        await gNaira.mint(user3.address, ethers.parseEther("7"));
+        await mine(3);
+
+        const result = await indexer.sync();
+        const ledger = await indexer.getLedger();
+
+        expect(result.rolledBack).to.be.greaterThan(0);
+        expect(ledger.balances).to.deep.equal(await chainBalances([governor, user1, user2, user3]));
+        expect(ledger.totalSupply).to.equal(ethers.parseEther("107").toString());
+    });
+
+    it("Should refuse a store written for another contract", async function () {
+        await newIndexer().sync();
+
+        const GNaira = await ethers.getContractFactory("GNaira");
+        const other = await GNaira.deploy(governor.address);
+        const indexer = createIndexer(other, { store: createJsonStore(storeFile) });
+
+        await expect(indexer.sync()).to.be.rejectedWith("Indexer store belongs to");
+    });
+
+    it("Should index through the gngn:index task", async function () {
+        await gNaira.mint(user1.address, ethers.parseEther("42"));
+
+        const ledger = await hre.run("gngn:index", {
+            gnaira: await gNaira.getAddress(), store: storeFile, startBlock: deployBlock,
+        });
+
+        expect(ledger.balances[user1.address]).to.equal(ethers.parseEther("42").toString());
+        expect(fs.existsSync(storeFile)).to.equal(true);
+    });
+});
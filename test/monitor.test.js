@@ -0,0 +1,377 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { createCalldataDecoder } = require("../lib/calldata");
+const { createBundle, signBundle, submitBundle } = require("../lib/signatures");
+const {
+    createRules,
+    createMonitor,
+    createFileSink,
+    createWebhookSink,
+} = require("../lib/monitor");
+
+/**
+ * Local HTTP stub that records JSON bodies and answers with `status`, or
+ * never answers when `status` is null.
+ */
+async function startWebhookStub(status = 200) {
+    const received = [];
+    const server = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", (chunk) => {
+            body += chunk;
+        });
+        req.on("end", () => {
+            received.push({ method: req.method, headers: req.headers, body: JSON.parse(body) });
+            if (status === null) {
+                return;
+            }
+            res.writeHead(status);
+            res.end();
+        });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}/alerts`,
+        received,
+        close: () => new Promise((resolve) => {
+            server.close(resolve);
+            server.closeAllConnections();
+        }),
+    };
+}
+
+describe("MultiSig monitor", function () {
+    const { ethers } = hre;
+    let owner1, owner2, owner3, user1;
+    let gNaira, multiSigWallet, decode, startBlock;
+    let memorySink;
+
+    beforeEach(async function () {
+        [owner1, owner2, owner3, user1] = await ethers.getSigners();
+
+        const MultiSigWallet = await ethers.getContractFactory("MultiSigWallet");
+        multiSigWallet = await MultiSigWallet.deploy([owner1.address, owner2.address, owner3.address], 2);
+        await multiSigWallet.waitForDeployment();
+
+        const GNaira = await ethers.getContractFactory("GNaira");
+        gNaira = await GNaira.deploy(await multiSigWallet.getAddress());
+        startBlock = (await gNaira.deploymentTransaction().wait()).blockNumber + 1;
+
+        decode = createCalldataDecoder(hre.artifacts, {
+            gNaira: await gNaira.getAddress(),
+            multiSigWallet: await multiSigWallet.getAddress(),
+        });
+
+        const sent = [];
+        memorySink = { name: "memory", sent, async send(alert) { sent.push(alert); } };
+    });
+
+    async function propose(to, data) {
+        const txIndex = await multiSigWallet.getTransactionCount();
+        await multiSigWallet.connect(owner1).submitTransaction(to, 0, data);
+        return txIndex;
+    }
+
+    async function approveAndExecute(txIndex) {
+        await multiSigWallet.connect(owner1).confirmTransaction(txIndex);
+        await multiSigWallet.connect(owner2).confirmTransaction(txIndex);
+        await multiSigWallet.connect(owner1).executeTransaction(txIndex);
+    }
+
+    function newMonitor(config, sinks = [memorySink]) {
+        return createMonitor(multiSigWallet, { decode, rules: createRules(config), sinks, startBlock });
+    }
+
+    it("Should report the proposal lifecycle with the decoded call", async function () {
+        const txIndex = await propose(await gNaira.getAddress(),
+            gNaira.interface.encodeFunctionData("mint", [user1.address, ethers.parseEther("100")]));
+        await multiSigWallet.connect(owner2).confirmTransaction(txIndex);
+        await multiSigWallet.connect(owner2).revokeConfirmation(txIndex);
+        await approveAndExecute(txIndex);
+
+        const alerts = await newMonitor({}).poll();
+
+        expect(alerts.map((alert) => alert.event)).to.deep.equal([
+            "SubmitTransaction",
+            "ConfirmTransaction",
+            "RevokeConfirmation",
+            "ConfirmTransaction",
+            "ConfirmTransaction",
+            "ExecuteTransaction",
+        ]);
+        expect(alerts[0].message).to.include("GNaira.mint(to:");
+        expect(alerts[0].txIndex).to.equal("0");
+        expect(memorySink.sent).to.deep.equal(alerts);
+    });
+
+    it("Should alert on owner set and threshold changes", async function () {
+        const wallet = await multiSigWallet.getAddress();
+        await approveAndExecute(await propose(wallet, multiSigWallet.interface.encodeFunctionData("addOwner", [user1.address])));
+        await approveAndExecute(await propose(wallet, multiSigWallet.interface.encodeFunctionData("changeRequirement", [3])));
+
+        const alerts = await newMonitor({ proposals: false }).poll();
+
+        expect(alerts.map((alert) => [alert.rule, alert.severity, alert.event])).to.deep.equal([
+            ["ownerChanges", "critical", "OwnerAddition"],
+            ["ownerChanges", "critical", "RequirementChange"],
+        ]);
+        expect(alerts[0].message).to.include(user1.address);
+    });
+
+    it("Should alert on mints above the threshold, including inside batches", async function () {
+        const gNairaAddress = await gNaira.getAddress();
+        await propose(gNairaAddress, gNaira.interface.encodeFunctionData("mint", [user1.address, ethers.parseEther("1000")]));
+        await propose(gNairaAddress, gNaira.interface.encodeFunctionData("mint", [user1.address, ethers.parseEther("1000001")]));
+        await propose(await multiSigWallet.getAddress(), multiSigWallet.interface.encodeFunctionData("executeBatch", [[
+            { to: gNairaAddress, value: 0, data: gNaira.interface.encodeFunctionData("mint", [user1.address, ethers.parseEther("2000000")]) },
+        ]]));
+        await propose(gNairaAddress, gNaira.interface.encodeFunctionData("batchMint", [
+            [user1.address, owner3.address], [ethers.parseEther("10"), ethers.parseEther("1500000")],
+        ]));
+        await propose(gNairaAddress, gNaira.interface.encodeFunctionData("batchMint", [
+            [user1.address, owner3.address], [ethers.parseEther("600000"), ethers.parseEther("600000")],
+        ]));
+        await propose(gNairaAddress, gNaira.interface.encodeFunctionData("batchMint", [
+            [user1.address, owner3.address], [ethers.parseEther("500000"), ethers.parseEther("500000")],
+        ]));
+
+        const alerts = await newMonitor({ proposals: false, mintThreshold: "1000000" }).poll();
+
+        expect(alerts.map((alert) => alert.txIndex)).to.deep.equal(["1", "2", "3", "4"]);
+        expect(alerts.every((alert) => alert.rule === "mintThreshold")).to.equal(true);
+    });
+
+    it("Should check calls executed with signatures", async function () {
+        let bundle = await createBundle(multiSigWallet, {
+            to: await gNaira.getAddress(),
+            data: gNaira.interface.encodeFunctionData("mint", [user1.address, ethers.parseEther("2000000")]),
+        });
+        bundle = await signBundle(bundle, owner1);
+        bundle = await signBundle(bundle, owner2);
+        await submitBundle(multiSigWallet.connect(owner1), bundle);
+
+        const alerts = await newMonitor({ mintThreshold: "1000000" }).poll();
+
+        expect(alerts.map((alert) => [alert.rule, alert.event, alert.nonce])).to.deep.equal([
+            ["proposals", "ExecuteSignedTransaction", "0"],
+            ["mintThreshold", "ExecuteSignedTransaction", "0"],
+        ]);
+        expect(alerts[0].message).to.include("GNaira.mint(to:");
+        expect(alerts[1].message).to.include("Signed transaction nonce 0 mints above 1000000 gNGN");
+    });
+
+    it("Should alert on timelock changes and report cancellations", async function () {
+        const wallet = await multiSigWallet.getAddress();
+        const mintSelector = gNaira.interface.getFunction("mint").selector;
+        await approveAndExecute(await propose(wallet,
+            multiSigWallet.interface.encodeFunctionData("setDelayOverride", [await gNaira.getAddress(), mintSelector, 86400])));
+        await approveAndExecute(await propose(wallet, multiSigWallet.interface.encodeFunctionData("setDefaultDelay", [3600])));
+        const txIndex = await propose(await gNaira.getAddress(), gNaira.interface.encodeFunctionData("pause"));
+        await multiSigWallet.connect(owner1).cancelTransaction(txIndex);
+        await multiSigWallet.connect(owner2).cancelTransaction(txIndex);
+
+        const alerts = (await newMonitor({}).poll()).filter((alert) => alert.rule !== "proposals" || alert.event === "CancelTransaction");
+
+        expect(alerts.map((alert) => [alert.rule, alert.severity, alert.event])).to.deep.equal([
+            ["timelockChanges", "critical", "DelayOverrideChange"],
+            ["timelockChanges", "critical", "DelayChange"],
+            ["proposals", "info", "CancelTransaction"],
+        ]);
+        expect(alerts[0].message).to.include(`selector ${mintSelector} set to 86400s`);
+        expect(alerts[1].message).to.equal("Default timelock delay changed to 3600s");
+        expect(alerts[2].message).to.equal("#2 was cancelled by owner vote");
+    });
+
+    it("Should alert on proposals targeting unknown contracts", async function () {
+        const TestContract = await ethers.getContractFactory("TestContract");
+        const unknown = await TestContract.deploy();
+        await propose(await unknown.getAddress(), "0x");
+
+        const alerts = await newMonitor({ proposals: false }).poll();
+
+        expect(alerts).to.have.lengthOf(1);
+        expect(alerts[0].rule).to.equal("unknownTargets");
+        expect(alerts[0].message).to.include(await unknown.getAddress());
+    });
+
+    it("Should alert on undecodable proposals and keep watching later blocks", async function () {
+        const gNairaAddress = await gNaira.getAddress();
+        await propose(gNairaAddress, gNaira.interface.getFunction("mint").selector);
+        const watcher = newMonitor({});
+
+        const alerts = await watcher.poll();
+        expect(alerts.map((alert) => [alert.rule, alert.severity, alert.txIndex])).to.deep.equal([
+            ["proposals", "info", "0"],
+            ["undecodableCalls", "critical", "0"],
+        ]);
+        expect(alerts[1].message).to.equal("Proposal #0 is undecodable: malformed calldata for 0x40c10f19");
+
+        await propose(gNairaAddress, gNaira.interface.encodeFunctionData("pause"));
+        const later = await watcher.poll();
+        expect(later.map((alert) => alert.txIndex)).to.deep.equal(["1"]);
+        expect(later[0].message).to.include("GNaira.pause()");
+    });
+
+    it("Should alert instead of stalling when the decoder throws", async function () {
+        await propose(await gNaira.getAddress(), gNaira.interface.encodeFunctionData("pause"));
+        await propose(await gNaira.getAddress(), gNaira.interface.encodeFunctionData("unpause"));
+        const watcher = createMonitor(multiSigWallet, {
+            decode: () => {
+                throw new Error("boom");
+            },
+            rules: createRules({ unknownTargets: false }),
+            sinks: [memorySink],
+            startBlock,
+        });
+
+        const alerts = await watcher.poll();
+
+        expect(alerts.map((alert) => [alert.rule, alert.txIndex])).to.deep.equal([
+            ["proposals", "0"],
+            ["undecodableCalls", "0"],
+            ["proposals", "1"],
+            ["undecodableCalls", "1"],
+        ]);
+        expect(alerts[1].message).to.include("(boom)");
+        expect(watcher.getLastBlock()).to.equal(await ethers.provider.getBlockNumber());
+    });
+
+    it("Should not alert twice on events before a rule that threw", async function () {
+        await propose(await gNaira.getAddress(), gNaira.interface.encodeFunctionData("pause"));
+        await propose(await gNaira.getAddress(), gNaira.interface.encodeFunctionData("unpause"));
+        let failed = false;
+        const flakyRule = (event) => {
+            if (event.args.txIndex === 1n && !failed) {
+                failed = true;
+                throw new Error("rule failed");
+            }
+            return null;
+        };
+        const watcher = createMonitor(multiSigWallet, {
+            decode,
+            rules: [...createRules({}), flakyRule],
+            sinks: [memorySink],
+            startBlock,
+        });
+
+        await expect(watcher.poll()).to.be.rejectedWith("rule failed");
+        expect(memorySink.sent.map((alert) => alert.txIndex)).to.deep.equal(["0"]);
+
+        const alerts = await watcher.poll();
+
+        expect(alerts.map((alert) => alert.txIndex)).to.deep.equal(["1"]);
+        expect(memorySink.sent.map((alert) => alert.txIndex)).to.deep.equal(["0", "1"]);
+    });
+
+    it("Should only report new blocks on later polls", async function () {
+        await propose(await gNaira.getAddress(), gNaira.interface.encodeFunctionData("pause"));
+        const watcher = newMonitor({});
+        expect(await watcher.poll()).to.have.lengthOf(1);
+
+        await multiSigWallet.connect(owner2).confirmTransaction(0);
+        const alerts = await watcher.poll();
+
+        expect(alerts.map((alert) => alert.event)).to.deep.equal(["ConfirmTransaction"]);
+        expect(await watcher.poll()).to.deep.equal([]);
+    });
+
+    it("Should reject unknown rules", function () {
+        expect(() => createRules({ everything: true })).to.throw('Unknown monitor rule "everything"');
+    });
+
+    it("Should deliver alerts to file and webhook sinks", async function () {
+        const stub = await startWebhookStub();
+        const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "gngn-monitor-")), "alerts.jsonl");
+        try {
+            await propose(await gNaira.getAddress(), gNaira.interface.encodeFunctionData("pause"));
+
+            await newMonitor({}, [createFileSink(file), createWebhookSink(stub.url)]).poll();
+
+            expect(stub.received).to.have.lengthOf(1);
+            expect(stub.received[0].method).to.equal("POST");
+            expect(stub.received[0].headers["content-type"]).to.equal("application/json");
+            expect(stub.received[0].body.message).to.include("GNaira.pause()");
+            const lines = fs.readFileSync(file, "utf8").trim().split("\n").map((line) => JSON.parse(line));
+            expect(lines).to.deep.equal(stub.received.map((request) => request.body));
+        } finally {
+            await stub.close();
+        }
+    });
+
+    it("Should keep delivering when one sink fails", async function () {
+        const stub = await startWebhookStub(500);
+        const errors = [];
+        try {
+            await propose(await gNaira.getAddress(), gNaira.interface.encodeFunctionData("pause"));
+            const watcher = createMonitor(multiSigWallet, {
+                decode,
+                rules: createRules({}),
+                sinks: [createWebhookSink(stub.url), memorySink],
+                startBlock,
+                onError: (error, sink) => errors.push(`${sink.name}: ${error.message}`),
+            });
+
+            await watcher.poll();
+
+            expect(errors).to.deep.equal([`webhook ${stub.url}: Webhook responded with 500`]);
+            expect(memorySink.sent).to.have.lengthOf(1);
+        } finally {
+            await stub.close();
+        }
+    });
+
+    it("Should give up on a webhook that does not respond", async function () {
+        const stub = await startWebhookStub(null);
+        const errors = [];
+        try {
+            await propose(await gNaira.getAddress(), gNaira.interface.encodeFunctionData("pause"));
+            const watcher = createMonitor(multiSigWallet, {
+                decode,
+                rules: createRules({}),
+                sinks: [createWebhookSink(stub.url, { timeout: 200 }), memorySink],
+                startBlock,
+                onError: (error, sink) => errors.push(`${sink.name}: ${error.message}`),
+            });
+
+            await watcher.poll();
+
+            expect(errors).to.deep.equal([`webhook ${stub.url}: Webhook did not respond within 200ms`]);
+            expect(memorySink.sent).to.have.lengthOf(1);
+        } finally {
+            await stub.close();
+        }
+    });
+
+    it("Should poll once through the multisig:monitor task", async function () {
+        const stub = await startWebhookStub();
+        try {
+            await propose(await gNaira.getAddress(), gNaira.interface.encodeFunctionData("mint", [user1.address, ethers.parseEther("5000")]));
+
+            const alerts = await hre.run("multisig:monitor", {
+                gnaira: await gNaira.getAddress(),
+                wallet: await multiSigWallet.getAddress(),
+                mintThreshold: "1000",
+                webhook: stub.url,
+                startBlock,
+                once: true,
+            });
+
+            expect(alerts.map((alert) => alert.rule)).to.deep.equal(["proposals", "mintThreshold"]);
+            expect(stub.received).to.have.lengthOf(2);
+        } finally {
+            await stub.close();
+        }
+    });
+
+    it("Should reject --once without a start block", async function () {
+        await expect(hre.run("multisig:monitor", {
+            gnaira: await gNaira.getAddress(),
+            wallet: await multiSigWallet.getAddress(),
+            once: true,
+        })).to.be.rejectedWith("--once needs --start-block");
+    });
+});
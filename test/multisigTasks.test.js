@@ -0,0 +1,351 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("MultiSig tasks", function () {
+    const { ethers } = hre;
+    let owner1, owner2, owner3, user1;
+    let gNaira, multiSigWallet;
+    let addresses;
+
+    beforeEach(async function () {
+        [owner1, owner2, owner3, user1] = await ethers.getSigners();
+
+        const MultiSigWallet = await ethers.getContractFactory("MultiSigWallet");
+        multiSigWallet = await MultiSigWallet.deploy([owner1.address, owner2.address, owner3.address], 2);
+        await multiSigWallet.waitForDeployment();
+
+        const GNaira = await ethers.getContractFactory("GNaira");
+        gNaira = await GNaira.deploy(await multiSigWallet.getAddress());
+        await gNaira.waitForDeployment();
+
+        addresses = {
+            gnaira: await gNaira.getAddress(),
+            wallet: await multiSigWallet.getAddress(),
+        };
+    });
+
+    describe("multisig:propose", function () {
+        it("Should submit an encoded mint and return its txIndex", async function () {
+            const txIndex = await hre.run("multisig:propose", {
+                action: "mint", to: user1.address, amount: "1000", ...addresses,
+            });
+
+            expect(txIndex).to.equal(0n);
+            const tx = await multiSigWallet.getTransaction(0);
+            expect(tx.to).to.equal(addresses.gnaira);
+            expect(tx.value).to.equal(0);
+            expect(tx.data).to.equal(
+                gNaira.interface.encodeFunctionData("mint", [user1.address, ethers.parseEther("1000")])
+            );
+        });
+
+        it("Should encode calls without arguments", async function () {
+            await hre.run("multisig:propose", { action: "pause", ...addresses });
+            const txIndex = await hre.run("multisig:propose", { action: "unpause", ...addresses });
+
+            expect(txIndex).to.equal(1n);
+            expect((await multiSigWallet.getTransaction(1)).data)
+                .to.equal(gNaira.interface.encodeFunctionData("unpause"));
+        });
+
+        it("Should produce calls the wallet can execute", async function () {
+            await hre.run("multisig:propose", { action: "blacklist", account: user1.address, ...addresses });
+            await multiSigWallet.connect(owner1).confirmTransaction(0);
+            await multiSigWallet.connect(owner2).confirmTransaction(0);
+            await multiSigWallet.connect(owner1).executeTransaction(0);
+
+            expect(await gNaira.isBlacklisted(user1.address)).to.equal(true);
+        });
+
+        it("Should encode supply controls, accepting unlimited amounts", async function () {
+            await hre.run("multisig:propose", { action: "setMaxSupply", amount: "1000000", ...addresses });
+            await hre.run("multisig:propose", {
+                action: "setMinterAllowance", account: user1.address, amount: "unlimited", ...addresses,
+            });
+
+            expect((await multiSigWallet.getTransaction(0)).data)
+                .to.equal(gNaira.interface.encodeFunctionData("setMaxSupply", [ethers.parseEther("1000000")]));
+            expect((await multiSigWallet.getTransaction(1)).data)
+                .to.equal(gNaira.interface.encodeFunctionData("setMinterAllowance", [user1.address, ethers.MaxUint256]));
+        });
+
+        it("Should encode enforcement actions with a reason code and reference", async function () {
+            await hre.run("multisig:propose", {
+                action: "seizeFunds", account: user1.address, amount: "50",
+                reason: "COURT_ORDER", reference: "FHC/L/CS/12/2026", ...addresses,
+            });
+
+            expect((await multiSigWallet.getTransaction(0)).data).to.equal(
+                gNaira.interface.encodeFunctionData("seizeFunds", [
+                    user1.address, ethers.parseEther("50"), ethers.encodeBytes32String("COURT_ORDER"), "FHC/L/CS/12/2026",
+                ])
+            );
+            await expect(hre.run("multisig:propose", {
+                action: "wipeFunds", account: user1.address, amount: "50", reason: "COURT_ORDER", ...addresses,
+            })).to.be.rejectedWith("wipeFunds requires --reference");
+        });
+
+        it("Should encode freezes keyed by case ID", async function () {
+            await hre.run("multisig:propose", {
+                action: "freezeAmount", account: user1.address, amount: "75", case: "EFCC-2026-001", ...addresses,
+            });
+
+            expect((await multiSigWallet.getTransaction(0)).data).to.equal(
+                gNaira.interface.encodeFunctionData("freezeAmount", [
+                    user1.address, ethers.parseEther("75"), ethers.encodeBytes32String("EFCC-2026-001"),
+                ])
+            );
+        });
+
+        it("Should encode KYC tier limits", async function () {
+            await hre.run("multisig:propose", {
+                action: "setTierLimits", tier: "1", amount: "50000", daily: "unlimited", ...addresses,
+            });
+
+            expect((await multiSigWallet.getTransaction(0)).data).to.equal(
+                gNaira.interface.encodeFunctionData("setTierLimits", [1, ethers.parseEther("50000"), ethers.MaxUint256])
+            );
+            await expect(hre.run("multisig:propose", {
+                action: "setAccountTier", account: user1.address, tier: "256", ...addresses,
+            })).to.be.rejectedWith("--tier must be an integer from 0 to 255");
+        });
+
+        it("Should encode bulk allowlist updates", async function () {
+            await hre.run("multisig:propose", {
+                action: "updateAllowlist", accounts: `${user1.address}, ${owner3.address}`, allowed: "true", ...addresses,
+            });
+
+            expect((await multiSigWallet.getTransaction(0)).data).to.equal(
+                gNaira.interface.encodeFunctionData("updateAllowlist", [[user1.address, owner3.address], true])
+            );
+            await expect(hre.run("multisig:propose", { action: "setAllowlistEnabled", enabled: "yes", ...addresses }))
+                .to.be.rejectedWith("--enabled must be true or false");
+        });
+
+        it("Should encode fee parameters", async function () {
+            await hre.run("multisig:propose", {
+                action: "setFeeParameters", levy: "50", threshold: "10000", bps: "25", ...addresses,
+            });
+
+            expect((await multiSigWallet.getTransaction(0)).data).to.equal(
+                gNaira.interface.encodeFunctionData("setFeeParameters", [ethers.parseEther("50"), ethers.parseEther("10000"), 25])
+            );
+        });
+
+        it("Should reject unknown actions and missing arguments", async function () {
+            await expect(hre.run("multisig:propose", { action: "selfDestruct", ...addresses }))
+                .to.be.rejectedWith('Unknown action "selfDestruct"');
+            await expect(hre.run("multisig:propose", { action: "mint", to: user1.address, ...addresses }))
+                .to.be.rejectedWith("mint requires --amount");
+            await expect(hre.run("multisig:propose", { action: "setGovernor", governor: "0x1234", ...addresses }))
+                .to.be.rejectedWith("--governor is not a valid address");
+        });
+
+        it("Should explain when the wallet address does not emit SubmitTransaction", async function () {
+            await expect(hre.run("multisig:propose", {
+                action: "mint", to: user1.address, amount: "1", gnaira: addresses.gnaira, wallet: user1.address,
+            })).to.be.rejectedWith(`SubmitTransaction was not emitted by ${user1.address}`);
+        });
+    });
+
+    describe("multisig:list / confirm / revoke / execute", function () {
+        beforeEach(async function () {
+            await hre.run("multisig:propose", { action: "mint", to: user1.address, amount: "250", ...addresses });
+            await hre.run("multisig:propose", { action: "pause", ...addresses });
+        });
+
+        it("Should list proposals with decoded calls and confirmation status", async function () {
+            await hre.run("multisig:confirm", { index: 0, signer: owner1.address, ...addresses });
+
+            const proposals = await hre.run("multisig:list", addresses);
+
+            expect(proposals).to.have.lengthOf(2);
+            expect(proposals[0].description).to.equal(`GNaira.mint(to: ${user1.address}, amount: 250.0 gNGN)`);
+            expect(proposals[0].status).to.equal("pending");
+            expect(proposals[0].confirmedBy).to.deep.equal([owner1.address]);
+            expect(proposals[0].confirmationsNeeded).to.equal(1n);
+            expect(proposals[1].description).to.equal("GNaira.pause()");
+            expect(proposals[1].confirmationsNeeded).to.equal(2n);
+        });
+
+        it("Should list and cancel a proposal with malformed calldata", async function () {
+            const mintSelector = gNaira.interface.getFunction("mint").selector;
+            await multiSigWallet.connect(owner1).submitTransaction(addresses.gnaira, 0, mintSelector);
+            await hre.run("multisig:propose", { action: "unpause", ...addresses });
+
+            const proposals = await hre.run("multisig:list", addresses);
+
+            expect(proposals.map((proposal) => proposal.description)).to.deep.equal([
+                `GNaira.mint(to: ${user1.address}, amount: 250.0 gNGN)`,
+                "GNaira.pause()",
+                `malformed call ${mintSelector} ⚠️  malformed calldata for ${mintSelector}`,
+                "GNaira.unpause()",
+            ]);
+
+            await hre.run("multisig:cancel", { index: 2, signer: owner1.address, ...addresses });
+            await hre.run("multisig:cancel", { index: 2, signer: owner2.address, ...addresses });
+            expect((await hre.run("multisig:list", addresses))[2].status).to.equal("cancelled");
+        });
+
+        it("Should mark proposals ready once the threshold is met", async function () {
+            await hre.run("multisig:confirm", { index: 0, signer: owner1.address, ...addresses });
+            await hre.run("multisig:confirm", { index: 0, signer: owner3.address, ...addresses });
+
+            const [proposal] = await hre.run("multisig:list", addresses);
+            expect(proposal.status).to.equal("ready");
+            expect(proposal.confirmedBy).to.deep.equal([owner1.address, owner3.address]);
+            expect(proposal.confirmationsNeeded).to.equal(0n);
+        });
+
+        it("Should show timelocked proposals as queued", async function () {
+            const walletAddress = await multiSigWallet.getAddress();
+            await multiSigWallet.submitTransaction(
+                walletAddress, 0, multiSigWallet.interface.encodeFunctionData("setDefaultDelay", [3600])
+            );
+            await multiSigWallet.connect(owner1).confirmTransaction(2);
+            await multiSigWallet.connect(owner2).confirmTransaction(2);
+            await multiSigWallet.connect(owner1).executeTransaction(2);
+
+            await hre.run("multisig:confirm", { index: 0, signer: owner1.address, ...addresses });
+            await hre.run("multisig:confirm", { index: 0, signer: owner2.address, ...addresses });
+
+            const [proposal] = await hre.run("multisig:list", addresses);
+            expect(proposal.status).to.equal("queued");
+            expect(proposal.readyAt).to.equal(BigInt(await time.latest()) + 3600n);
+
+            await time.increase(3600);
+            const [ready] = await hre.run("multisig:list", addresses);
+            expect(ready.status).to.equal("ready");
+        });
+
+        it("Should queue a proposal that met the threshold after the requirement was lowered", async function () {
+            const walletAddress = await multiSigWallet.getAddress();
+            await hre.run("multisig:confirm", { index: 0, signer: owner1.address, ...addresses });
+            await multiSigWallet.submitTransaction(
+                walletAddress, 0, multiSigWallet.interface.encodeFunctionData("changeRequirement", [1])
+            );
+            await multiSigWallet.connect(owner1).confirmTransaction(2);
+            await multiSigWallet.connect(owner2).confirmTransaction(2);
+            await multiSigWallet.connect(owner1).executeTransaction(2);
+
+            const [proposal] = await hre.run("multisig:list", { pending: true, ...addresses });
+            expect(proposal.status).to.equal("confirmed");
+            expect(proposal.confirmationsNeeded).to.equal(0n);
+            await expect(hre.run("multisig:execute", { index: 0, signer: owner1.address, ...addresses }))
+                .to.be.rejectedWith("MultiSig: tx not queued");
+
+            await hre.run("multisig:queue", { index: 0, signer: owner2.address, ...addresses });
+            expect((await hre.run("multisig:list", addresses))[0].status).to.equal("ready");
+            await hre.run("multisig:execute", { index: 0, signer: owner1.address, ...addresses });
+            expect(await gNaira.balanceOf(user1.address)).to.equal(ethers.parseEther("250"));
+        });
+
+        it("Should revoke a confirmation", async function () {
+            await hre.run("multisig:confirm", { index: 1, signer: owner2.address, ...addresses });
+            await hre.run("multisig:revoke", { index: 1, signer: owner2.address, ...addresses });
+
+            expect(await multiSigWallet.isConfirmed(1, owner2.address)).to.equal(false);
+        });
+
+        it("Should execute a confirmed proposal and hide it with --pending", async function () {
+            await hre.run("multisig:confirm", { index: 0, signer: owner1.address, ...addresses });
+            await hre.run("multisig:confirm", { index: 0, signer: owner2.address, ...addresses });
+            await hre.run("multisig:execute", { index: 0, signer: owner3.address, ...addresses });
+
+            expect(await gNaira.balanceOf(user1.address)).to.equal(ethers.parseEther("250"));
+
+            const all = await hre.run("multisig:list", addresses);
+            expect(all[0].status).to.equal("executed");
+            const pending = await hre.run("multisig:list", { pending: true, ...addresses });
+            expect(pending.map((proposal) => proposal.txIndex)).to.deep.equal([1n]);
+        });
+
+        it("Should submit with an expiry and list the proposal as expired afterwards", async function () {
+            const expiresAt = (await time.latest()) + 3600;
+            const txIndex = await hre.run("multisig:propose", {
+                action: "unpause", expiresAt: String(expiresAt), ...addresses,
+            });
+            expect((await multiSigWallet.getTransaction(txIndex)).expiresAt).to.equal(expiresAt);
+
+            await time.increase(3600);
+            const proposals = await hre.run("multisig:list", addresses);
+            expect(proposals[2].status).to.equal("expired");
+            expect(proposals[2].confirmationsNeeded).to.equal(0n);
+        });
+
+        it("Should cancel a proposal once enough owners vote to", async function () {
+            await hre.run("multisig:cancel", { index: 1, signer: owner1.address, ...addresses });
+            expect((await hre.run("multisig:list", addresses))[1].status).to.equal("pending");
+
+            await hre.run("multisig:cancel", { index: 1, signer: owner2.address, ...addresses });
+            const proposals = await hre.run("multisig:list", addresses);
+            expect(proposals[1].status).to.equal("cancelled");
+
+            const pending = await hre.run("multisig:list", { pending: true, ...addresses });
+            expect(pending.map((proposal) => proposal.txIndex)).to.deep.equal([0n]);
+        });
+
+        it("Should surface wallet reverts", async function () {
+            await expect(hre.run("multisig:execute", { index: 1, signer: owner1.address, ...addresses }))
+                .to.be.rejectedWith("MultiSig: cannot execute tx");
+        });
+    });
+
+    describe("multisig:sign / exec-signed", function () {
+        let file;
+
+        beforeEach(function () {
+            file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "gngn-bundle-")), "mint.json");
+        });
+
+        afterEach(function () {
+            fs.rmSync(path.dirname(file), { recursive: true, force: true });
+        });
+
+        it("Should gather signatures in a file and execute once the threshold is met", async function () {
+            await hre.run("multisig:sign", {
+                file, action: "mint", to: user1.address, amount: "75", signer: owner2.address, ...addresses,
+            });
+            await expect(hre.run("multisig:exec-signed", { file, ...addresses }))
+                .to.be.rejectedWith("Bundle needs 1 more owner signature(s)");
+
+            const bundle = await hre.run("multisig:sign", { file, signer: owner3.address, ...addresses });
+            expect(Object.keys(bundle.signatures)).to.have.members([owner2.address, owner3.address]);
+            expect(JSON.parse(fs.readFileSync(file, "utf8"))).to.deep.equal(bundle);
+
+            await hre.run("multisig:exec-signed", { file, ...addresses });
+            expect(await gNaira.balanceOf(user1.address)).to.equal(ethers.parseEther("75"));
+            expect(await multiSigWallet.getTransactionCount()).to.equal(0);
+        });
+
+        it("Should require an action to start a bundle", async function () {
+            await expect(hre.run("multisig:sign", { file, ...addresses }))
+                .to.be.rejectedWith("pass an action to start a new bundle");
+        });
+    });
+
+    describe("multisig:propose-batch", function () {
+        it("Should submit a CSV of actions as one batch that executes atomically", async function () {
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), "gngn-batch-"));
+            const file = path.join(dir, "onboarding.csv");
+            fs.writeFileSync(file, `action,address,amount\nmint,${user1.address},10\nmint,${owner3.address},20\n`);
+
+            const txIndex = await hre.run("multisig:propose-batch", { file, ...addresses });
+            fs.rmSync(dir, { recursive: true, force: true });
+
+            const [proposal] = await hre.run("multisig:list", addresses);
+            expect(proposal.decoded.calls).to.have.lengthOf(2);
+
+            await hre.run("multisig:confirm", { index: Number(txIndex), signer: owner1.address, ...addresses });
+            await hre.run("multisig:confirm", { index: Number(txIndex), signer: owner2.address, ...addresses });
+            await hre.run("multisig:execute", { index: Number(txIndex), signer: owner1.address, ...addresses });
+
+            expect(await gNaira.balanceOf(user1.address)).to.equal(ethers.parseEther("10"));
+            expect(await gNaira.balanceOf(owner3.address)).to.equal(ethers.parseEther("20"));
+        });
+    });
+});